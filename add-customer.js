@@ -0,0 +1,389 @@
+#!/usr/bin/env node
+
+/**
+ * add-customer.js — Scaffold a new customer in feature-flags.json
+ *
+ * Adds the customer to `customers`, a `configurations` entry for each of its
+ * products and a `changelog` entry, then regenerates the customer's
+ * pre-filled CSV (templates/prefilled-{customer}.csv) and test plan
+ * (test-suite/test-plans/test-plan-{customer}.csv).
+ *
+ * Each product's configuration is seeded from:
+ *   - --from <product>=<customer>: that customer's flag values for the
+ *     product, in every environment (not its notes, annotations or provenance,
+ *     which describe that customer); the customer must have the product
+ *   - --from <customer>: the same, for every product not given its own seed;
+ *     products the customer does not have fall back to the defaults
+ *   - otherwise the product defaults: no overrides, except that flags without
+ *     a product or flag default need a seed
+ *
+ * The key must be new, and the products and EHR known (an EHR some customer
+ * or flag `ehrNames` entry already uses). Nothing is written unless --write is
+ * given, or while the result would not validate (see validate.js).
+ *
+ * Usage:
+ *   node add-customer.js acme "Acme Health" --ehr Epic --products sepsis               # show the scaffold
+ *   node add-customer.js acme "Acme Health" --ehr Epic --products sepsis --from ccf    # seed from CCF
+ *   node add-customer.js acme "Acme Health" --ehr Epic --products sepsis,palliative_care \
+ *     --from sepsis=ccf,palliative_care=mayo_clinic                                     # a seed per product
+ *   node add-customer.js acme "Acme Health" --ehr Cerner --products sepsis,deterioration --write
+ *
+ * Can also be called programmatically:
+ *   const { scaffoldCustomer, applyScaffold } = require('./add-customer');
+ */
+
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { listEnvironments, defaultEnvironment } = require("./lib/environments");
+const { defaultValue, isApplicable } = require("./lib/defaults");
+const { isSiteMap } = require("./lib/flag-values");
+const { formatFlagValue } = require("./lib/display");
+const { setJsonValue, appendJsonArrayItem } = require("./lib/json-edit");
+const { addChangelogEntry } = require("./lib/changelog-entry");
+const { defaultDataPath, readFlagDataText, writeFlagData } = require("./lib/flag-data");
+const { validateData, formatProblems } = require("./validate");
+
+const ROOT = __dirname;
+const JSON_PATH = defaultDataPath();
+const JSON_REL_PATH = path.relative(ROOT, JSON_PATH);
+const TEST_SUITE_DIR = path.join(ROOT, "test-suite");
+
+// ─── Scaffold ─────────────────────────────────────────────────────────────────
+
+/**
+ * EHR platforms already in use, by customers or flag `ehrNames`
+ */
+function knownEhrs(data) {
+  const ehrs = new Set(data.customers.map((c) => c.ehr));
+  for (const flag of Object.values(data.flagDefinitions).flat()) {
+    for (const ehr of Object.keys(flag.ehrNames || {})) ehrs.add(ehr);
+  }
+  return [...ehrs].sort();
+}
+
+/**
+ * A seed customer's value for the new customer, who has no sites: per-site
+ * values only carry over when every site agrees (undefined otherwise)
+ */
+function seedValue(value) {
+  if (!isSiteMap(value)) return value;
+  const values = [...new Set(Object.values(value))];
+  return values.length === 1 ? values[0] : undefined;
+}
+
+/**
+ * A product configuration for the new customer, seeded from `source` (the
+ * seed customer's configuration of the product) or the product defaults.
+ *
+ * Returns { config, missing: [flag keys without a value], dropped: [flag keys] }
+ * where `dropped` lists per-site values of the seed customer that differ by
+ * site and so fall back to the default.
+ */
+function seedConfiguration(data, productKey, source) {
+  const baseEnv = defaultEnvironment(data);
+  const flags = Object.values(data.flagDefinitions)
+    .flat()
+    .filter((f) => isApplicable(f, productKey));
+  const config = { flags: {}, notes: {} };
+  const missing = [];
+  const dropped = [];
+
+  for (const flag of flags) {
+    const value = seedValue(source?.flags?.[flag.key]);
+    if (value !== undefined) config.flags[flag.key] = value;
+    else if (source?.flags && flag.key in source.flags) dropped.push(flag.key);
+    if (value === undefined && defaultValue(data, productKey, flag) === undefined) missing.push(flag.key);
+  }
+
+  for (const env of listEnvironments(data).filter((e) => e.key !== baseEnv)) {
+    const envFlags = {};
+    for (const flag of flags) {
+      const value = seedValue(source?.environments?.[env.key]?.flags?.[flag.key]);
+      if (value !== undefined) envFlags[flag.key] = value;
+    }
+    if (Object.keys(envFlags).length) {
+      config.environments = config.environments || {};
+      config.environments[env.key] = { flags: envFlags };
+    }
+  }
+
+  return { config, missing, dropped };
+}
+
+/**
+ * Parse --from: comma-separated `<product>=<customer>` seeds, and at most one
+ * bare `<customer>` for the other products.
+ *
+ * Returns { from: customer key or null, fromByProduct: { [product]: customer key } }
+ */
+function parseSeedOption(value) {
+  const seeds = { from: null, fromByProduct: {} };
+  for (const entry of (value || "").split(",").filter(Boolean)) {
+    const [productKey, customerKey] = entry.includes("=") ? entry.split("=", 2) : [null, entry];
+    if (productKey === null) {
+      if (seeds.from) throw new Error(`--from names more than one customer for every product (${seeds.from}, ${customerKey})`);
+      seeds.from = customerKey;
+    } else {
+      if (productKey in seeds.fromByProduct) throw new Error(`--from names more than one seed for ${productKey}`);
+      seeds.fromByProduct[productKey] = customerKey;
+    }
+  }
+  return seeds;
+}
+
+/**
+ * Work out a new customer's entries. `from` seeds every product the customer
+ * has; `fromByProduct` ({ [product]: customer key }) seeds single products.
+ *
+ * Returns {
+ *   customer:      the `customers` entry
+ *   configuration: the `configurations` entry, keyed by product
+ *   seeds:         { [product]: seed customer, or null for the product defaults }
+ *   dropped:       [{ product, flag }]  // per-site seed values left to the default
+ *   problems:      [message]           // nothing can be written while there are any
+ * }
+ */
+function scaffoldCustomer(data, { key, name, ehr, products, from, fromByProduct = {} }) {
+  const problems = [];
+  const productKeys = data.products.map((p) => p.key);
+
+  if (!/^[a-z0-9_]+$/.test(key || "")) {
+    problems.push(`customer key "${key || ""}" must be lowercase letters, digits and _ (e.g. acme_health)`);
+  } else if (data.customers.some((c) => c.key === key)) {
+    problems.push(`customer "${key}" already exists`);
+  }
+  if (!name || !name.trim()) problems.push("missing display name");
+  if (!knownEhrs(data).includes(ehr)) {
+    problems.push(`unknown EHR "${ehr || ""}" (expected one of ${knownEhrs(data).join(", ")})`);
+  }
+  if (products.length === 0) problems.push(`no products (expected some of ${productKeys.join(", ")})`);
+  for (const productKey of products) {
+    if (!productKeys.includes(productKey)) {
+      problems.push(`unknown product "${productKey}" (expected one of ${productKeys.join(", ")})`);
+    }
+  }
+  if (new Set(products).size !== products.length) problems.push("a product is listed twice");
+
+  const customerKeys = data.customers.map((c) => c.key);
+  const findSeed = (seedKey) => {
+    const seed = data.customers.find((c) => c.key === seedKey);
+    if (!seed) problems.push(`unknown customer "${seedKey}" for --from (expected one of ${customerKeys.join(", ")})`);
+    return seed;
+  };
+  const seedCustomer = from ? findSeed(from) : null;
+  const productSeeds = {};
+  for (const [productKey, seedKey] of Object.entries(fromByProduct)) {
+    if (!products.includes(productKey)) {
+      problems.push(`--from seeds ${productKey}, which is not in --products`);
+      continue;
+    }
+    const seed = findSeed(seedKey);
+    if (seed && !seed.products.includes(productKey)) {
+      const candidates = data.customers.filter((c) => c.products.includes(productKey)).map((c) => c.key);
+      problems.push(`${seed.key} has no ${productKey} configuration to seed from (customers with it: ${candidates.join(", ") || "none"})`);
+    }
+    productSeeds[productKey] = seed;
+  }
+
+  const customer = { key, name, products, ehr };
+  const configuration = {};
+  const seeds = {};
+  const dropped = [];
+  if (problems.length) return { customer, configuration, seeds, dropped, problems };
+
+  for (const productKey of products) {
+    const seed = productSeeds[productKey] || seedCustomer;
+    const source = seed?.products.includes(productKey) ? data.configurations[seed.key]?.[productKey] : null;
+    const seeded = seedConfiguration(data, productKey, source);
+    configuration[productKey] = seeded.config;
+    seeds[productKey] = source ? seed : null;
+    dropped.push(...seeded.dropped.map((flag) => ({ product: productKey, flag })));
+
+    if (seeded.missing.length) {
+      const candidates = data.customers.filter((c) => c.products.includes(productKey)).map((c) => c.key);
+      problems.push(
+        `${productKey} has no default for ${seeded.missing.join(", ")}` +
+          (candidates.length
+            ? ` — seed it with --from ${productKey}=<customer>, from a customer that has it (${candidates.join(", ")})`
+            : "")
+      );
+    }
+  }
+
+  return { customer, configuration, seeds, dropped, problems };
+}
+
+/**
+ * feature-flags.json text with the scaffold's customer, configuration and a
+ * changelog entry added
+ */
+function applyScaffold(text, data, scaffold) {
+  const { customer, configuration, seeds } = scaffold;
+  text = appendJsonArrayItem(text, ["customers"], customer);
+  text = setJsonValue(text, ["configurations", customer.key], configuration);
+
+  const seededFrom = customer.products.map((productKey) => {
+    const product = data.products.find((p) => p.key === productKey);
+    return `${product.name} from ${seeds[productKey] ? seeds[productKey].name : "the product defaults"}`;
+  });
+  return addChangelogEntry(text, `Added customer ${customer.name} (${customer.ehr}), seeded ${seededFrom.join("; ")}`);
+}
+
+// ─── Formatter ────────────────────────────────────────────────────────────────
+
+/**
+ * Format the scaffold for review (terminal output)
+ */
+function formatScaffoldReport(data, scaffold) {
+  const { customer, configuration, seeds, dropped, problems } = scaffold;
+  const lines = [];
+  const ln = (s = "") => lines.push(s);
+
+  ln("═══════════════════════════════════════════════════════");
+  ln(`  NEW CUSTOMER — ${customer.name || "?"} (${customer.key || "?"})`);
+  ln("═══════════════════════════════════════════════════════");
+  ln();
+
+  if (problems.length) {
+    ln("✗ Problems (nothing can be written until they are gone):");
+    for (const p of problems) ln(`  ${p}`);
+    ln();
+    return lines.join("\n");
+  }
+
+  ln(`  EHR: ${customer.ehr}`);
+  ln();
+  const baseEnv = listEnvironments(data).find((e) => e.key === defaultEnvironment(data));
+  for (const productKey of customer.products) {
+    const product = data.products.find((p) => p.key === productKey);
+    const config = configuration[productKey];
+    ln(`  ${product.name} — seeded from ${seeds[productKey] ? seeds[productKey].name : "the product defaults"}:`);
+    const envs = [
+      [baseEnv, config.flags],
+      ...Object.entries(config.environments || {}).map(([envKey, envConfig]) => [
+        listEnvironments(data).find((e) => e.key === envKey),
+        envConfig.flags,
+      ]),
+    ];
+    for (const [env, flags] of envs) {
+      const entries = Object.entries(flags);
+      if (entries.length === 0) {
+        ln(`    [${env.name}] no overrides — every flag uses its default`);
+        continue;
+      }
+      ln(`    [${env.name}] ${entries.length} override(s):`);
+      for (const [flagKey, value] of entries) ln(`      ${flagKey}: ${formatFlagValue(value)}`);
+    }
+    ln();
+  }
+
+  if (dropped.length) {
+    ln("⚠ Per-site values that differ by site (left to the default):");
+    for (const d of dropped) ln(`  ${d.product} / ${d.flag}`);
+    ln();
+  }
+
+  return lines.join("\n");
+}
+
+// ─── Outputs ──────────────────────────────────────────────────────────────────
+
+/**
+ * Regenerate the customer's pre-filled CSV and test plan. Returns false when
+ * either generator fails (after printing its output).
+ */
+function regenerate(customerKey) {
+  const steps = [
+    [ROOT, ["generate.js", "--only", "csv", "--customer", customerKey], `templates/prefilled-${customerKey}.csv`],
+    [TEST_SUITE_DIR, ["generate-tests.js", "--customer", customerKey], `test-suite/test-plans/test-plan-${customerKey}.csv`],
+  ];
+  for (const [cwd, args, output] of steps) {
+    try {
+      execFileSync(process.execPath, args, { cwd, encoding: "utf-8", stdio: ["ignore", "pipe", "pipe"] });
+      console.log(`✓ Generated ${output}`);
+    } catch (err) {
+      console.error(`✗ ${args[0]} failed:\n\n${err.stdout || ""}${err.stderr || err.message}`);
+      return false;
+    }
+  }
+  return true;
+}
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  const args = process.argv.slice(2);
+  const write = args.includes("--write");
+  const optionValue = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? null : args[index + 1];
+  };
+  const optionIndexes = ["--ehr", "--products", "--from"].map((name) => args.indexOf(name)).filter((i) => i !== -1);
+  const [key, name, ...extra] = args.filter((a, i) => !a.startsWith("--") && !optionIndexes.includes(i - 1));
+
+  if (!key || !name || !optionValue("--ehr") || !optionValue("--products") || extra.length) {
+    console.error(
+      'Usage: node add-customer.js <key> "<name>" --ehr <EHR> --products <product,...>' +
+        " [--from <customer> | --from <product>=<customer>,...] [--write]"
+    );
+    process.exit(1);
+  }
+
+  let seeds;
+  try {
+    seeds = parseSeedOption(optionValue("--from"));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  let text;
+  let data;
+  try {
+    text = readFlagDataText(JSON_PATH);
+    data = JSON.parse(text);
+  } catch (err) {
+    console.error(`Error reading ${JSON_PATH}:`, err.message);
+    process.exit(1);
+  }
+
+  const scaffold = scaffoldCustomer(data, {
+    key,
+    name,
+    ehr: optionValue("--ehr"),
+    products: optionValue("--products").split(",").filter(Boolean),
+    ...seeds,
+  });
+  console.log(formatScaffoldReport(data, scaffold));
+  if (scaffold.problems.length) process.exit(1);
+
+  const updated = applyScaffold(text, data, scaffold);
+  const problems = validateData(JSON.parse(updated));
+  if (problems.length) {
+    console.error(formatProblems(problems, `${JSON_REL_PATH} with ${key} added`));
+    process.exit(1);
+  }
+
+  if (!write) {
+    console.log(`Run again with --write to update ${JSON_REL_PATH}.`);
+    return;
+  }
+  const written = writeFlagData(JSON_PATH, JSON.parse(updated)).map((file) => path.relative(ROOT, file));
+  console.log(`✓ Added ${key} to ${written.join(", ")}`);
+  if (!regenerate(key)) process.exit(1);
+  console.log("\nReview with `git diff`, then run `node generate.js` to update the viewer and the other outputs.");
+}
+
+// Export for programmatic use
+module.exports = {
+  knownEhrs,
+  parseSeedOption,
+  scaffoldCustomer,
+  applyScaffold,
+  formatScaffoldReport,
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
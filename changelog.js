@@ -3,8 +3,9 @@
 /**
  * changelog.js — Detect feature flag changes and notify
  *
- * Compares feature-flags.json between the current state and the last
- * committed version (or any two git refs). If changes are detected:
+ * Compares feature-flags.json (or the data directory, see lib/flag-data.js)
+ * between the current state and the last committed version (or any two git
+ * refs). If changes are detected:
  *   1. Prints a human-readable changelog to stdout
  *   2. Posts a summary to Slack via webhook (if SLACK_WEBHOOK_URL is set)
  *
@@ -21,34 +22,27 @@
  *   const { detectChanges, formatChangelog, formatSlackMessage, postToSlack } = require('./changelog');
  */
 
-const { execSync } = require("child_process");
 const https = require("https");
 const http = require("http");
-const path = require("path");
-const fs = require("fs");
-
-const ROOT = __dirname;
-const JSON_REL_PATH = "data/feature-flags.json";
-const JSON_ABS_PATH = path.join(ROOT, JSON_REL_PATH);
+const { compareSiteValues, customerSiteKeys } = require("./lib/flag-values");
+const { formatFlagValue } = require("./lib/display");
+const {
+  listEnvironments,
+  defaultEnvironment,
+  resolveEnvironment,
+} = require("./lib/environments");
+const { categoryLabel, flagCategory } = require("./lib/categories");
+const { defaultDataPath, readFlagData, readFlagDataAtRef } = require("./lib/flag-data");
 
 // ─── Git helpers ──────────────────────────────────────────────────────────────
 
 function getJsonAtRef(ref) {
-  try {
-    const raw = execSync(`git show ${ref}:${JSON_REL_PATH}`, {
-      cwd: ROOT,
-      encoding: "utf-8",
-      stdio: ["pipe", "pipe", "pipe"],
-    });
-    return JSON.parse(raw);
-  } catch {
-    return null;
-  }
+  return readFlagDataAtRef(ref);
 }
 
 function getCurrentJson() {
   try {
-    return JSON.parse(fs.readFileSync(JSON_ABS_PATH, "utf-8"));
+    return readFlagData(defaultDataPath());
   } catch {
     return null;
   }
@@ -64,8 +58,9 @@ function detectChanges(oldData, newData) {
     productsRemoved: [],
     flagsAdded: [],
     flagsRemoved: [],
-    configChanges: [], // { customer, product, flag, oldValue, newValue }
-    noteChanges: [], // { customer, product, flag, oldNote, newNote }
+    flagCategories: {}, // flag key → category label, for added / removed flags
+    configChanges: [], // { customer, product, environment, flag, site, oldValue, newValue }
+    noteChanges: [], // { customer, product, environment, flag, oldNote, newNote }
     customerProductChanges: [], // { customer, added: [], removed: [] }
   };
 
@@ -119,14 +114,29 @@ function detectChanges(oldData, newData) {
     for (const f of flags) newFlagKeys.add(f.key);
   }
   for (const key of newFlagKeys) {
-    if (!oldFlagKeys.has(key)) changes.flagsAdded.push(key);
+    if (oldFlagKeys.has(key)) continue;
+    changes.flagsAdded.push(key);
+    changes.flagCategories[key] = categoryLabel(newData, flagCategory(newData, key));
   }
   for (const key of oldFlagKeys) {
-    if (!newFlagKeys.has(key)) changes.flagsRemoved.push(key);
+    if (newFlagKeys.has(key)) continue;
+    changes.flagsRemoved.push(key);
+    changes.flagCategories[key] = categoryLabel(oldData, flagCategory(oldData, key));
   }
 
   // ── Configuration value changes ─────────────────────────────────────────
+  // Values are compared per environment. A non-default environment that
+  // inherits a change from the default one is not reported a second time.
   const allCustomerKeys = new Set([...oldCustomerKeys, ...newCustomerKeys]);
+  const defaultEnv = defaultEnvironment(newData);
+  const envKeys = [
+    defaultEnv,
+    ...new Set(
+      [...listEnvironments(oldData), ...listEnvironments(newData)]
+        .map((e) => e.key)
+        .filter((k) => k !== defaultEnv)
+    ),
+  ];
 
   for (const custKey of allCustomerKeys) {
     const oldCust = oldData.customers.find((c) => c.key === custKey);
@@ -146,50 +156,61 @@ function detectChanges(oldData, newData) {
     for (const prodKey of allProducts) {
       const productName =
         newData.products.find((p) => p.key === prodKey)?.name || prodKey;
-      const oldFlags = oldConfig[prodKey]?.flags || {};
-      const newFlags = newConfig[prodKey]?.flags || {};
-      const oldNotes = oldConfig[prodKey]?.notes || {};
-      const newNotes = newConfig[prodKey]?.notes || {};
-
-      // Flag value changes
-      const allFlagKeys = new Set([
-        ...Object.keys(oldFlags),
-        ...Object.keys(newFlags),
-      ]);
-      for (const flagKey of allFlagKeys) {
-        const oldVal = oldFlags[flagKey];
-        const newVal = newFlags[flagKey];
-        if (oldVal !== newVal) {
-          changes.configChanges.push({
-            customer: customerName,
-            customerKey: custKey,
-            product: productName,
-            productKey: prodKey,
-            flag: flagKey,
-            oldValue: oldVal,
-            newValue: newVal,
-          });
+      const defaultChanges = new Set();
+
+      // Effective values, product defaults included — so moving a value into
+      // `defaults` is not a change, but changing a default is, for every
+      // customer that inherits it
+      const resolve = (config, envKey, d) =>
+        config ? resolveEnvironment(config, envKey, d, prodKey) : { flags: {}, notes: {} };
+
+      for (const envKey of envKeys) {
+        const oldResolved = resolve(oldConfig[prodKey], envKey, oldData);
+        const newResolved = resolve(newConfig[prodKey], envKey, newData);
+        const isDefault = envKey === defaultEnv;
+        const context = {
+          customer: customerName,
+          customerKey: custKey,
+          product: productName,
+          productKey: prodKey,
+          environment: envKey,
+        };
+
+        // Flag value changes
+        const oldFlags = oldResolved.flags;
+        const newFlags = newResolved.flags;
+        const allFlagKeys = new Set([
+          ...Object.keys(oldFlags),
+          ...Object.keys(newFlags),
+        ]);
+        // Per-site values are compared site by site (site is null otherwise)
+        const siteKeys = customerSiteKeys(newCust);
+        for (const flagKey of allFlagKeys) {
+          const comparisons = compareSiteValues(oldFlags[flagKey], newFlags[flagKey], siteKeys);
+          for (const { site, oldValue, newValue } of comparisons) {
+            if (oldValue === newValue) continue;
+            const signature = JSON.stringify(["flag", flagKey, site, oldValue, newValue]);
+            if (isDefault) defaultChanges.add(signature);
+            else if (defaultChanges.has(signature)) continue;
+            changes.configChanges.push({ ...context, flag: flagKey, site, oldValue, newValue });
+          }
         }
-      }
 
-      // Note changes
-      const allNoteKeys = new Set([
-        ...Object.keys(oldNotes),
-        ...Object.keys(newNotes),
-      ]);
-      for (const flagKey of allNoteKeys) {
-        const oldNote = oldNotes[flagKey] || "";
-        const newNote = newNotes[flagKey] || "";
-        if (oldNote !== newNote) {
-          changes.noteChanges.push({
-            customer: customerName,
-            customerKey: custKey,
-            product: productName,
-            productKey: prodKey,
-            flag: flagKey,
-            oldNote,
-            newNote,
-          });
+        // Note changes
+        const oldNotes = oldResolved.notes;
+        const newNotes = newResolved.notes;
+        const allNoteKeys = new Set([
+          ...Object.keys(oldNotes),
+          ...Object.keys(newNotes),
+        ]);
+        for (const flagKey of allNoteKeys) {
+          const oldNote = oldNotes[flagKey] || "";
+          const newNote = newNotes[flagKey] || "";
+          if (oldNote === newNote) continue;
+          const signature = JSON.stringify(["note", flagKey, oldNote, newNote]);
+          if (isDefault) defaultChanges.add(signature);
+          else if (defaultChanges.has(signature)) continue;
+          changes.noteChanges.push({ ...context, flag: flagKey, oldNote, newNote });
         }
       }
     }
@@ -214,25 +235,12 @@ function hasChanges(changes) {
 
 // ─── Formatters ───────────────────────────────────────────────────────────────
 
-function formatValue(val) {
-  if (val === true) return "Enabled";
-  if (val === false) return "Disabled";
-  if (val === undefined) return "—";
-  return String(val);
-}
-
-function formatValueShort(val) {
-  if (val === true) return "Y";
-  if (val === false) return "N";
-  if (val === undefined) return "—";
-  return String(val);
-}
+// Y / N in Slack messages (see lib/display.js formatFlagValue)
+const SHORT_VALUE = { on: "Y", off: "N" };
 
-function flagDisplayName(flagKey) {
-  return flagKey
-    .split("_")
-    .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
-    .join(" ");
+function formatFlagKey(changes, flagKey) {
+  const category = changes.flagCategories?.[flagKey];
+  return category ? `${flagKey} (${category})` : flagKey;
 }
 
 /**
@@ -294,12 +302,12 @@ function formatChangelog(changes, oldRef, newRef) {
   // Flag definitions
   if (changes.flagsAdded.length) {
     ln("🆕 New Flag Definitions:");
-    for (const f of changes.flagsAdded) ln(`  + ${f}`);
+    for (const f of changes.flagsAdded) ln(`  + ${formatFlagKey(changes, f)}`);
     ln();
   }
   if (changes.flagsRemoved.length) {
     ln("🗑️  Removed Flag Definitions:");
-    for (const f of changes.flagsRemoved) ln(`  - ${f}`);
+    for (const f of changes.flagsRemoved) ln(`  - ${formatFlagKey(changes, f)}`);
     ln();
   }
 
@@ -308,10 +316,10 @@ function formatChangelog(changes, oldRef, newRef) {
     ln("⚙️  Configuration Changes:");
     ln();
 
-    // Group by customer
+    // Group by customer, product and environment
     const byCustomer = {};
     for (const c of changes.configChanges) {
-      const key = `${c.customer} / ${c.product}`;
+      const key = `${c.customer} / ${c.product} [${c.environment}]`;
       if (!byCustomer[key]) byCustomer[key] = [];
       byCustomer[key].push(c);
     }
@@ -320,7 +328,7 @@ function formatChangelog(changes, oldRef, newRef) {
       ln(`  ${group}:`);
       for (const item of items) {
         ln(
-          `    ${item.flag}: ${formatValue(item.oldValue)} → ${formatValue(item.newValue)}`
+          `    ${item.flag}${item.site ? ` @ ${item.site}` : ""}: ${formatFlagValue(item.oldValue)} → ${formatFlagValue(item.newValue)}`
         );
       }
       ln();
@@ -331,12 +339,13 @@ function formatChangelog(changes, oldRef, newRef) {
   if (changes.noteChanges.length) {
     ln("📝 Note Changes:");
     for (const n of changes.noteChanges) {
+      const where = `${n.customer} / ${n.flag} [${n.environment}]`;
       if (n.newNote && !n.oldNote) {
-        ln(`  ${n.customer} / ${n.flag}: added note`);
+        ln(`  ${where}: added note`);
       } else if (!n.newNote && n.oldNote) {
-        ln(`  ${n.customer} / ${n.flag}: removed note`);
+        ln(`  ${where}: removed note`);
       } else {
-        ln(`  ${n.customer} / ${n.flag}: updated note`);
+        ln(`  ${where}: updated note`);
       }
     }
     ln();
@@ -386,16 +395,19 @@ function formatSlackMessage(changes, viewerUrl) {
   if (changes.configChanges.length) {
     const byCustomer = {};
     for (const c of changes.configChanges) {
-      const key = c.customer;
-      if (!byCustomer[key]) byCustomer[key] = { product: c.product, items: [] };
+      const key = `${c.customer} [${c.environment}]`;
+      if (!byCustomer[key]) {
+        byCustomer[key] = { customer: c.customer, product: c.product, environment: c.environment, items: [] };
+      }
       byCustomer[key].items.push(c);
     }
 
-    for (const [customer, { product, items }] of Object.entries(byCustomer)) {
-      let text = `*${customer}* — ${product}\n`;
+    for (const { customer, product, environment, items } of Object.values(byCustomer)) {
+      let text = `*${customer}* — ${product} (${environment})\n`;
       for (const item of items) {
         const emoji = item.newValue === true ? ":large_green_circle:" : ":red_circle:";
-        text += `${emoji}  \`${item.flag}\`: ${formatValueShort(item.oldValue)} → ${formatValueShort(item.newValue)}\n`;
+        const site = item.site ? ` @ ${item.site}` : "";
+        text += `${emoji}  \`${item.flag}\`${site}: ${formatFlagValue(item.oldValue, SHORT_VALUE)} → ${formatFlagValue(item.newValue, SHORT_VALUE)}\n`;
       }
       blocks.push({
         type: "section",
@@ -420,7 +432,8 @@ function formatSlackMessage(changes, viewerUrl) {
   if (changes.flagsAdded.length) {
     let text = "*New Flags*\n";
     for (const f of changes.flagsAdded) {
-      text += `:new:  \`${f}\`\n`;
+      const category = changes.flagCategories?.[f];
+      text += `:new:  \`${f}\`${category ? ` — ${category}` : ""}\n`;
     }
     blocks.push({
       type: "section",
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * drift.js — Report drift between feature-flags.json and deployed ConfigMaps
+ *
+ * Reads a folder of per-customer ConfigMap YAMLs (see lib/drift.js for the
+ * naming) and, via data/env-var-mapping.yaml, reports:
+ *   - flags whose deployed env vars disagree with the JSON
+ *   - env vars set inconsistently across the ConfigMaps that share them
+ *     (e.g. SEPSIS_DEESCALATION_ENABLED)
+ *   - flags that cannot be read from the deployed values
+ *   - env vars missing from the mapping (Gap 2 candidates)
+ *
+ * Usage:
+ *   node drift.js deployed/                  # markdown report
+ *   node drift.js deployed/ --json           # JSON report
+ *   node drift.js deployed/ --out reports/   # write drift-report.md and drift-report.json
+ *   node drift.js deployed/ --check          # exit non-zero when anything drifted
+ *
+ * The viewer shows the same report in a "Drift" tab when generated with
+ * `node generate.js --deployed deployed/`.
+ *
+ * Can also be called programmatically:
+ *   const { buildDriftReport } = require('./drift');
+ */
+
+const path = require("path");
+const fs = require("fs");
+const { loadEnvVarMapping } = require("./lib/env-vars");
+const { loadDeployments, findDrift, hasDrift, formatDriftMarkdown } = require("./lib/drift");
+const { today } = require("./lib/lifecycle");
+const { defaultDataPath, readFlagData } = require("./lib/flag-data");
+
+const ROOT = __dirname;
+const JSON_PATH = defaultDataPath();
+const MAPPING_PATH = path.join(ROOT, "data", "env-var-mapping.yaml");
+
+/**
+ * Load a deployment folder and compare it with the data.
+ * Returns the report as written to drift-report.json.
+ */
+function buildDriftReport(data, dir, mappingPath = MAPPING_PATH) {
+  const mapping = loadEnvVarMapping(mappingPath);
+  const { deployments, skipped } = loadDeployments(dir, data);
+  return {
+    generated: today(),
+    source: dir,
+    ...findDrift(data, mapping, deployments),
+    skipped,
+  };
+}
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes("--json");
+  const check = args.includes("--check");
+  const outIndex = args.indexOf("--out");
+  const outDir = outIndex === -1 ? null : args[outIndex + 1];
+  const [dir] = args.filter((a, i) => !a.startsWith("--") && !(outIndex !== -1 && i === outIndex + 1));
+
+  if (!dir || (outIndex !== -1 && !outDir)) {
+    console.error("Usage: node drift.js <deployed-configmaps-dir> [--json] [--out <dir>] [--check]");
+    process.exit(1);
+  }
+
+  let data;
+  try {
+    data = readFlagData(JSON_PATH);
+  } catch (err) {
+    console.error(`Error reading ${JSON_PATH}:`, err.message);
+    process.exit(1);
+  }
+
+  let report;
+  try {
+    report = buildDriftReport(data, dir);
+  } catch (err) {
+    console.error("Error reading deployed ConfigMaps:", err.message);
+    process.exit(1);
+  }
+  for (const s of report.skipped) console.warn(`⚠ Skipped ${s.file}: ${s.reason}`);
+
+  const markdown = formatDriftMarkdown(report, data, { source: dir, date: report.generated });
+  if (outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, "drift-report.md"), markdown, "utf-8");
+    fs.writeFileSync(path.join(outDir, "drift-report.json"), JSON.stringify(report, null, 2) + "\n", "utf-8");
+    console.log(`✓ Wrote drift-report.md and drift-report.json to ${outDir}`);
+  } else if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(markdown);
+  }
+
+  if (check && hasDrift(report)) process.exit(1);
+}
+
+// Export for programmatic use
+module.exports = {
+  buildDriftReport,
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
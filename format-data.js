@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * format-data.js — Put feature-flags.json in canonical form
+ *
+ * Rewrites the file in the layout described in lib/canonical-json.js
+ * (fixed section and key order, flags in definition order, list entries one
+ * per line), so that editors and scripts produce the same text and diffs
+ * only show real changes. The tools that write the data (set-flag.js,
+ * add-customer.js, the importers) already write it in this form, in either
+ * layout.
+ *
+ * A data directory (see lib/flag-data.js) has its definitions.json and
+ * every customers/{key}.json formatted the same way. --split turns the
+ * single file into such a directory.
+ *
+ * Usage:
+ *   node format-data.js                                # format the data (see lib/flag-data.js)
+ *   node format-data.js path/to/flags.json             # format another file or data directory
+ *   node format-data.js --check                        # write nothing; exit non-zero when not canonical (CI)
+ *   node format-data.js --split data/feature-flags     # write the data as a directory (then remove the file)
+ *
+ * Can also be called programmatically:
+ *   const { formatFlagData, isCanonical } = require('./lib/canonical-json');
+ */
+
+const path = require("path");
+const fs = require("fs");
+const { formatFlagData, formatFlagDataFiles } = require("./lib/canonical-json");
+const { defaultDataPath, isDataDir, readFlagData } = require("./lib/flag-data");
+
+/**
+ * 1-based number of the first line where two texts differ
+ */
+function firstDifference(a, b) {
+  const linesA = a.split("\n");
+  const linesB = b.split("\n");
+  const index = linesA.findIndex((line, i) => line !== linesB[i]);
+  return (index === -1 ? linesA.length : index) + 1;
+}
+
+/**
+ * A path for messages: relative to the working directory when inside it
+ */
+function displayPath(p) {
+  const rel = path.relative(process.cwd(), p);
+  return rel && !rel.startsWith("..") ? rel : p;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const check = args.includes("--check");
+  const splitIndex = args.indexOf("--split");
+  const splitDir = splitIndex === -1 ? null : args[splitIndex + 1];
+  const [file] = args.filter((a, i) => !a.startsWith("--") && !(splitIndex !== -1 && i === splitIndex + 1));
+  const dataPath = file ? path.resolve(file) : defaultDataPath();
+
+  if (splitIndex !== -1 && (!splitDir || check || isDataDir(dataPath))) {
+    console.error("Usage: node format-data.js [file] --split <dir>   (from a single JSON file)");
+    process.exit(1);
+  }
+
+  // Every file to write: [absolute path, current text (null when missing), canonical text]
+  let files;
+  try {
+    const data = readFlagData(dataPath);
+    if (splitDir) {
+      files = Object.entries(formatFlagDataFiles(data)).map(([rel, text]) => [path.resolve(splitDir, rel), null, text]);
+    } else if (isDataDir(dataPath)) {
+      files = Object.entries(formatFlagDataFiles(data)).map(([rel, text]) => {
+        const p = path.join(dataPath, rel);
+        return [p, fs.readFileSync(p, "utf-8"), text];
+      });
+    } else {
+      files = [[dataPath, fs.readFileSync(dataPath, "utf-8"), formatFlagData(data)]];
+    }
+  } catch (err) {
+    console.error(`Error reading ${displayPath(dataPath)}: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (splitDir) {
+    if (fs.existsSync(splitDir) && fs.readdirSync(splitDir).length) {
+      console.error(`${displayPath(path.resolve(splitDir))} already exists and is not empty`);
+      process.exit(1);
+    }
+    for (const [p, , text] of files) {
+      fs.mkdirSync(path.dirname(p), { recursive: true });
+      fs.writeFileSync(p, text, "utf-8");
+    }
+    console.log(`✓ Wrote ${files.length} file(s) to ${displayPath(path.resolve(splitDir))}`);
+    console.log(`  Remove ${displayPath(dataPath)} to read and edit the data there from now on.`);
+    return;
+  }
+
+  const changed = files.filter(([, text, formatted]) => text !== formatted);
+  if (changed.length === 0) {
+    console.log(`✓ ${displayPath(dataPath)} is in canonical form`);
+    return;
+  }
+  if (check) {
+    for (const [p, text, formatted] of changed) {
+      console.error(`✗ ${displayPath(p)} is not in canonical form (first difference at line ${firstDifference(text, formatted)})`);
+    }
+    console.error("\nRun `node format-data.js` to format it.");
+    process.exit(1);
+  }
+  for (const [p, , formatted] of changed) {
+    fs.writeFileSync(p, formatted, "utf-8");
+    console.log(`✓ Formatted ${displayPath(p)}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
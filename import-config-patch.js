@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+
+/**
+ * import-config-patch.js — Propose feature-flags.json values from config-patch YAMLs
+ *
+ * Reads a customer's deployed ConfigMaps (config-patch YAML files), works out
+ * the flag values they imply via data/env-var-mapping.yaml (see lib/env-vars.js)
+ * and compares them with the customer's `configurations` entry:
+ *   - proposed changes, with the env vars behind each one
+ *   - flags whose env vars disagree or cannot be read (left unchanged)
+ *   - env vars the mapping does not know about (Gap 2 candidates)
+ *
+ * Nothing is written unless --write is given, or while the result would not
+ * validate (see validate.js); flag rules the import breaks are reported.
+ * Values equal to the product default are stored by removing the override;
+ * staging values that match production are stored by removing the staging
+ * override. Enum / string /
+ * integer flags on env vars that hold their value are read as that value;
+ * where env vars only tell whether such a flag is on, it is compared as on or
+ * off, and an enum or integer flag that should be off gets its `off` value.
+ *
+ * Usage:
+ *   node import-config-patch.js ccf config-patch.yaml                 # compare against production
+ *   node import-config-patch.js ccf staging.yaml --env staging        # compare against staging
+ *   node import-config-patch.js ccf a.yaml b.yaml --write             # apply to feature-flags.json
+ *
+ * Can also be called programmatically:
+ *   const { proposeUpdate, formatImportReport } = require('./import-config-patch');
+ */
+
+const path = require("path");
+const fs = require("fs");
+const { loadEnvVarMapping, readConfigMaps, inferFlagValues } = require("./lib/env-vars");
+const { listEnvironments, defaultEnvironment, resolveEnvironment } = require("./lib/environments");
+const { defaultValue } = require("./lib/defaults");
+const { setJsonValue } = require("./lib/json-edit");
+const { defaultDataPath, readFlagDataText, writeFlagData } = require("./lib/flag-data");
+const { quoteYaml } = require("./lib/yaml");
+const { isSiteMap, isEnabledValue, compareSiteValues, customerSiteKeys } = require("./lib/flag-values");
+const { flagType } = require("./lib/flag-types");
+const { formatFlagValue } = require("./lib/display");
+const { newViolations, formatViolations } = require("./lib/rules");
+const { validateData, formatProblems } = require("./validate");
+
+const ROOT = __dirname;
+const JSON_PATH = defaultDataPath();
+const JSON_REL_PATH = path.relative(ROOT, JSON_PATH);
+const MAPPING_PATH = path.join(ROOT, "data", "env-var-mapping.yaml");
+
+// ─── Proposal ─────────────────────────────────────────────────────────────────
+
+/**
+ * True when `value` only says on or off (true / false, or per site) for a
+ * flag whose values are enum / string / integer values
+ */
+function isOnOffOnly(flag, value) {
+  if (flagType(flag) === "boolean") return false;
+  return (isSiteMap(value) ? Object.values(value) : [value]).every((v) => typeof v === "boolean");
+}
+
+/**
+ * Apply inferred flag values to a customer's configurations in one environment.
+ *
+ * Returns {
+ *   changes:       [{ product, flag, oldValue, newValue }],
+ *   unchanged:     number of inferred values that already match,
+ *   notApplicable: [flag]  // inferred, but not applicable to any of the customer's products
+ *   unstorable:    [{ flag, message }]  // per-hospital values the customer's sites cannot hold
+ *   configuration: the customer's updated `configurations` entry
+ * }
+ */
+function proposeUpdate(data, customer, envKey, values) {
+  const configuration = structuredClone(data.configurations[customer.key] || {});
+  const baseEnv = defaultEnvironment(data);
+  const flags = Object.values(data.flagDefinitions).flat();
+  const siteKeys = customerSiteKeys(customer);
+  const changes = [];
+  const unstorable = [];
+  const applied = new Set();
+  let unchanged = 0;
+
+  // Mixed per-hospital values need a declared site for every hospital
+  for (const [flagKey, value] of Object.entries(values)) {
+    if (!isSiteMap(value)) continue;
+    const undeclared = Object.keys(value).filter((site) => !siteKeys.includes(site));
+    const unset = siteKeys.filter((site) => !(site in value));
+    if (siteKeys.length === 0) {
+      unstorable.push({ flag: flagKey, message: `mixed by hospital, but ${customer.name} declares no sites` });
+    } else if (undeclared.length || unset.length) {
+      const parts = [
+        undeclared.length && `undeclared site(s) ${undeclared.join(", ")}`,
+        unset.length && `no value for ${unset.join(", ")}`,
+      ].filter(Boolean);
+      unstorable.push({ flag: flagKey, message: `mixed by hospital: ${parts.join("; ")}` });
+    }
+  }
+  values = Object.fromEntries(
+    Object.entries(values).filter(([flagKey]) => !unstorable.some((u) => u.flag === flagKey))
+  );
+
+  for (const productKey of customer.products || []) {
+    const prodConfig = configuration[productKey] || (configuration[productKey] = {});
+    const current = resolveEnvironment(prodConfig, envKey, data, productKey).flags;
+
+    for (const flag of flags) {
+      if (!(flag.key in values)) continue;
+      if (flag.applicableProducts !== "all" && !flag.applicableProducts.includes(productKey)) continue;
+      applied.add(flag.key);
+      let newValue = values[flag.key];
+      const onOff = isOnOffOnly(flag, newValue);
+      const asNew = (v) => (onOff && v !== undefined ? isEnabledValue(flag, v) : v);
+      const same = compareSiteValues(current[flag.key], newValue, siteKeys).every(
+        (c) => asNew(c.oldValue) === c.newValue
+      );
+      if (same) {
+        unchanged++;
+        continue;
+      }
+      // Off is the flag's `off` value; which value is on, env vars cannot tell
+      if (onOff && !(newValue === false && flag.off !== undefined)) {
+        const state = isSiteMap(newValue) ? "mixed by hospital" : newValue ? "on" : "off";
+        if (!unstorable.some((u) => u.flag === flag.key)) {
+          unstorable.push({ flag: flag.key, message: `${flagType(flag)} flag is ${state} — set its value by hand` });
+        }
+        continue;
+      }
+      if (onOff) newValue = flag.off;
+      changes.push({ product: productKey, flag: flag.key, oldValue: current[flag.key], newValue });
+
+      // Store only what differs from what the value would otherwise inherit
+      if (envKey === baseEnv) {
+        prodConfig.flags = prodConfig.flags || {};
+        const inherited = defaultValue(data, productKey, flag);
+        if (JSON.stringify(newValue) === JSON.stringify(inherited)) delete prodConfig.flags[flag.key];
+        else prodConfig.flags[flag.key] = newValue;
+      } else {
+        const inherited = resolveEnvironment(prodConfig, baseEnv, data, productKey).flags[flag.key];
+        prodConfig.environments = prodConfig.environments || {};
+        const override = prodConfig.environments[envKey] || (prodConfig.environments[envKey] = {});
+        override.flags = override.flags || {};
+        if (JSON.stringify(newValue) === JSON.stringify(inherited)) delete override.flags[flag.key];
+        else override.flags[flag.key] = newValue;
+      }
+    }
+  }
+
+  const notApplicable = Object.keys(values).filter((key) => !applied.has(key));
+  return { changes, unchanged, notApplicable, unstorable, configuration };
+}
+
+/**
+ * feature-flags.json text with the proposal's changed `flags` objects written in
+ */
+function applyProposal(text, customer, envKey, data, proposal) {
+  const products = [...new Set(proposal.changes.map((c) => c.product))];
+  for (const productKey of products) {
+    const prodConfig = proposal.configuration[productKey];
+    const keys = ["configurations", customer.key, productKey];
+    if (envKey === defaultEnvironment(data)) {
+      text = setJsonValue(text, [...keys, "flags"], prodConfig.flags);
+    } else {
+      text = setJsonValue(text, [...keys, "environments", envKey, "flags"], prodConfig.environments[envKey].flags);
+    }
+  }
+  return text;
+}
+
+// ─── Formatter ────────────────────────────────────────────────────────────────
+
+/**
+ * Format the import as a reviewable report (terminal output)
+ */
+function formatImportReport({ customer, envName, files, inferred, proposal }) {
+  const lines = [];
+  const ln = (s = "") => lines.push(s);
+
+  ln("═══════════════════════════════════════════════════════");
+  ln(`  CONFIG-PATCH IMPORT — ${customer.name} (${envName})`);
+  for (const file of files) ln(`  ${file}`);
+  ln("═══════════════════════════════════════════════════════");
+  ln();
+
+  if (proposal.changes.length) {
+    ln("⚙️  Proposed Changes:");
+    ln();
+    const byProduct = {};
+    for (const c of proposal.changes) {
+      if (!byProduct[c.product]) byProduct[c.product] = [];
+      byProduct[c.product].push(c);
+    }
+    for (const [product, items] of Object.entries(byProduct)) {
+      ln(`  ${customer.key} / ${product} [${envName}]:`);
+      for (const item of items) {
+        ln(`    ${item.flag}: ${formatFlagValue(item.oldValue)} → ${formatFlagValue(item.newValue)}`);
+        for (const e of inferred.evidence[item.flag] || []) ln(`      ${e}`);
+      }
+      ln();
+    }
+  } else {
+    ln("✓ No changes — feature-flags.json already matches these ConfigMaps.");
+    ln();
+  }
+
+  if (proposal.unchanged) {
+    ln(`✓ ${proposal.unchanged} flag value(s) already match`);
+    ln();
+  }
+
+  const undetermined = [...inferred.conflicts, ...proposal.unstorable];
+  if (undetermined.length) {
+    ln("⚠ Could Not Determine (left unchanged):");
+    for (const c of undetermined) ln(`  ${c.flag} — ${c.message}`);
+    ln();
+  }
+
+  if (proposal.notApplicable.length) {
+    ln(`ℹ Not applicable to ${customer.name}'s products: ${proposal.notApplicable.join(", ")}`);
+    ln();
+  }
+
+  if (inferred.unknown.length) {
+    ln("❓ Unknown Env Vars (not in env-var-mapping.yaml — Gap 2 candidates):");
+    for (const u of inferred.unknown) ln(`  ${u.configMap}: ${u.name} = ${quoteYaml(u.value)}`);
+    ln();
+  }
+
+  ln(`─── ${proposal.changes.length} proposed change(s) ───`);
+  return lines.join("\n");
+}
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  const args = process.argv.slice(2);
+  const write = args.includes("--write");
+  const envIndex = args.indexOf("--env");
+  const envArg = envIndex === -1 ? null : args[envIndex + 1];
+  const [customerKey, ...files] = args.filter(
+    (a, i) => !a.startsWith("--") && !(envIndex !== -1 && i === envIndex + 1)
+  );
+
+  if (!customerKey || files.length === 0) {
+    console.error("Usage: node import-config-patch.js <customer> <config-patch.yaml>... [--env <environment>] [--write]");
+    process.exit(1);
+  }
+
+  let text;
+  let data;
+  try {
+    text = readFlagDataText(JSON_PATH);
+    data = JSON.parse(text);
+  } catch (err) {
+    console.error(`Error reading ${JSON_PATH}:`, err.message);
+    process.exit(1);
+  }
+
+  const customer = data.customers.find((c) => c.key === customerKey);
+  if (!customer) {
+    console.error(`Unknown customer "${customerKey}" (expected one of ${data.customers.map((c) => c.key).join(", ")})`);
+    process.exit(1);
+  }
+  const env = listEnvironments(data).find((e) => e.key === (envArg || defaultEnvironment(data)));
+  if (!env) {
+    console.error(`Unknown environment "${envArg}" (expected one of ${listEnvironments(data).map((e) => e.key).join(", ")})`);
+    process.exit(1);
+  }
+
+  let mapping;
+  const configMaps = {};
+  try {
+    mapping = loadEnvVarMapping(MAPPING_PATH);
+    for (const file of files) {
+      for (const [name, vars] of Object.entries(readConfigMaps(fs.readFileSync(file, "utf-8")))) {
+        const merged = configMaps[name] || (configMaps[name] = {});
+        for (const [envVar, value] of Object.entries(vars)) {
+          if (envVar in merged && merged[envVar] !== value) {
+            console.warn(`⚠ ${name}: ${envVar} is set twice (${quoteYaml(merged[envVar])}, then ${quoteYaml(value)} in ${file}) — using the last`);
+          }
+          merged[envVar] = value;
+        }
+      }
+    }
+  } catch (err) {
+    console.error("Error reading YAML:", err.message);
+    process.exit(1);
+  }
+  if (Object.keys(configMaps).length === 0) {
+    console.error(`No ConfigMaps found in ${files.join(", ")}`);
+    process.exit(1);
+  }
+
+  const inferred = inferFlagValues(mapping, configMaps, customer, data);
+  const proposal = proposeUpdate(data, customer, env.key, inferred.values);
+  console.log(formatImportReport({ customer, envName: env.name, files, inferred, proposal }));
+
+  if (proposal.changes.length === 0) return;
+  const after = JSON.parse(applyProposal(text, customer, env.key, data, proposal));
+  const problems = validateData(after);
+  if (problems.length) {
+    console.error(`\n${formatProblems(problems, `${JSON_REL_PATH} after the import`)}`);
+    process.exit(1);
+  }
+  const violations = newViolations(data, after);
+  if (violations.length) {
+    console.warn("\n⚠ The import breaks flag rules:\n");
+    console.warn(formatViolations(violations, after));
+  }
+
+  if (!write) {
+    console.log(`\nRun again with --write to update ${JSON_REL_PATH}.`);
+    return;
+  }
+  const written = writeFlagData(JSON_PATH, after).map((file) => path.relative(ROOT, file));
+  console.log(`\n✓ Updated ${written.join(", ")} — review with \`git diff\`, then run \`node generate.js\`.`);
+}
+
+// Export for programmatic use
+module.exports = {
+  proposeUpdate,
+  applyProposal,
+  formatImportReport,
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,420 @@
+#!/usr/bin/env node
+
+/**
+ * import-template.js — Propose feature-flags.json values from a filled-in template CSV
+ *
+ * Reads an integration template that came back from Clinical Ops (a blank
+ * templates/integration-template-{product}.csv or a pre-filled
+ * templates/prefilled-{customer}.csv, see renderers/csv-templates.js) and
+ * compares it with the customer's `configurations` entry:
+ *   - `--- Product ---` rows start each product's section; a template
+ *     without them covers --product, or the customer's only product
+ *   - "Enabled (Y/N)" holds Y/N, or the value itself for enum / string /
+ *     integer flags, or per-site values ("CCF: Y; FAIRH: N"); a blank cell
+ *     leaves the value as it is
+ *   - "Notes" replaces the value's note and annotation ("Partially enabled —
+ *     ..."); a blank cell leaves them as they are
+ *   - N/A rows, the Source column and the descriptive columns are ignored
+ *
+ * Every flag key must be in `flagDefinitions` and apply to the product, and
+ * every value must fit the flag's type. Nothing is written while there are
+ * problems or the result would not validate (see validate.js), or unless
+ * --write is given; flag rules the import breaks are reported. Like
+ * import-config-patch.js, values equal to what they would inherit are stored
+ * by removing the override.
+ *
+ * Usage:
+ *   node import-template.js ccf filled.csv                          # show the proposed changes
+ *   node import-template.js ccf filled.csv --env staging            # compare against staging
+ *   node import-template.js lifebridge sepsis.csv --product sepsis  # a blank template
+ *   node import-template.js ccf filled.csv --write                  # apply to feature-flags.json
+ *
+ * Can also be called programmatically:
+ *   const { readTemplate, proposeTemplateImport } = require('./import-template');
+ */
+
+const path = require("path");
+const fs = require("fs");
+const { parseCsv } = require("./lib/csv");
+const { parseTemplateValue } = require("./lib/flag-types");
+const { listEnvironments, defaultEnvironment, resolveEnvironment } = require("./lib/environments");
+const { isApplicable } = require("./lib/defaults");
+const { splitAnnotatedNote, annotatedNote, formatFlagValue, formatNote } = require("./lib/display");
+const { customerSiteKeys } = require("./lib/flag-values");
+const { setJsonValue } = require("./lib/json-edit");
+const { defaultDataPath, readFlagDataText, writeFlagData } = require("./lib/flag-data");
+const { newViolations, formatViolations } = require("./lib/rules");
+const { proposeUpdate, applyProposal } = require("./import-config-patch");
+const { validateData, formatProblems } = require("./validate");
+
+const ROOT = __dirname;
+const JSON_PATH = defaultDataPath();
+const JSON_REL_PATH = path.relative(ROOT, JSON_PATH);
+
+const COLUMNS = {
+  flag: "Flag Key",
+  value: "Enabled (Y/N)",
+  notes: "Notes",
+};
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+
+/**
+ * Parse a value cell: per-site values ("CCF: Y; FAIRH: N") for customers
+ * that declare those sites, otherwise one value of the flag's type.
+ * Returns { value } or { error }.
+ */
+function parseValueCell(flag, text, customer) {
+  const siteKeys = customerSiteKeys(customer);
+  const parts = text.split(";").map((p) => p.trim()).filter(Boolean);
+  const pairs = parts.map((p) => p.match(/^([^:]+):\s*(.*)$/));
+  if (siteKeys.length && pairs.length && pairs.every((m) => m && siteKeys.includes(m[1].trim()))) {
+    const value = {};
+    for (const [, site, siteText] of pairs) {
+      const parsed = parseTemplateValue(flag, siteText);
+      if (parsed.error) return { error: `${site.trim()}: ${parsed.error}` };
+      if (parsed.value === undefined) return { error: `${site.trim()}: no value` };
+      value[site.trim()] = parsed.value;
+    }
+    return { value };
+  }
+  return parseTemplateValue(flag, text);
+}
+
+/**
+ * Read a filled-in template for a customer.
+ *
+ * Returns {
+ *   rows:     [{ line, product, flag, value?, annotation?, note? }]  // only what the template sets
+ *   problems: [{ line, message }]
+ * }
+ * `value` is left out for blank value cells, `annotation` and `note` for
+ * blank Notes cells.
+ */
+function readTemplate(text, data, customer, { product: productOption } = {}) {
+  const rows = [];
+  const problems = [];
+  const problem = (line, message) => problems.push({ line, message });
+
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (err) {
+    return { rows, problems: [{ line: null, message: err.message }] };
+  }
+
+  const header = records.shift();
+  const column = {};
+  for (const [name, label] of Object.entries(COLUMNS)) {
+    const index = (header?.cells || []).findIndex((c) => c.trim().toLowerCase() === label.toLowerCase());
+    if (index !== -1) column[name] = index;
+  }
+  if (column.flag === undefined || column.value === undefined) {
+    problem(header?.line ?? 1, `expected a header row with "${COLUMNS.flag}" and "${COLUMNS.value}" columns`);
+    return { rows, problems };
+  }
+
+  const flags = Object.values(data.flagDefinitions).flat();
+  const findProduct = (label) =>
+    data.products.find((p) => p.key === label || p.name.toLowerCase() === label.toLowerCase());
+
+  // Sections without a `--- Product ---` row: --product, or the customer's only product
+  let productKey = productOption || (customer.products.length === 1 ? customer.products[0] : null);
+  // Rows under an unknown product's separator are skipped (the separator is the problem)
+  let skipSection = false;
+  const seen = new Set();
+
+  for (const { line, cells } of records) {
+    const cell = (name) => (column[name] === undefined ? "" : (cells[column[name]] || "").trim());
+    if (cells.every((c) => c.trim() === "")) continue;
+
+    const separator = cells[0].trim().match(/^---\s*(.+?)\s*---$/);
+    if (separator) {
+      const product = findProduct(separator[1]);
+      if (!product) problem(line, `unknown product "${separator[1]}"`);
+      else if (!customer.products.includes(product.key)) problem(line, `${customer.name} does not have ${product.name}`);
+      skipSection = !product || !customer.products.includes(product.key);
+      productKey = skipSection ? null : product.key;
+      continue;
+    }
+    if (skipSection) continue;
+
+    const flagKey = cell("flag");
+    if (!flagKey) continue;
+    const flag = flags.find((f) => f.key === flagKey);
+    if (!flag) {
+      problem(line, `unknown flag key "${flagKey}"`);
+      continue;
+    }
+    if (!productKey) {
+      problem(line, `no product for ${flagKey} — start the section with a "--- Product ---" row, or pass --product`);
+      continue;
+    }
+
+    const valueText = cell("value");
+    const notesText = cell("notes");
+    if (!isApplicable(flag, productKey)) {
+      // N/A rows carry the not-applicable note; anything in the value column is a mistake
+      if (valueText && valueText.toUpperCase() !== "N/A") problem(line, `${flagKey} does not apply to ${productKey}`);
+      continue;
+    }
+
+    const id = `${productKey}/${flagKey}`;
+    if (seen.has(id)) {
+      problem(line, `${flagKey} is listed twice for ${productKey}`);
+      continue;
+    }
+    seen.add(id);
+
+    const row = { line, product: productKey, flag: flagKey };
+    if (valueText) {
+      const parsed = parseValueCell(flag, valueText, customer);
+      if (parsed.error) {
+        problem(line, `${flagKey}: ${parsed.error}`);
+        continue;
+      }
+      row.value = parsed.value;
+    }
+    if (notesText) Object.assign(row, splitAnnotatedNote(notesText));
+    if ("value" in row || "note" in row) rows.push(row);
+  }
+
+  return { rows, problems };
+}
+
+// ─── Proposal ─────────────────────────────────────────────────────────────────
+
+/**
+ * Store `value` for `key` in a product config's `field` ("notes" or
+ * "annotations") in one environment, or remove it when it matches what
+ * the environment would otherwise inherit
+ */
+function storeField(prodConfig, field, key, value, envKey, baseEnv) {
+  let owner = prodConfig;
+  let inherited;
+  if (envKey !== baseEnv) {
+    inherited = prodConfig[field]?.[key];
+    prodConfig.environments = prodConfig.environments || {};
+    owner = prodConfig.environments[envKey] || (prodConfig.environments[envKey] = {});
+  }
+  if (!value || value === inherited) {
+    if (owner[field]) delete owner[field][key];
+  } else {
+    (owner[field] || (owner[field] = {}))[key] = value;
+  }
+}
+
+/**
+ * Apply a template's rows to a customer's configurations in one environment.
+ *
+ * Returns {
+ *   changes:       [{ product, flag, oldValue, newValue }]     // values
+ *   noteChanges:   [{ product, flag, oldNote, newNote }]       // annotated notes
+ *   unchanged:     number of values and notes that already match
+ *   unstorable:    [{ flag, message }]  // per-site values the customer's sites cannot hold
+ *   configuration: the customer's updated `configurations` entry
+ * }
+ */
+function proposeTemplateImport(data, customer, envKey, rows) {
+  const baseEnv = defaultEnvironment(data);
+  const configuration = structuredClone(data.configurations[customer.key] || {});
+  const changes = [];
+  const noteChanges = [];
+  const unstorable = [];
+  let unchanged = 0;
+
+  for (const productKey of [...new Set(rows.map((r) => r.product))]) {
+    const productRows = rows.filter((r) => r.product === productKey);
+
+    // Values: the same rules as a config-patch import, one product at a time
+    const values = Object.fromEntries(productRows.filter((r) => "value" in r).map((r) => [r.flag, r.value]));
+    const proposal = proposeUpdate(data, { ...customer, products: [productKey] }, envKey, values);
+    changes.push(...proposal.changes);
+    unstorable.push(...proposal.unstorable);
+    unchanged += proposal.unchanged;
+    const prodConfig = (configuration[productKey] = proposal.configuration[productKey] || {});
+
+    // Notes and annotations
+    const current = resolveEnvironment(prodConfig, envKey, data, productKey);
+    for (const row of productRows.filter((r) => "note" in r)) {
+      const oldNote = annotatedNote(current.annotations[row.flag], current.notes[row.flag]);
+      const newNote = annotatedNote(row.annotation, row.note);
+      if (oldNote === newNote) {
+        unchanged++;
+        continue;
+      }
+      noteChanges.push({ product: productKey, flag: row.flag, oldNote, newNote });
+      storeField(prodConfig, "notes", row.flag, row.note, envKey, baseEnv);
+      storeField(prodConfig, "annotations", row.flag, row.annotation, envKey, baseEnv);
+    }
+  }
+
+  return { changes, noteChanges, unchanged, unstorable, configuration };
+}
+
+/**
+ * feature-flags.json text with the proposal's changed `flags`, `notes` and
+ * `annotations` objects written in
+ */
+function applyTemplateImport(text, customer, envKey, data, proposal) {
+  text = applyProposal(text, customer, envKey, data, proposal);
+  const products = [...new Set(proposal.noteChanges.map((c) => c.product))];
+  for (const productKey of products) {
+    const prodConfig = proposal.configuration[productKey];
+    const keys = ["configurations", customer.key, productKey];
+    const base = envKey === defaultEnvironment(data) ? prodConfig : prodConfig.environments[envKey];
+    const basePath = envKey === defaultEnvironment(data) ? keys : [...keys, "environments", envKey];
+    for (const field of ["notes", "annotations"]) {
+      if (base[field]) text = setJsonValue(text, [...basePath, field], base[field]);
+    }
+  }
+  return text;
+}
+
+// ─── Formatter ────────────────────────────────────────────────────────────────
+
+/**
+ * Format the import as a reviewable report (terminal output)
+ */
+function formatTemplateReport({ customer, envName, file, problems, proposal }) {
+  const lines = [];
+  const ln = (s = "") => lines.push(s);
+
+  ln("═══════════════════════════════════════════════════════");
+  ln(`  TEMPLATE IMPORT — ${customer.name} (${envName})`);
+  ln(`  ${file}`);
+  ln("═══════════════════════════════════════════════════════");
+  ln();
+
+  if (problems.length) {
+    ln("✗ Problems (fix the CSV — nothing can be written until they are gone):");
+    for (const p of problems) ln(`  ${p.line ? `line ${p.line}: ` : ""}${p.message}`);
+    ln();
+  }
+
+  const count = proposal.changes.length + proposal.noteChanges.length;
+  if (count) {
+    ln("⚙️  Proposed Changes:");
+    ln();
+    for (const product of [...new Set([...proposal.changes, ...proposal.noteChanges].map((c) => c.product))]) {
+      ln(`  ${customer.key} / ${product} [${envName}]:`);
+      for (const c of proposal.changes.filter((c) => c.product === product)) {
+        ln(`    ${c.flag}: ${formatFlagValue(c.oldValue)} → ${formatFlagValue(c.newValue)}`);
+      }
+      for (const c of proposal.noteChanges.filter((c) => c.product === product)) {
+        ln(`    ${c.flag} (note): ${formatNote(c.oldNote)} → ${formatNote(c.newNote)}`);
+      }
+      ln();
+    }
+  } else if (problems.length === 0) {
+    ln("✓ No changes — feature-flags.json already matches this template.");
+    ln();
+  }
+
+  if (proposal.unchanged) {
+    ln(`✓ ${proposal.unchanged} value(s) and note(s) already match`);
+    ln();
+  }
+
+  if (proposal.unstorable.length) {
+    ln("⚠ Could Not Store (left unchanged):");
+    for (const u of proposal.unstorable) ln(`  ${u.flag} — ${u.message}`);
+    ln();
+  }
+
+  ln(`─── ${count} proposed change(s) ───`);
+  return lines.join("\n");
+}
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  const args = process.argv.slice(2);
+  const write = args.includes("--write");
+  const optionValue = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? null : args[index + 1];
+  };
+  const envArg = optionValue("--env");
+  const productArg = optionValue("--product");
+  const optionIndexes = ["--env", "--product"].map((name) => args.indexOf(name)).filter((i) => i !== -1);
+  const [customerKey, file, ...extra] = args.filter(
+    (a, i) => !a.startsWith("--") && !optionIndexes.includes(i - 1)
+  );
+
+  if (!customerKey || !file || extra.length) {
+    console.error("Usage: node import-template.js <customer> <template.csv> [--product <product>] [--env <environment>] [--write]");
+    process.exit(1);
+  }
+
+  let text;
+  let data;
+  try {
+    text = readFlagDataText(JSON_PATH);
+    data = JSON.parse(text);
+  } catch (err) {
+    console.error(`Error reading ${JSON_PATH}:`, err.message);
+    process.exit(1);
+  }
+
+  const customer = data.customers.find((c) => c.key === customerKey);
+  if (!customer) {
+    console.error(`Unknown customer "${customerKey}" (expected one of ${data.customers.map((c) => c.key).join(", ")})`);
+    process.exit(1);
+  }
+  const env = listEnvironments(data).find((e) => e.key === (envArg || defaultEnvironment(data)));
+  if (!env) {
+    console.error(`Unknown environment "${envArg}" (expected one of ${listEnvironments(data).map((e) => e.key).join(", ")})`);
+    process.exit(1);
+  }
+  if (productArg && !customer.products.includes(productArg)) {
+    console.error(`${customer.name} does not have product "${productArg}" (expected one of ${customer.products.join(", ")})`);
+    process.exit(1);
+  }
+
+  let csv;
+  try {
+    csv = fs.readFileSync(file, "utf-8");
+  } catch (err) {
+    console.error(`Error reading ${file}:`, err.message);
+    process.exit(1);
+  }
+
+  const { rows, problems } = readTemplate(csv, data, customer, { product: productArg });
+  const proposal = proposeTemplateImport(data, customer, env.key, rows);
+  console.log(formatTemplateReport({ customer, envName: env.name, file, problems, proposal }));
+
+  if (problems.length) process.exit(1);
+  if (proposal.changes.length + proposal.noteChanges.length === 0) return;
+  const after = JSON.parse(applyTemplateImport(text, customer, env.key, data, proposal));
+  const validation = validateData(after);
+  if (validation.length) {
+    console.error(`\n${formatProblems(validation, `${JSON_REL_PATH} after the import`)}`);
+    process.exit(1);
+  }
+  const violations = newViolations(data, after);
+  if (violations.length) {
+    console.warn("\n⚠ The import breaks flag rules:\n");
+    console.warn(formatViolations(violations, after));
+  }
+
+  if (!write) {
+    console.log(`\nRun again with --write to update ${JSON_REL_PATH}.`);
+    return;
+  }
+  const written = writeFlagData(JSON_PATH, after).map((file) => path.relative(ROOT, file));
+  console.log(`\n✓ Updated ${written.join(", ")} — review with \`git diff\`, then run \`node generate.js\`.`);
+}
+
+// Export for programmatic use
+module.exports = {
+  readTemplate,
+  proposeTemplateImport,
+  applyTemplateImport,
+  formatTemplateReport,
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
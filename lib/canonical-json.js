@@ -0,0 +1,297 @@
+/**
+ * lib/canonical-json.js — The canonical layout of feature-flags.json
+ *
+ * Whatever wrote the data (an editor, a script), formatting it gives the
+ * same text, so diffs only show what changed:
+ *
+ *   - sections in the order meta, environments, products, customers,
+ *     categories, flagDefinitions, rules, defaults, configurations, changelog
+ *   - list entries (environments, products, customers, categories, flag
+ *     definitions, rules, changelog) one per line, with their keys in a fixed
+ *     order (KEY_ORDER)
+ *   - flagDefinitions in `categories` order; configurations in `customers`
+ *     order, then each customer's products in its `products` order
+ *   - flags, notes, annotations and provenance one flag per line, in
+ *     definition order; provenance entries and per-site values on one line,
+ *     per-site values in the customer's `sites` order
+ *   - in flag definitions, `notApplicableNotes` in `products` order and
+ *     `ehrNames` by EHR name
+ *   - everything else expanded, 2-space indented, with a final newline
+ *
+ * Keys the order does not know (and entries of unknown customers, products
+ * or flags) come after the known ones, as they were. Arrays keep their order.
+ *
+ * A data directory (see lib/flag-data.js) is formatted the same way: its
+ * definitions.json like the single file without `configurations`, and each
+ * customers/{key}.json like that customer's entry of `configurations`.
+ */
+
+const { serializeInline } = require("./json-edit");
+const { DEFINITIONS_FILE, CUSTOMERS_DIR } = require("./flag-data");
+
+const SECTIONS = [
+  "meta",
+  "environments",
+  "products",
+  "customers",
+  "categories",
+  "flagDefinitions",
+  "rules",
+  "defaults",
+  "configurations",
+  "changelog",
+];
+
+const KEY_ORDER = {
+  meta: ["lastUpdated", "description"],
+  environments: ["key", "name", "default"],
+  products: ["key", "name", "description"],
+  customers: ["key", "name", "products", "ehr", "sites", "siteListEnvVars"],
+  sites: ["key", "name"],
+  categories: ["key", "label", "order", "description", "icon", "products"],
+  flagDefinitions: [
+    "key",
+    "name",
+    "applicableProducts",
+    "description",
+    "type",
+    "values",
+    "min",
+    "max",
+    "off",
+    "default",
+    "status",
+    "owner",
+    "introduced",
+    "removalDate",
+    "supersededBy",
+    "ehrNames",
+    "notApplicableNotes",
+  ],
+  rules: ["type", "flag", "requires", "flags", "reason"],
+  changelog: ["date", "author", "change"],
+  productConfig: ["flags", "notes", "annotations", "provenance", "environments"],
+  provenance: ["source", "ref", "verified", "confidence"],
+};
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * The keys of `obj`: those in `order` first (in that order), then the rest as they were
+ */
+function orderedKeys(obj, order) {
+  const keys = Object.keys(obj);
+  return [...order.filter((k) => keys.includes(k)), ...keys.filter((k) => !order.includes(k))];
+}
+
+/**
+ * A copy of `obj` with its keys ordered (see orderedKeys)
+ */
+function reorder(obj, order) {
+  if (!isObject(obj)) return obj;
+  return Object.fromEntries(orderedKeys(obj, order).map((k) => [k, obj[k]]));
+}
+
+/**
+ * An object of [key, already formatted value] pairs, one per line
+ */
+function block(entries, indent) {
+  if (entries.length === 0) return "{}";
+  const inner = `${indent}  `;
+  return `{\n${entries.map(([k, v]) => `${inner}${JSON.stringify(k)}: ${v}`).join(",\n")}\n${indent}}`;
+}
+
+/**
+ * An array of already formatted items, one per line
+ */
+function list(items, indent) {
+  if (items.length === 0) return "[]";
+  const inner = `${indent}  `;
+  return `[\n${items.map((item) => `${inner}${item}`).join(",\n")}\n${indent}]`;
+}
+
+/**
+ * Any value expanded, 2-space indented, continuation lines at `indent`
+ */
+function expanded(value, indent) {
+  return JSON.stringify(value, null, 2).replace(/\n/g, `\n${indent}`);
+}
+
+/**
+ * A list section: one line per entry, keys in KEY_ORDER[section]
+ */
+function entryList(entries, section, indent, ctx) {
+  if (!Array.isArray(entries)) return expanded(entries, indent);
+  return list(
+    entries.map((entry) => {
+      const ordered = reorder(entry, KEY_ORDER[section]);
+      if (section === "customers" && Array.isArray(ordered?.sites)) {
+        ordered.sites = ordered.sites.map((site) => reorder(site, KEY_ORDER.sites));
+      }
+      if (section === "flagDefinitions" && isObject(ordered)) {
+        if (isObject(ordered.notApplicableNotes)) {
+          ordered.notApplicableNotes = reorder(ordered.notApplicableNotes, ctx.productOrder);
+        }
+        if (isObject(ordered.ehrNames)) ordered.ehrNames = reorder(ordered.ehrNames, Object.keys(ordered.ehrNames).sort());
+      }
+      return serializeInline(ordered);
+    }),
+    indent
+  );
+}
+
+// ─── Sections ─────────────────────────────────────────────────────────────────
+
+/**
+ * An object keyed by flag: one flag per line in definition order, each
+ * value on one line
+ */
+function flagMap(obj, flagOrder, indent, valueOrder = []) {
+  if (!isObject(obj)) return expanded(obj, indent);
+  return block(
+    orderedKeys(obj, flagOrder).map((k) => [k, serializeInline(reorder(obj[k], valueOrder))]),
+    indent
+  );
+}
+
+/**
+ * A customer product's config (or one environment's overrides of it)
+ */
+function productConfig(config, flagOrder, envOrder, siteOrder, indent) {
+  if (!isObject(config)) return expanded(config, indent);
+  const inner = `${indent}  `;
+  const format = (key) => {
+    const value = config[key];
+    if (key === "flags") return flagMap(value, flagOrder, inner, siteOrder);
+    if (key === "notes" || key === "annotations") return flagMap(value, flagOrder, inner);
+    if (key === "provenance") return flagMap(value, flagOrder, inner, KEY_ORDER.provenance);
+    if (key === "environments" && isObject(value)) {
+      return block(
+        orderedKeys(value, envOrder).map((env) => [
+          env,
+          productConfig(value[env], flagOrder, envOrder, siteOrder, `${inner}  `),
+        ]),
+        inner
+      );
+    }
+    return expanded(value, inner);
+  };
+  return block(orderedKeys(config, KEY_ORDER.productConfig).map((k) => [k, format(k)]), indent);
+}
+
+/**
+ * One customer's `configurations` entry: products in the customer's order
+ */
+function customerConfiguration(products, customerKey, ctx, indent) {
+  if (!isObject(products)) return expanded(products, indent);
+  const customer = ctx.customers.find((c) => c?.key === customerKey);
+  const own = customer?.products;
+  const siteOrder = Array.isArray(customer?.sites) ? customer.sites.map((s) => s?.key) : [];
+  return block(
+    orderedKeys(products, Array.isArray(own) ? own : ctx.productOrder).map((productKey) => [
+      productKey,
+      productConfig(products[productKey], ctx.flagOrder, ctx.envOrder, siteOrder, `${indent}  `),
+    ]),
+    indent
+  );
+}
+
+/**
+ * The orders everything is sorted by, from the definitions
+ */
+function orders(data) {
+  const categoryOrder = Array.isArray(data.categories) ? data.categories.map((c) => c?.key) : [];
+  const definitions = isObject(data.flagDefinitions) ? reorder(data.flagDefinitions, categoryOrder) : {};
+  return {
+    definitions,
+    flagOrder: Object.values(definitions)
+      .filter(Array.isArray)
+      .flat()
+      .map((f) => f?.key),
+    envOrder: Array.isArray(data.environments) ? data.environments.map((e) => e?.key) : [],
+    productOrder: Array.isArray(data.products) ? data.products.map((p) => p?.key) : [],
+    customers: Array.isArray(data.customers) ? data.customers : [],
+  };
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * feature-flags.json data as canonical text
+ */
+function formatFlagData(data) {
+  const ctx = orders(data);
+
+  const format = (section) => {
+    const value = data[section];
+    const indent = "  ";
+    switch (section) {
+      case "meta":
+        return isObject(value)
+          ? block(orderedKeys(value, KEY_ORDER.meta).map((k) => [k, expanded(value[k], "    ")]), indent)
+          : expanded(value, indent);
+      case "environments":
+      case "products":
+      case "customers":
+      case "categories":
+      case "rules":
+      case "changelog":
+        return entryList(value, section, indent);
+      case "flagDefinitions":
+        return isObject(value)
+          ? block(
+              Object.keys(ctx.definitions).map((k) => [k, entryList(ctx.definitions[k], "flagDefinitions", "    ", ctx)]),
+              indent
+            )
+          : expanded(value, indent);
+      case "defaults":
+        return isObject(value)
+          ? block(orderedKeys(value, ctx.productOrder).map((k) => [k, flagMap(value[k], ctx.flagOrder, "    ")]), indent)
+          : expanded(value, indent);
+      case "configurations":
+        return isObject(value)
+          ? block(
+              orderedKeys(value, ctx.customers.map((c) => c?.key)).map((customerKey) => [
+                customerKey,
+                customerConfiguration(value[customerKey], customerKey, ctx, "    "),
+              ]),
+              indent
+            )
+          : expanded(value, indent);
+      default:
+        return expanded(value, indent);
+    }
+  };
+
+  return `${block(orderedKeys(data, SECTIONS).map((section) => [section, format(section)]), "")}\n`;
+}
+
+/**
+ * The data as the canonical files of a data directory (see lib/flag-data.js):
+ * { "definitions.json": text, "customers/{key}.json": text, ... }
+ */
+function formatFlagDataFiles(data) {
+  const { configurations, ...definitions } = data;
+  const ctx = orders(data);
+  const files = { [DEFINITIONS_FILE]: formatFlagData(definitions) };
+  for (const [customerKey, products] of Object.entries(isObject(configurations) ? configurations : {})) {
+    files[`${CUSTOMERS_DIR}/${customerKey}.json`] = `${customerConfiguration(products, customerKey, ctx, "")}\n`;
+  }
+  return files;
+}
+
+/**
+ * True when `text` is already in canonical form
+ */
+function isCanonical(text) {
+  return formatFlagData(JSON.parse(text)) === text;
+}
+
+module.exports = {
+  KEY_ORDER,
+  formatFlagData,
+  formatFlagDataFiles,
+  isCanonical,
+};
@@ -0,0 +1,85 @@
+/**
+ * lib/categories.js — Flag category metadata: labels, ordering, descriptions
+ *
+ * Categories are declared in the top-level `categories` array of
+ * feature-flags.json, one entry per `flagDefinitions` key:
+ *
+ *   {
+ *     "key": "bp_management",
+ *     "label": "BP Management",
+ *     "order": 6,                       // optional, lower first (default: declaration order)
+ *     "description": "...",             // optional
+ *     "icon": "🩺",                     // optional
+ *     "products": ["sepsis"]            // optional product scope (default: all products)
+ *   }
+ *
+ * Categories that are not declared fall back to a title-cased key and sort last.
+ */
+
+/**
+ * "bp_management" → "Bp Management", for undeclared categories
+ */
+function titleCase(key) {
+  return key
+    .split("_")
+    .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
+    .join(" ");
+}
+
+/**
+ * Every flagDefinitions category with its metadata, in display order:
+ * [{ key, label, description, icon, products }] where `products` is null when
+ * the category is not scoped to specific products.
+ */
+function listCategories(data) {
+  const declared = Array.isArray(data.categories) ? data.categories : [];
+  const rank = (key) => {
+    const index = declared.findIndex((c) => c.key === key);
+    if (index === -1) return [Infinity, Infinity];
+    return [declared[index].order ?? Infinity, index];
+  };
+  return Object.keys(data.flagDefinitions || {})
+    .map((key, index) => ({ key, index, rank: rank(key) }))
+    .sort((a, b) => a.rank[0] - b.rank[0] || a.rank[1] - b.rank[1] || a.index - b.index)
+    .map(({ key }) => {
+      const category = declared.find((c) => c.key === key) || {};
+      return {
+        key,
+        label: category.label || titleCase(key),
+        description: category.description || "",
+        icon: category.icon || "",
+        products: category.products || null,
+      };
+    });
+}
+
+/**
+ * Display label for a category key
+ */
+function categoryLabel(data, key) {
+  const category = (data.categories || []).find((c) => c.key === key);
+  return category?.label || titleCase(key);
+}
+
+/**
+ * The category key a flag is defined under (undefined when unknown)
+ */
+function flagCategory(data, flagKey) {
+  return Object.keys(data.flagDefinitions || {}).find((key) =>
+    data.flagDefinitions[key].some((f) => f.key === flagKey)
+  );
+}
+
+/**
+ * True when a category (from listCategories) is in scope for a product
+ */
+function categoryAppliesTo(category, productKey) {
+  return !category.products || category.products.includes(productKey);
+}
+
+module.exports = {
+  listCategories,
+  categoryLabel,
+  flagCategory,
+  categoryAppliesTo,
+};
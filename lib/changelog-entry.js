@@ -0,0 +1,49 @@
+/**
+ * lib/changelog-entry.js — Record a change in feature-flags.json's `changelog`
+ *
+ * Tools that edit the JSON append an entry dated today, with the git author
+ * (the name git would commit with, so GIT_AUTHOR_NAME counts too; "—" when
+ * git has none), and move meta.lastUpdated along:
+ *
+ *   text = addChangelogEntry(text, "Added customer ...");
+ *   → { "date": "2026-10-19", "author": "Jane Doe", "change": "Added customer ..." }
+ */
+
+const { execFileSync } = require("child_process");
+const path = require("path");
+const { appendJsonArrayItem, setJsonValue } = require("./json-edit");
+const { today } = require("./lifecycle");
+
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * The git author for changelog entries ("—" when there is none).
+ * GIT_AUTHOR_IDENT reads "Jane Doe <jane@example.com> 1760832000 +0000".
+ */
+function gitAuthor() {
+  try {
+    const ident = execFileSync("git", ["var", "GIT_AUTHOR_IDENT"], {
+      cwd: ROOT,
+      encoding: "utf-8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+    const name = ident.replace(/\s*<[^>]*>\s+\d+\s+[+-]\d{4}$/, "").trim();
+    return name || "—";
+  } catch {
+    return "—";
+  }
+}
+
+/**
+ * feature-flags.json text with a changelog entry appended and
+ * meta.lastUpdated set to its date
+ */
+function addChangelogEntry(text, change, { author = gitAuthor(), date = today() } = {}) {
+  text = appendJsonArrayItem(text, ["changelog"], { date, author, change });
+  return setJsonValue(text, ["meta", "lastUpdated"], date);
+}
+
+module.exports = {
+  gitAuthor,
+  addChangelogEntry,
+};
@@ -0,0 +1,85 @@
+/**
+ * lib/csv.js — Write and read the CSV integration templates
+ *
+ * Plain RFC 4180: comma-separated, fields with commas, quotes or newlines
+ * wrapped in double quotes, quotes doubled. Spreadsheet exports may add a
+ * byte order mark or CRLF line endings; both are accepted when reading.
+ */
+
+/**
+ * Escape a value for CSV (handles commas, quotes, newlines)
+ */
+function csvEscape(val) {
+  if (val === null || val === undefined) return "";
+  const s = String(val);
+  if (s.includes(",") || s.includes('"') || s.includes("\n")) {
+    return '"' + s.replace(/"/g, '""') + '"';
+  }
+  return s;
+}
+
+/**
+ * Build a CSV row from an array of values
+ */
+function csvRow(values) {
+  return values.map(csvEscape).join(",");
+}
+
+/**
+ * Parse CSV text into [{ line, cells }], where `line` is the 1-based line
+ * the row starts on. Throws on an unterminated quoted field.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let cells = [];
+  let cell = "";
+  let line = 1;
+  let rowLine = 1;
+  let quoted = false;
+  let quoteLine = 0;
+  let pos = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    cells.push(cell);
+    rows.push({ line: rowLine, cells });
+    cells = [];
+    cell = "";
+    rowLine = line;
+  };
+
+  for (; pos < text.length; pos++) {
+    const c = text[pos];
+    if (quoted) {
+      if (c === '"' && text[pos + 1] === '"') {
+        cell += '"';
+        pos++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        if (c === "\n") line++;
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+      quoteLine = line;
+    } else if (c === ",") {
+      cells.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[pos + 1] === "\n") pos++;
+      line++;
+      endRow();
+    } else {
+      cell += c;
+    }
+  }
+  if (quoted) throw new Error(`unterminated quoted field starting on line ${quoteLine}`);
+  if (cell !== "" || cells.length) endRow();
+  return rows;
+}
+
+module.exports = {
+  csvEscape,
+  csvRow,
+  parseCsv,
+};
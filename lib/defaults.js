@@ -0,0 +1,66 @@
+/**
+ * lib/defaults.js — Resolve effective flag values from product defaults
+ *
+ * Each product declares the values of a typical rollout in the top-level
+ * `defaults` section, and customer configurations only store what differs:
+ *
+ *   "defaults": {
+ *     "sepsis": { "bundle_tracking": true, "nurse_order_set": false, ... }
+ *   }
+ *
+ * A flag's effective value for a customer product is, in order:
+ *   1. the customer's value (an override)
+ *   2. the product default
+ *   3. the flag definition's own `default`
+ */
+
+/**
+ * Product defaults for a product key ({} when none are declared)
+ */
+function productDefaults(data, productKey) {
+  return data?.defaults?.[productKey] || {};
+}
+
+/**
+ * The default for a flag in a product: the product default, else the flag's
+ * own default (undefined when neither is set)
+ */
+function defaultValue(data, productKey, flag) {
+  const defaults = productDefaults(data, productKey);
+  return flag.key in defaults ? defaults[flag.key] : flag.default;
+}
+
+function isApplicable(flag, productKey) {
+  return flag.applicableProducts === "all" || flag.applicableProducts.includes(productKey);
+}
+
+/**
+ * Effective values for a customer product from its configured (override) flags.
+ * Returns { flags, sources } where `sources` maps each flag key to
+ * "override" (set by the customer) or "default" (product or flag default).
+ * Flags with neither an override nor a default are left out.
+ */
+function resolveFlags(data, productKey, configuredFlags = {}) {
+  const flags = {};
+  const sources = {};
+  for (const flag of Object.values(data.flagDefinitions).flat()) {
+    if (!isApplicable(flag, productKey)) continue;
+    if (flag.key in configuredFlags) {
+      flags[flag.key] = configuredFlags[flag.key];
+      sources[flag.key] = "override";
+      continue;
+    }
+    const value = defaultValue(data, productKey, flag);
+    if (value === undefined) continue;
+    flags[flag.key] = value;
+    sources[flag.key] = "default";
+  }
+  return { flags, sources };
+}
+
+module.exports = {
+  productDefaults,
+  defaultValue,
+  isApplicable,
+  resolveFlags,
+};
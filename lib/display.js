@@ -0,0 +1,104 @@
+/**
+ * lib/display.js — Display rules shared by the markdown, viewer and CSV renderers
+ *
+ * Modeled in feature-flags.json rather than special-cased per renderer:
+ *
+ *   EHR-specific display names, on a flag definition:
+ *     "ehrNames": { "Cerner": "Nurse Assessment - ... (Cerner iCare)" }
+ *
+ *   Default notes for products a flag does not apply to, on a flag definition:
+ *     "notApplicableNotes": { "palliative_care": "Not applicable for Palliative Care" }
+ *
+ *   Per-value annotations, on a customer product config (next to flags / notes):
+ *     "annotations": { "fluid_mod_ehr_order_set": "partial" }
+ *
+ * Also how the command-line reports (changelog, importers, set-flag,
+ * add-customer, drift) show a flag value and a note.
+ */
+
+const { isSiteMap } = require("./flag-values");
+
+const ANNOTATIONS = {
+  partial: "Partially enabled",
+};
+
+/**
+ * A flag's display name for a customer, honoring EHR-specific names
+ */
+function flagDisplayName(flag, customer) {
+  return flag.ehrNames?.[customer?.ehr] || flag.name;
+}
+
+function annotationLabel(annotation) {
+  return ANNOTATIONS[annotation] || annotation;
+}
+
+/**
+ * The note explaining why a flag does not apply to a product ("" when none)
+ */
+function notApplicableNote(flag, productKey) {
+  return flag.notApplicableNotes?.[productKey] || "";
+}
+
+/**
+ * Join a value's annotation and note into one note, e.g.
+ * "Partially enabled — Not pulling fluid contraindication from EHR"
+ */
+function annotatedNote(annotation, note) {
+  return [annotation ? annotationLabel(annotation) : "", note || ""].filter(Boolean).join(" — ");
+}
+
+/**
+ * Split a note written by annotatedNote back into { annotation, note }
+ * (annotation undefined when the note does not start with a known label)
+ */
+function splitAnnotatedNote(text) {
+  const trimmed = String(text ?? "").trim();
+  for (const [annotation, label] of Object.entries(ANNOTATIONS)) {
+    if (trimmed === label) return { annotation, note: "" };
+    if (trimmed.startsWith(`${label} — `)) return { annotation, note: trimmed.slice(label.length + 3).trim() };
+  }
+  return { annotation: undefined, note: trimmed };
+}
+
+/**
+ * "Default" / "Override" for a resolved value's source (see lib/defaults.js)
+ */
+function sourceLabel(source) {
+  if (source === "override") return "Override";
+  if (source === "default") return "Default";
+  return "";
+}
+
+/**
+ * A flag value in a report: "Enabled" / "Disabled" (or `on` / `off`), "—"
+ * when unset, and per-site values as "SITE value" joined by `join`
+ */
+function formatFlagValue(val, { on = "Enabled", off = "Disabled", join = ", " } = {}) {
+  if (val === true) return on;
+  if (val === false) return off;
+  if (val === undefined) return "—";
+  if (isSiteMap(val)) {
+    return Object.entries(val).map(([site, v]) => `${site} ${formatFlagValue(v, { on, off, join })}`).join(join);
+  }
+  return String(val);
+}
+
+/**
+ * A note in a report: quoted, or "—" when there is none
+ */
+function formatNote(note) {
+  return note ? `"${note}"` : "—";
+}
+
+module.exports = {
+  ANNOTATIONS,
+  flagDisplayName,
+  annotationLabel,
+  notApplicableNote,
+  annotatedNote,
+  splitAnnotatedNote,
+  sourceLabel,
+  formatFlagValue,
+  formatNote,
+};
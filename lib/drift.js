@@ -0,0 +1,234 @@
+/**
+ * lib/drift.js — Compare feature-flags.json with deployed ConfigMaps
+ *
+ * A deployment folder holds each customer's ConfigMap YAMLs, named by
+ * customer key and (optionally) environment key:
+ *
+ *   deployed/
+ *     ccf-staging.yaml          # one file with several ConfigMap documents
+ *     memorial_care.yaml        # no environment: the default (production)
+ *     inova_health-staging/     # or a folder of ConfigMap files
+ *       ui-config.yaml
+ *       trews-api-v3-config.yaml
+ *
+ * Using env-var-mapping.yaml (see lib/env-vars.js) the report lists:
+ *   - drift:        flags whose deployed env vars disagree with the JSON value
+ *   - inconsistent: env vars set differently across the ConfigMaps that share them
+ *   - undetermined: flags whose env vars cannot be read or disagree with each other
+ *   - unknown:      env vars the mapping does not know about (Gap 2 candidates)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { readConfigMaps, inferFlagValues, checkEnvVarConsistency } = require("./env-vars");
+const { listEnvironments, defaultEnvironment, resolveEnvironment } = require("./environments");
+const { quoteYaml } = require("./yaml");
+const { isEnabledValue, compareSiteValues, customerSiteKeys } = require("./flag-values");
+const { flagType } = require("./flag-types");
+const { formatFlagValue } = require("./display");
+
+const YAML_EXTENSION = /\.ya?ml$/;
+
+// ─── Loading ──────────────────────────────────────────────────────────────────
+
+/**
+ * Customer and environment keys for a file or folder name
+ * ("ccf-staging.yaml" → { customerKey: "ccf", envKey: "staging" })
+ */
+function parseDeploymentName(name, data) {
+  const base = name.replace(YAML_EXTENSION, "");
+  for (const env of listEnvironments(data)) {
+    if (base.endsWith(`-${env.key}`)) {
+      return { customerKey: base.slice(0, -env.key.length - 1), envKey: env.key };
+    }
+  }
+  return { customerKey: base, envKey: defaultEnvironment(data) };
+}
+
+/**
+ * Read a deployment folder.
+ * Returns { deployments: [{ customer, environment, files, configMaps }], skipped: [{ file, reason }] }
+ * with `configMaps` as { name: { ENV_VAR: "value" } }.
+ */
+function loadDeployments(dir, data) {
+  const byKey = new Map();
+  const skipped = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+    const entryPath = path.join(dir, entry.name);
+    let files;
+    if (entry.isDirectory()) {
+      files = fs.readdirSync(entryPath).filter((f) => YAML_EXTENSION.test(f)).sort().map((f) => path.join(entryPath, f));
+    } else if (YAML_EXTENSION.test(entry.name)) {
+      files = [entryPath];
+    } else continue;
+
+    const { customerKey, envKey } = parseDeploymentName(entry.name, data);
+    if (!data.customers.some((c) => c.key === customerKey)) {
+      skipped.push({ file: entryPath, reason: `unknown customer "${customerKey}"` });
+      continue;
+    }
+
+    const key = `${customerKey}/${envKey}`;
+    if (!byKey.has(key)) byKey.set(key, { customer: customerKey, environment: envKey, files: [], configMaps: {} });
+    const deployment = byKey.get(key);
+    for (const file of files) {
+      let found;
+      try {
+        found = readConfigMaps(fs.readFileSync(file, "utf-8"));
+      } catch (err) {
+        skipped.push({ file, reason: err.message });
+        continue;
+      }
+      if (Object.keys(found).length === 0) {
+        skipped.push({ file, reason: "no ConfigMaps found" });
+        continue;
+      }
+      deployment.files.push(file);
+      for (const [name, vars] of Object.entries(found)) {
+        deployment.configMaps[name] = { ...deployment.configMaps[name], ...vars };
+      }
+    }
+  }
+
+  return { deployments: [...byKey.values()].filter((d) => d.files.length), skipped };
+}
+
+// ─── Comparison ───────────────────────────────────────────────────────────────
+
+/**
+ * Drift report for loaded deployments (see loadDeployments)
+ */
+function findDrift(data, mapping, deployments) {
+  const report = { deployments: [], drift: [], inconsistent: [], undetermined: [], unknown: [] };
+  const flags = Object.values(data.flagDefinitions).flat();
+
+  for (const d of deployments) {
+    const at = { customer: d.customer, environment: d.environment };
+    const customer = data.customers.find((c) => c.key === d.customer);
+    report.deployments.push({ ...at, files: d.files, configMaps: Object.keys(d.configMaps) });
+
+    const inferred = inferFlagValues(mapping, d.configMaps, customer, data);
+    for (const productKey of customer.products) {
+      const prodConfig = data.configurations[customer.key]?.[productKey];
+      const { flags: values } = resolveEnvironment(prodConfig, d.environment, data, productKey);
+      for (const flag of flags) {
+        if (!(flag.key in inferred.values) || !(flag.key in values)) continue;
+        const json = values[flag.key];
+        const deployed = inferred.values[flag.key];
+        // Where env vars only tell on from off, enum / string / integer values are compared as that
+        const asDeployed = (v) => (flagType(flag) === "boolean" || v === undefined ? v : isEnabledValue(flag, v));
+        const same = compareSiteValues(json, deployed, customerSiteKeys(customer)).every((c) =>
+          typeof c.newValue === "boolean" ? asDeployed(c.oldValue) === c.newValue : c.oldValue === c.newValue
+        );
+        if (same) continue;
+        report.drift.push({ ...at, product: productKey, flag: flag.key, json, deployed, envVars: inferred.evidence[flag.key] });
+      }
+    }
+
+    for (const v of checkEnvVarConsistency(mapping, d.configMaps)) report.inconsistent.push({ ...at, ...v });
+    // Env vars that differ between ConfigMaps are already listed as inconsistent
+    for (const c of inferred.conflicts) {
+      if (!c.envVar) report.undetermined.push({ ...at, flag: c.flag, message: c.message });
+    }
+    for (const u of inferred.unknown) report.unknown.push({ ...at, ...u });
+  }
+  return report;
+}
+
+function hasDrift(report) {
+  return report.drift.length + report.inconsistent.length + report.undetermined.length > 0;
+}
+
+// ─── Markdown ─────────────────────────────────────────────────────────────────
+
+const formatMarkdownValue = (val) => formatFlagValue(val, { on: "✅", off: "❌", join: "<br>" });
+
+/**
+ * Drift report as markdown
+ */
+function formatDriftMarkdown(report, data, { source, date } = {}) {
+  const lines = [];
+  const ln = (s = "") => lines.push(s);
+  const cell = (s) => String(s).replace(/\|/g, "\\|");
+  const customerName = (key) => data.customers.find((c) => c.key === key)?.name || key;
+  const productName = (key) => data.products.find((p) => p.key === key)?.name || key;
+  const envName = (key) => listEnvironments(data).find((e) => e.key === key)?.name || key;
+  const where = (e) => `${customerName(e.customer)} | ${envName(e.environment)}`;
+  const describeSet = (v) => (v.value === null ? "not set" : quoteYaml(v.value));
+
+  ln("# Configuration Drift Report");
+  ln();
+  ln(`> Compares \`data/feature-flags.json\` with the deployed ConfigMaps${source ? ` in \`${source}\`` : ""}${date ? ` (${date})` : ""},`);
+  ln("> via `data/env-var-mapping.yaml`. Generated by `node drift.js` — do not edit.");
+  ln();
+  ln(
+    `**${report.deployments.length}** deployment(s) checked · **${report.drift.length}** flag(s) drifted · ` +
+      `**${report.inconsistent.length}** inconsistent env var(s) · **${report.undetermined.length}** undetermined · ` +
+      `**${report.unknown.length}** unknown env var(s)`
+  );
+  ln();
+
+  ln("## Flag Drift");
+  ln();
+  if (report.drift.length) {
+    ln("| Customer | Environment | Product | Flag | JSON | Deployed | Env vars |");
+    ln("|----------|-------------|---------|------|:----:|:--------:|----------|");
+    for (const d of report.drift) {
+      ln(`| ${where(d)} | ${productName(d.product)} | \`${d.flag}\` | ${formatMarkdownValue(d.json)} | ${formatMarkdownValue(d.deployed)} | ${cell(d.envVars.join("<br>"))} |`);
+    }
+  } else ln("No flags differ from the deployed ConfigMaps.");
+  ln();
+
+  ln("## Inconsistent Env Vars");
+  ln();
+  ln("Env vars the mapping lists in several ConfigMaps, set differently in the deployed ones.");
+  ln();
+  if (report.inconsistent.length) {
+    ln("| Customer | Environment | Env var | Flags | Values |");
+    ln("|----------|-------------|---------|-------|--------|");
+    for (const v of report.inconsistent) {
+      const values = v.values.map((x) => `${x.configMap}: ${describeSet(x)}`).join("<br>");
+      ln(`| ${where(v)} | \`${v.envVar}\` | ${v.flags.map((f) => `\`${f}\``).join(", ")} | ${cell(values)} |`);
+    }
+  } else ln("None.");
+  ln();
+
+  if (report.undetermined.length) {
+    ln("## Could Not Determine");
+    ln();
+    ln("| Customer | Environment | Flag | Reason |");
+    ln("|----------|-------------|------|--------|");
+    for (const u of report.undetermined) ln(`| ${where(u)} | \`${u.flag}\` | ${cell(u.message)} |`);
+    ln();
+  }
+
+  if (report.unknown.length) {
+    ln("## Unknown Env Vars");
+    ln();
+    ln("Not in `env-var-mapping.yaml` — candidates for new flags (Gap 2).");
+    ln();
+    ln("| Customer | Environment | ConfigMap | Env var | Value |");
+    ln("|----------|-------------|-----------|---------|-------|");
+    for (const u of report.unknown) ln(`| ${where(u)} | ${u.configMap} | \`${u.name}\` | ${cell(quoteYaml(u.value))} |`);
+    ln();
+  }
+
+  ln("## Deployments Checked");
+  ln();
+  ln("| Customer | Environment | ConfigMaps | Files |");
+  ln("|----------|-------------|------------|-------|");
+  for (const d of report.deployments) {
+    ln(`| ${where(d)} | ${d.configMaps.join(", ")} | ${d.files.map((f) => `\`${f}\``).join("<br>")} |`);
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  parseDeploymentName,
+  loadDeployments,
+  findDrift,
+  hasDrift,
+  formatDriftMarkdown,
+};
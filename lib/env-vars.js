@@ -0,0 +1,514 @@
+/**
+ * lib/env-vars.js — Compile flag values into Kubernetes ConfigMap env vars
+ *
+ * data/env-var-mapping.yaml maps each flag (grouped by category) to the env
+ * vars that control it, and the ConfigMaps each env var is set in:
+ *
+ *   ibw_calculation:
+ *     type: value_present
+ *     envVars:
+ *       - name: ENABLE_FLUIDS_CONTRAINDICATION_AUTO_SELECT_FID
+ *         configMaps: [trews-api-v3-config]
+ *         shared_with: auto_obesity_contraindication
+ *         true_when: "ideal_body_weight"
+ *
+ * Whether a flag is enabled depends on its type (see isEnabledValue in
+ * lib/flag-values.js: an enum's `off` value is disabled). An env var with a
+ * `true_when` value is enabled only when the flag's value is that value (or,
+ * for boolean flags, when the flag is on). An enabled flag sets each of its
+ * env vars to:
+ *   - the `true_when` value, when there is one
+ *   - the flag's own value, for enum / string / integer flags on env vars
+ *     that hold a value (value_present, `format: text`)
+ *   - nothing (set by hand) for other value_present flags and `format: text`
+ *     env vars — their value is not in feature-flags.json
+ *   - "true" otherwise (boolean flags, and every part of a composite flag)
+ * A disabled flag sets them to "" where the flag needs a value, else "false".
+ *
+ * When several flags set the same env var (`shared_with`, or a var listed
+ * under more than one flag) and disagree, the env var is a conflict.
+ *
+ * inferFlagValues() reads the other way, from deployed ConfigMaps to flag values:
+ *   - boolean:       "true" / "false"; every env var of the flag must agree
+ *   - value_present: enabled when the env var equals `true_when`, or is non-empty
+ *   - composite:     enabled only when every env var is enabled (text vars non-empty)
+ * Given the data, enum / string / integer flags on env vars that hold a value
+ * read as that value (the `true_when` value when there is one), and as their
+ * `off` value when the env var is off; see decodeEnvVar().
+ * Flags under `shared_with` read the same env var, so they come out together.
+ *
+ * Env vars a customer declares in `siteListEnvVars` hold per-hospital lists
+ * ("FAIRH|true,CCF|false", see lib/site-list.js) in both directions.
+ */
+
+const fs = require("fs");
+const { parseYaml, parseYamlDocuments, quoteYaml } = require("./yaml");
+const { isSiteMap, isEnabledValue } = require("./flag-values");
+const {
+  usesSiteList,
+  isSiteList,
+  parseSiteList,
+  reduceSiteValues,
+  siteListFor,
+} = require("./site-list");
+const { resolveEnvironment } = require("./environments");
+const { flagType, parseTemplateValue } = require("./flag-types");
+
+const MAPPING_TYPES = ["boolean", "value_present", "composite", "unmapped"];
+
+/**
+ * Read and parse env-var-mapping.yaml (category → flag key → entry)
+ */
+function loadEnvVarMapping(filePath) {
+  return parseYaml(fs.readFileSync(filePath, "utf-8")) || {};
+}
+
+/**
+ * Mapping entries by flag key: Map of flag key → { type, note, envVars, category }
+ */
+function mappingByFlag(mapping) {
+  const byFlag = new Map();
+  for (const [category, flags] of Object.entries(mapping || {})) {
+    for (const [flagKey, entry] of Object.entries(flags || {})) {
+      byFlag.set(flagKey, { ...entry, envVars: entry?.envVars || [], category });
+    }
+  }
+  return byFlag;
+}
+
+/**
+ * Reverse index: every env var in the mapping, in mapping order, with the flags
+ * it drives. Returns [{ name, configMaps, types, shared, flags: [{ key, type, note, ... }] }]
+ * where `shared` is true when more than one flag sets the env var.
+ */
+function listEnvVars(mapping) {
+  const byName = new Map();
+  for (const [flagKey, entry] of mappingByFlag(mapping)) {
+    for (const envVar of entry.envVars) {
+      if (!byName.has(envVar.name)) byName.set(envVar.name, { name: envVar.name, configMaps: [], flags: [] });
+      const item = byName.get(envVar.name);
+      for (const configMap of envVar.configMaps || []) {
+        if (!item.configMaps.includes(configMap)) item.configMaps.push(configMap);
+      }
+      item.flags.push({
+        key: flagKey,
+        category: entry.category,
+        type: entry.type,
+        note: entry.note || "",
+        ...(envVar.true_when !== undefined && { trueWhen: String(envVar.true_when) }),
+        ...(envVar.format && { format: envVar.format }),
+      });
+    }
+  }
+  return [...byName.values()].map((item) => ({
+    ...item,
+    types: [...new Set(item.flags.map((f) => f.type))],
+    shared: item.flags.length > 1,
+  }));
+}
+
+/**
+ * Problems with the mapping itself: unknown flags, types and shared_with references.
+ * Returns [{ path, message }] like validate.js.
+ */
+function checkEnvVarMapping(mapping, data) {
+  const problems = [];
+  const flagKeys = new Set(Object.values(data.flagDefinitions).flat().map((f) => f.key));
+  for (const [flagKey, entry] of mappingByFlag(mapping)) {
+    const p = `${entry.category}.${flagKey}`;
+    if (!flagKeys.has(flagKey)) problems.push({ path: p, message: `unknown flag key "${flagKey}"` });
+    if (!MAPPING_TYPES.includes(entry.type)) {
+      problems.push({ path: `${p}.type`, message: `unknown type "${entry.type}" (expected ${MAPPING_TYPES.join(", ")})` });
+    }
+    entry.envVars.forEach((envVar, i) => {
+      const ep = `${p}.envVars[${i}]`;
+      if (!envVar?.name) problems.push({ path: ep, message: "missing env var name" });
+      if (!Array.isArray(envVar?.configMaps) || envVar.configMaps.length === 0) {
+        problems.push({ path: `${ep}.configMaps`, message: "expected a non-empty list of ConfigMaps" });
+      }
+      if (envVar?.shared_with && !flagKeys.has(envVar.shared_with)) {
+        problems.push({ path: `${ep}.shared_with`, message: `unknown flag key "${envVar.shared_with}"` });
+      }
+    });
+  }
+  return problems;
+}
+
+/**
+ * True when the env var holds a value rather than a "true"/"false" toggle
+ */
+function needsValue(entry, envVar) {
+  return envVar.true_when !== undefined || entry.type === "value_present" || envVar.format === "text";
+}
+
+/**
+ * The env var value for a flag's value: { value } or { manual: true } when it
+ * has to be set by hand
+ */
+function envVarValue(entry, envVar, flagValue, flag) {
+  if (!needsValue(entry, envVar)) return { value: String(isEnabledValue(flag, flagValue)) };
+  const typed = flagType(flag) !== "boolean";
+  const enabled =
+    envVar.true_when !== undefined && typed
+      ? String(flagValue) === String(envVar.true_when)
+      : isEnabledValue(flag, flagValue);
+  if (!enabled) return { value: "" };
+  if (envVar.true_when !== undefined) return { value: String(envVar.true_when) };
+  if (typed) return { value: String(flagValue) };
+  return { manual: true };
+}
+
+/**
+ * The site list value for a customer's per-hospital env var, or { manual, hint }
+ * when the customer declares no sites to list
+ */
+function siteListEnvVarValue(customer, flagValue, flag) {
+  const enabled = isSiteMap(flagValue)
+    ? Object.fromEntries(Object.entries(flagValue).map(([site, v]) => [site, isEnabledValue(flag, v)]))
+    : isEnabledValue(flag, flagValue);
+  const list = siteListFor(customer, enabled);
+  if (list !== null) return { value: list };
+  const state = isSiteMap(enabled) ? "mixed" : String(enabled);
+  return { manual: true, hint: `per-hospital list, ${state} for every hospital — ${customer.name} declares no sites` };
+}
+
+function describeEnvVarValue(v) {
+  if (v.manual) return v.hint ? `set by hand (${v.hint})` : "set by hand";
+  return quoteYaml(v.value);
+}
+
+/**
+ * Compile a customer's effective flag values (all products, one environment)
+ * into ConfigMap env vars.
+ *
+ * Returns {
+ *   configMaps: { name: { ENV_VAR: { value?, manual?, hint?, conflict?, sources: [{ flag, value?, manual? }] } } },
+ *   unmapped:   [{ flag, value, note }]   // type unmapped, or no env vars
+ *   missing:    [{ flag, value }]         // not in the mapping at all
+ * }
+ */
+function compileConfigMaps(data, mapping, customer, envKey) {
+  const byFlag = mappingByFlag(mapping);
+  const configMaps = {};
+  const unmapped = [];
+  const missing = [];
+  const customerConfig = data.configurations[customer.key] || {};
+
+  for (const [productKey, prodConfig] of Object.entries(customerConfig)) {
+    const { flags } = resolveEnvironment(prodConfig, envKey, data, productKey);
+
+    for (const flag of Object.values(data.flagDefinitions).flat()) {
+      if (!(flag.key in flags)) continue;
+      const configured = flags[flag.key];
+      let value = configured;
+      const entry = byFlag.get(flag.key);
+      if (!entry) {
+        missing.push({ flag: flag.key, value });
+        continue;
+      }
+      if (entry.type === "unmapped" || entry.envVars.length === 0) {
+        unmapped.push({ flag: flag.key, value, note: entry.note || "" });
+        continue;
+      }
+
+      // Env vars are per customer, so per-site values only compile when every site agrees
+      let differsBySite = false;
+      if (isSiteMap(value)) {
+        const values = [...new Set(Object.values(value).map((v) => JSON.stringify(v)))];
+        if (values.length === 1) value = JSON.parse(values[0]);
+        else differsBySite = true;
+      }
+
+      for (const envVar of entry.envVars) {
+        let source;
+        if (usesSiteList(customer, envVar.name) && !needsValue(entry, envVar)) {
+          source = { flag: flag.key, ...siteListEnvVarValue(customer, configured, flag) };
+        } else if (differsBySite) {
+          source = { flag: flag.key, conflict: "differs by site" };
+        } else {
+          source = { flag: flag.key, ...envVarValue(entry, envVar, value, flag) };
+        }
+        for (const configMap of envVar.configMaps) {
+          if (!configMaps[configMap]) configMaps[configMap] = {};
+          const vars = configMaps[configMap];
+          if (!vars[envVar.name]) vars[envVar.name] = { sources: [] };
+          vars[envVar.name].sources.push(source);
+        }
+      }
+    }
+  }
+
+  // Settle each env var: one agreed value, or a conflict
+  for (const vars of Object.values(configMaps)) {
+    for (const envVar of Object.values(vars)) {
+      const distinct = new Set(envVar.sources.map((s) => JSON.stringify([s.value, s.manual, s.hint, s.conflict])));
+      const [first] = envVar.sources;
+      if (distinct.size > 1 || first.conflict) {
+        envVar.conflict = envVar.sources
+          .map((s) => `${s.flag} → ${s.conflict || describeEnvVarValue(s)}`)
+          .join(", ");
+      } else if (first.manual) {
+        envVar.manual = true;
+        if (first.hint) envVar.hint = first.hint;
+      } else envVar.value = first.value;
+    }
+  }
+
+  return { configMaps, unmapped, missing };
+}
+
+/**
+ * ConfigMap patch YAML for a compiled customer environment. Env vars that
+ * need a hand-set value or conflict are left commented out.
+ */
+function formatConfigPatch(compiled, customer, envName) {
+  const lines = [];
+  const ln = (s = "") => lines.push(s);
+  const describe = (value) => (typeof value === "object" ? JSON.stringify(value) : String(value));
+
+  ln(`# ConfigMap patch — ${customer.name} (${envName})`);
+  ln("#");
+  ln("# Generated from data/feature-flags.json via data/env-var-mapping.yaml.");
+  ln("# Do not edit this file directly — run `node generate.js` after updating the JSON.");
+
+  const conflicts = Object.values(compiled.configMaps)
+    .flatMap((vars) => Object.entries(vars))
+    .filter(([, v]) => v.conflict);
+  if (conflicts.length) {
+    ln("#");
+    ln(`# ${conflicts.length} env var(s) with conflicting flag values (commented out below)`);
+  }
+  if (compiled.unmapped.length) {
+    ln("#");
+    ln("# Unmapped flags (no known env var):");
+    for (const u of compiled.unmapped) {
+      ln(`#   ${u.flag} = ${describe(u.value)}${u.note ? ` — ${u.note}` : ""}`);
+    }
+  }
+  if (compiled.missing.length) {
+    ln("#");
+    ln("# Flags not in env-var-mapping.yaml:");
+    for (const m of compiled.missing) ln(`#   ${m.flag} = ${describe(m.value)}`);
+  }
+
+  const names = Object.keys(compiled.configMaps);
+  if (names.length === 0) {
+    ln("#");
+    ln("# No mapped env vars for this customer.");
+  }
+  for (const name of names) {
+    ln("---");
+    ln("apiVersion: v1");
+    ln("kind: ConfigMap");
+    ln("metadata:");
+    ln(`  name: ${name}`);
+    ln("data:");
+    for (const [envVarName, v] of Object.entries(compiled.configMaps[name])) {
+      if (v.conflict) ln(`  # ${envVarName}: conflicting values — ${v.conflict}`);
+      else if (v.manual) {
+        const why = v.hint || `enabled by ${v.sources.map((s) => s.flag).join(", ")}`;
+        ln(`  # ${envVarName}: set by hand — ${why}`);
+      } else ln(`  ${envVarName}: ${quoteYaml(v.value)}`);
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+// ─── ConfigMaps → flag values ─────────────────────────────────────────────────
+
+/**
+ * ConfigMaps in a YAML file's text: { name: { ENV_VAR: "value" } }.
+ * Documents that are not ConfigMaps with `data` are skipped.
+ */
+function readConfigMaps(text) {
+  const configMaps = {};
+  for (const doc of parseYamlDocuments(text)) {
+    if (doc?.kind !== "ConfigMap" || !doc.metadata?.name) continue;
+    const vars = configMaps[doc.metadata.name] || (configMaps[doc.metadata.name] = {});
+    for (const [name, value] of Object.entries(doc.data || {})) {
+      vars[name] = value === null ? "" : String(value);
+    }
+  }
+  return configMaps;
+}
+
+/**
+ * Whether an env var value enables a flag: true / false, or undefined when
+ * the value cannot be read as either. Typed flags (`flag`, when known) on env
+ * vars that hold a value read as the value itself where it fits the type, and
+ * as the flag's `off` value when off.
+ */
+function decodeEnvVar(entry, envVar, raw, flag) {
+  if (flagType(flag) !== "boolean" && entry.type !== "composite" && needsValue(entry, envVar)) {
+    const on = envVar.true_when !== undefined ? raw === String(envVar.true_when) : raw.trim() !== "";
+    if (!on) return flag.off !== undefined ? flag.off : false;
+    const parsed = parseTemplateValue(flag, raw);
+    return parsed.error || parsed.value === undefined ? true : parsed.value;
+  }
+  if (envVar.true_when !== undefined) return raw === String(envVar.true_when);
+  if (entry.type === "value_present" || envVar.format === "text") return raw.trim() !== "";
+  if (/^true$/i.test(raw)) return true;
+  if (/^false$/i.test(raw) || raw === "") return false;
+  return undefined;
+}
+
+/**
+ * Read one env var value for a flag: true / false, a per-site map when the
+ * customer's site list is mixed, or undefined when it cannot be read
+ */
+function readEnvVar(entry, envVar, raw, customer, flag) {
+  if (!usesSiteList(customer, envVar.name) || needsValue(entry, envVar) || !isSiteList(raw)) {
+    return decodeEnvVar(entry, envVar, raw, flag);
+  }
+  const sites = {};
+  for (const [site, siteRaw] of Object.entries(parseSiteList(raw))) {
+    sites[site] = decodeEnvVar(entry, envVar, siteRaw, flag);
+    if (sites[site] === undefined) return undefined;
+  }
+  return reduceSiteValues(sites);
+}
+
+/**
+ * Work out flag values from ConfigMaps ({ name: { ENV_VAR: "value" } }).
+ * Pass the customer to read its per-hospital env vars (`siteListEnvVars`),
+ * and the data to read typed flags as their values.
+ *
+ * Returns {
+ *   values:    { flag: true | false | typed value | { site: true | false } },
+ *   evidence:  { flag: ["ENV_VAR = \"value\" (configMap)", ...] },
+ *   conflicts: [{ flag, message, envVar? }]     // env vars that disagree or cannot be read
+ *                                               // (envVar: one env var differs between ConfigMaps)
+ *   unknown:   [{ configMap, name, value }]     // env vars not in the mapping (Gap 2 candidates)
+ * }
+ */
+function inferFlagValues(mapping, configMaps, customer, data) {
+  const flagsByKey = new Map(data ? Object.values(data.flagDefinitions).flat().map((f) => [f.key, f]) : []);
+  const values = {};
+  const evidence = {};
+  const conflicts = [];
+  const knownVars = new Set();
+
+  for (const [flagKey, entry] of mappingByFlag(mapping)) {
+    entry.envVars.forEach((envVar) => knownVars.add(envVar.name));
+    if (entry.type === "unmapped" || entry.envVars.length === 0) continue;
+
+    const readings = [];
+    const problems = [];
+    const problem = (message, envVar) => problems.push({ flag: flagKey, message, ...(envVar && { envVar }) });
+    for (const envVar of entry.envVars) {
+      const seen = envVar.configMaps
+        .filter((name) => configMaps[name] && envVar.name in configMaps[name])
+        .map((name) => ({ configMap: name, raw: configMaps[name][envVar.name] }));
+      if (seen.length === 0) continue;
+
+      const describe = (s) => `${envVar.name} = ${quoteYaml(s.raw)} (${s.configMap})`;
+      if (new Set(seen.map((s) => s.raw)).size > 1) {
+        problem(`${envVar.name} differs between ConfigMaps: ${seen.map(describe).join(", ")}`, envVar.name);
+        continue;
+      }
+      const enabled = readEnvVar(entry, envVar, seen[0].raw, customer, flagsByKey.get(flagKey));
+      if (enabled === undefined) {
+        problem(`${describe(seen[0])} is not "true" or "false"`);
+        continue;
+      }
+      const shared = envVar.shared_with ? ` — shared with ${envVar.shared_with}` : "";
+      const mixed = isSiteMap(enabled)
+        ? ` — ${Object.values(enabled).filter(Boolean).length}/${Object.keys(enabled).length} hospitals on`
+        : "";
+      const where = seen.map((x) => x.configMap).join(", ");
+      readings.push({ envVar, enabled, text: `${envVar.name} = ${quoteYaml(seen[0].raw)} (${where})${shared}${mixed}` });
+    }
+
+    if (problems.length) {
+      conflicts.push(...problems);
+      continue;
+    }
+    if (readings.length === 0) continue;
+
+    let value;
+    if (entry.type === "composite") {
+      if (readings.some((r) => r.enabled === false)) value = false;
+      else if (readings.length === entry.envVars.length) {
+        // Per hospital, every env var must be on
+        const sites = [...new Set(readings.flatMap((r) => (isSiteMap(r.enabled) ? Object.keys(r.enabled) : [])))];
+        const enabledAt = (r, site) => (isSiteMap(r.enabled) ? r.enabled[site] === true : r.enabled);
+        value = sites.length
+          ? reduceSiteValues(Object.fromEntries(sites.map((site) => [site, readings.every((r) => enabledAt(r, site))])))
+          : true;
+      } else {
+        const missing = entry.envVars.filter((v) => !readings.some((r) => r.envVar === v));
+        conflicts.push({ flag: flagKey, message: `composite flag is missing ${missing.map((v) => v.name).join(", ")}` });
+        continue;
+      }
+    } else if (new Set(readings.map((r) => JSON.stringify(r.enabled))).size > 1) {
+      const describeReading = (v) => (isSiteMap(v) ? "mixed" : v);
+      conflicts.push({
+        flag: flagKey,
+        message: `env vars disagree: ${readings.map((r) => `${r.text} → ${describeReading(r.enabled)}`).join("; ")}`,
+      });
+      continue;
+    } else {
+      value = readings[0].enabled;
+    }
+    values[flagKey] = value;
+    evidence[flagKey] = readings.map((r) => r.text);
+  }
+
+  const unknown = [];
+  for (const [configMap, vars] of Object.entries(configMaps)) {
+    for (const [name, value] of Object.entries(vars)) {
+      if (!knownVars.has(name)) unknown.push({ configMap, name, value });
+    }
+  }
+
+  return { values, evidence, conflicts, unknown };
+}
+
+/**
+ * Env vars the mapping lists in several ConfigMaps that are not set the same
+ * way in all of them (e.g. SEPSIS_DEESCALATION_ENABLED across five ConfigMaps).
+ * Only ConfigMaps present in `configMaps` are compared; a ConfigMap that is
+ * present but lacks the env var counts as "not set".
+ *
+ * Returns [{ envVar, flags: [flag], values: [{ configMap, value }] }] with
+ * `value` null where the env var is not set.
+ */
+function checkEnvVarConsistency(mapping, configMaps) {
+  const byEnvVar = new Map();
+  for (const [flagKey, entry] of mappingByFlag(mapping)) {
+    for (const envVar of entry.envVars) {
+      if (!byEnvVar.has(envVar.name)) byEnvVar.set(envVar.name, { flags: [], configMaps: new Set() });
+      const known = byEnvVar.get(envVar.name);
+      known.flags.push(flagKey);
+      envVar.configMaps.forEach((name) => known.configMaps.add(name));
+    }
+  }
+
+  const inconsistent = [];
+  for (const [name, known] of byEnvVar) {
+    const values = [...known.configMaps]
+      .filter((configMap) => configMaps[configMap])
+      .map((configMap) => ({ configMap, value: name in configMaps[configMap] ? configMaps[configMap][name] : null }));
+    if (values.length < 2 || values.every((v) => v.value === null)) continue;
+    if (new Set(values.map((v) => v.value)).size > 1) {
+      inconsistent.push({ envVar: name, flags: known.flags, values });
+    }
+  }
+  return inconsistent;
+}
+
+module.exports = {
+  MAPPING_TYPES,
+  loadEnvVarMapping,
+  mappingByFlag,
+  listEnvVars,
+  checkEnvVarMapping,
+  envVarValue,
+  compileConfigMaps,
+  formatConfigPatch,
+  readConfigMaps,
+  decodeEnvVar,
+  inferFlagValues,
+  checkEnvVarConsistency,
+};
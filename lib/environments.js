@@ -0,0 +1,101 @@
+/**
+ * lib/environments.js — Resolve configuration values per deployment environment
+ *
+ * Environments are declared at the top level of feature-flags.json:
+ *
+ *   "environments": [
+ *     { "key": "production", "name": "Production", "default": true },
+ *     { "key": "staging", "name": "Staging" }
+ *   ]
+ *
+ * A customer product's `flags`, `notes`, `annotations` and `provenance` hold the default
+ * (production) values. Other environments list only what differs, under `environments`:
+ *
+ *   "sepsis": {
+ *     "flags": { ... },
+ *     "notes": { ... },
+ *     "environments": {
+ *       "staging": { "flags": { "fluid_mod_bayesian_ui": false }, "notes": { ... } }
+ *     }
+ *   }
+ *
+ * Anything an environment does not list is inherited from the default.
+ * Given a product key, flags nobody configured fall back to the product
+ * defaults (see lib/defaults.js).
+ */
+
+const { resolveFlags } = require("./defaults");
+
+const DEFAULT_ENVIRONMENTS = [{ key: "production", name: "Production", default: true }];
+
+/**
+ * Declared environments, default first
+ */
+function listEnvironments(data) {
+  const envs = Array.isArray(data?.environments) && data.environments.length
+    ? data.environments
+    : DEFAULT_ENVIRONMENTS;
+  return [...envs.filter((e) => e.default), ...envs.filter((e) => !e.default)];
+}
+
+function defaultEnvironment(data) {
+  return listEnvironments(data)[0].key;
+}
+
+/**
+ * Configured { flags, notes, annotations, provenance } of a customer product config in one environment
+ */
+function configuredEnvironment(prodConfig, envKey, data) {
+  const base = {
+    flags: prodConfig?.flags || {},
+    notes: prodConfig?.notes || {},
+    annotations: prodConfig?.annotations || {},
+    provenance: prodConfig?.provenance || {},
+  };
+  if (!envKey || envKey === defaultEnvironment(data)) return base;
+  const override = prodConfig?.environments?.[envKey];
+  if (!override) return base;
+  return {
+    flags: { ...base.flags, ...override.flags },
+    notes: { ...base.notes, ...override.notes },
+    annotations: { ...base.annotations, ...override.annotations },
+    provenance: { ...base.provenance, ...override.provenance },
+  };
+}
+
+/**
+ * Effective { flags, notes, annotations, provenance, sources } of a customer product config in one
+ * environment. With a product key, `flags` includes defaulted values and
+ * `sources` marks each flag "override" or "default"; without one, `flags`
+ * holds only the configured values.
+ */
+function resolveEnvironment(prodConfig, envKey, data, productKey) {
+  const configured = configuredEnvironment(prodConfig, envKey, data);
+  if (!productKey) return { ...configured, sources: {} };
+  return {
+    ...resolveFlags(data, productKey, configured.flags),
+    notes: configured.notes,
+    annotations: configured.annotations,
+    provenance: configured.provenance,
+  };
+}
+
+/**
+ * Non-default environments whose effective value for a flag differs from
+ * the default environment's. Returns [{ env, value }].
+ */
+function differingEnvironments(prodConfig, flagKey, data, productKey) {
+  const [defaultEnv, ...others] = listEnvironments(data);
+  const valueIn = (env) => resolveEnvironment(prodConfig, env.key, data, productKey).flags[flagKey];
+  const baseValue = JSON.stringify(valueIn(defaultEnv));
+  return others
+    .map((env) => ({ env, value: valueIn(env) }))
+    .filter(({ value }) => JSON.stringify(value) !== baseValue);
+}
+
+module.exports = {
+  listEnvironments,
+  defaultEnvironment,
+  resolveEnvironment,
+  differingEnvironments,
+};
@@ -0,0 +1,206 @@
+/**
+ * lib/flag-data.js — Read the flag data from one file or a directory of files
+ *
+ * The data is either the single data/feature-flags.json, or a directory
+ * (data/feature-flags/) that splits it up so each customer's configuration
+ * can be edited (and owned) on its own:
+ *
+ *   data/feature-flags/
+ *     definitions.json        everything but `configurations`
+ *     customers/ccf.json      the "ccf" entry of `configurations`: { "sepsis": { "flags": ... } }
+ *
+ * Both read into the same data, with `configurations` in `customers` order.
+ * With neither given, data/feature-flags.json is read when it exists, else
+ * data/feature-flags/. Reading a git ref falls back the same way, so refs
+ * from before a switch of layout can still be read.
+ *
+ * The tools that edit the data (set-flag.js, add-customer.js, the importers)
+ * edit it as one JSON text (readFlagDataText) and write it back in the same
+ * layout (writeFlagData): in a directory, only the files that changed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const ROOT = path.join(__dirname, "..");
+const DATA_FILE = path.join(ROOT, "data", "feature-flags.json");
+const DATA_DIR = path.join(ROOT, "data", "feature-flags");
+const DEFINITIONS_FILE = "definitions.json";
+const CUSTOMERS_DIR = "customers";
+
+/**
+ * data/feature-flags.json, or data/feature-flags/ when only that exists
+ */
+function defaultDataPath() {
+  return !fs.existsSync(DATA_FILE) && isDataDir(DATA_DIR) ? DATA_DIR : DATA_FILE;
+}
+
+function isDataDir(p) {
+  try {
+    return fs.statSync(p).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function parse(text, label) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${label}: ${err.message}`);
+  }
+}
+
+/**
+ * Definitions plus { [customer key]: configuration } as one data object.
+ * Throws when the definitions hold configurations themselves.
+ */
+function mergeFlagData(definitions, customerConfigs, label) {
+  if (definitions === null || typeof definitions !== "object" || Array.isArray(definitions)) {
+    throw new Error(`${label}/${DEFINITIONS_FILE}: expected an object`);
+  }
+  if ("configurations" in definitions) {
+    throw new Error(`${label}/${DEFINITIONS_FILE}: \`configurations\` belong in ${CUSTOMERS_DIR}/{customer}.json`);
+  }
+
+  const declared = Array.isArray(definitions.customers) ? definitions.customers.map((c) => c?.key) : [];
+  const keys = Object.keys(customerConfigs);
+  const configurations = {};
+  for (const key of [...declared.filter((k) => keys.includes(k)), ...keys.filter((k) => !declared.includes(k))]) {
+    configurations[key] = customerConfigs[key];
+  }
+
+  // Same section order as the single file: configurations before the changelog
+  const entries = Object.entries(definitions);
+  const at = entries.findIndex(([key]) => key === "changelog");
+  entries.splice(at === -1 ? entries.length : at, 0, ["configurations", configurations]);
+  return Object.fromEntries(entries);
+}
+
+/**
+ * The files the data at `p` is read from (for watching)
+ */
+function flagDataFiles(p) {
+  if (!isDataDir(p)) return [p];
+  const customersDir = path.join(p, CUSTOMERS_DIR);
+  const customerFiles = fs.existsSync(customersDir)
+    ? fs.readdirSync(customersDir).filter((f) => f.endsWith(".json")).sort().map((f) => path.join(customersDir, f))
+    : [];
+  return [path.join(p, DEFINITIONS_FILE), ...customerFiles];
+}
+
+/**
+ * The data at `p`, a JSON file or a data directory. For a directory, errors
+ * name the file at fault.
+ */
+function readFlagData(p) {
+  if (!isDataDir(p)) return JSON.parse(fs.readFileSync(p, "utf-8"));
+
+  const [definitionsFile, ...customerFiles] = flagDataFiles(p);
+  const definitions = parse(fs.readFileSync(definitionsFile, "utf-8"), definitionsFile);
+  const customerConfigs = Object.fromEntries(
+    customerFiles.map((file) => [path.basename(file, ".json"), parse(fs.readFileSync(file, "utf-8"), file)])
+  );
+  return mergeFlagData(definitions, customerConfigs, p);
+}
+
+/**
+ * The data at `p` as JSON text for in-place edits (lib/json-edit.js): the
+ * file's own text, or for a directory the data as one canonical file
+ */
+function readFlagDataText(p) {
+  if (!isDataDir(p)) return fs.readFileSync(p, "utf-8");
+  const { formatFlagData } = require("./canonical-json");
+  return formatFlagData(readFlagData(p));
+}
+
+/**
+ * Write `data` to `p` in canonical form: the single file, or the
+ * definitions.json and customers/{key}.json files that differ from what is
+ * on disk. Returns the paths written.
+ */
+function writeFlagData(p, data) {
+  const { formatFlagData, formatFlagDataFiles } = require("./canonical-json");
+  if (!isDataDir(p)) {
+    fs.writeFileSync(p, formatFlagData(data), "utf-8");
+    return [p];
+  }
+  const written = [];
+  for (const [rel, text] of Object.entries(formatFlagDataFiles(data))) {
+    const file = path.join(p, rel);
+    if (fs.existsSync(file) && fs.readFileSync(file, "utf-8") === text) continue;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, text, "utf-8");
+    written.push(file);
+  }
+  return written;
+}
+
+// ─── Git ──────────────────────────────────────────────────────────────────────
+
+function git(args) {
+  return execFileSync("git", args, { cwd: ROOT, encoding: "utf-8", stdio: ["pipe", "pipe", "pipe"] });
+}
+
+/**
+ * The data at `rel` (relative to the repo, / separated) as committed at
+ * `ref`, or null when it is not there
+ */
+function readLayoutAtRef(ref, rel) {
+  let type;
+  try {
+    type = git(["cat-file", "-t", `${ref}:${rel}`]).trim();
+  } catch {
+    return null;
+  }
+  if (type === "blob") return JSON.parse(git(["show", `${ref}:${rel}`]));
+
+  const definitions = parse(git(["show", `${ref}:${rel}/${DEFINITIONS_FILE}`]), `${ref}:${rel}/${DEFINITIONS_FILE}`);
+  let customerFiles = [];
+  try {
+    customerFiles = git(["ls-tree", "--name-only", `${ref}:${rel}/${CUSTOMERS_DIR}`])
+      .split("\n")
+      .filter((f) => f.endsWith(".json"));
+  } catch {
+    // No customers/ directory at that ref
+  }
+  const customerConfigs = Object.fromEntries(
+    customerFiles.map((f) => {
+      const spec = `${ref}:${rel}/${CUSTOMERS_DIR}/${f}`;
+      return [path.basename(f, ".json"), parse(git(["show", spec]), spec)];
+    })
+  );
+  return mergeFlagData(definitions, customerConfigs, `${ref}:${rel}`);
+}
+
+/**
+ * The data at `p` as committed at a git ref, or null when it cannot be read.
+ * For the default locations, the other layout is tried too.
+ */
+function readFlagDataAtRef(ref, p = defaultDataPath()) {
+  const candidates = [DATA_FILE, DATA_DIR].includes(p) ? [p, p === DATA_FILE ? DATA_DIR : DATA_FILE] : [p];
+  for (const candidate of candidates) {
+    const rel = path.relative(ROOT, candidate);
+    if (rel.startsWith("..") || path.isAbsolute(rel)) continue;
+    try {
+      const data = readLayoutAtRef(ref, rel.split(path.sep).join("/"));
+      if (data) return data;
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  DEFINITIONS_FILE,
+  CUSTOMERS_DIR,
+  defaultDataPath,
+  isDataDir,
+  flagDataFiles,
+  readFlagData,
+  readFlagDataText,
+  writeFlagData,
+  readFlagDataAtRef,
+};
@@ -0,0 +1,125 @@
+/**
+ * lib/flag-types.js — Declared flag types: checking, formatting and parsing values
+ *
+ * A flag definition may declare a `type` (boolean when omitted) and a `default`:
+ *
+ *   { "key": "...", "type": "boolean" }
+ *   { "key": "...", "type": "enum", "values": ["none", "ideal_body_weight"], "off": "none" }
+ *   { "key": "...", "type": "string" }
+ *   { "key": "...", "type": "integer", "min": 0, "max": 24, "off": 0 }
+ *
+ * The default is used wherever a customer configuration has no value for the flag.
+ *
+ * Enum and integer flags may declare the `off` value that leaves the feature
+ * off; every other value counts as enabled (see lib/flag-values.js). Without
+ * one, every value does. String flags are enabled whenever they are set.
+ */
+
+const FLAG_TYPES = ["boolean", "enum", "string", "integer"];
+
+function flagType(flag) {
+  return flag?.type || "boolean";
+}
+
+/**
+ * Short description of a flag's type, e.g. "enum (none, ideal_body_weight)"
+ */
+function describeType(flag) {
+  const type = flagType(flag);
+  if (type === "enum") return `enum (${(flag.values || []).join(", ")})`;
+  if (type === "integer") {
+    const hasMin = Number.isInteger(flag.min);
+    const hasMax = Number.isInteger(flag.max);
+    if (hasMin && hasMax) return `integer (${flag.min}–${flag.max})`;
+    if (hasMin) return `integer (≥ ${flag.min})`;
+    if (hasMax) return `integer (≤ ${flag.max})`;
+  }
+  return type;
+}
+
+/**
+ * What to enter in a template's value column, e.g. "Y/N" or "none | ideal_body_weight"
+ */
+function describeAllowedValues(flag) {
+  const type = flagType(flag);
+  if (type === "boolean") return "Y/N";
+  if (type === "enum") return (flag.values || []).join(" | ");
+  if (type === "string") return "Free text";
+  return describeType(flag).replace(/^integer/, "Integer");
+}
+
+/**
+ * Check a single (non per-site) value against a flag's type.
+ * Returns an error message, or null when the value is valid.
+ */
+function checkValue(flag, value) {
+  const type = flagType(flag);
+  if (type === "boolean") {
+    return typeof value === "boolean" ? null : `expected true or false, got ${JSON.stringify(value)}`;
+  }
+  if (type === "enum") {
+    const values = flag.values || [];
+    return values.includes(value)
+      ? null
+      : `expected one of ${values.map((v) => JSON.stringify(v)).join(", ")}, got ${JSON.stringify(value)}`;
+  }
+  if (type === "string") {
+    return typeof value === "string" && value.trim() !== ""
+      ? null
+      : `expected a non-empty string, got ${JSON.stringify(value)}`;
+  }
+  if (type === "integer") {
+    if (!Number.isInteger(value)) return `expected an integer, got ${JSON.stringify(value)}`;
+    if (Number.isInteger(flag.min) && value < flag.min) return `expected at least ${flag.min}, got ${value}`;
+    if (Number.isInteger(flag.max) && value > flag.max) return `expected at most ${flag.max}, got ${value}`;
+    return null;
+  }
+  return `unknown flag type "${type}"`;
+}
+
+/**
+ * Format a single value for a template's value column (Y/N for booleans)
+ */
+function formatTemplateValue(flag, value) {
+  if (value === undefined || value === null) return "";
+  if (flagType(flag) === "boolean" || typeof value === "boolean") {
+    if (value === true) return "Y";
+    if (value === false) return "N";
+  }
+  return String(value);
+}
+
+/**
+ * Parse text from a template's value column into a typed value.
+ * Returns { value } on success or { error } when the text does not fit the type.
+ * Blank text parses to { value: undefined }.
+ */
+function parseTemplateValue(flag, text) {
+  const raw = String(text ?? "").trim();
+  if (raw === "") return { value: undefined };
+
+  const type = flagType(flag);
+  let value = raw;
+  if (type === "boolean") {
+    const lower = raw.toLowerCase();
+    if (["y", "yes", "true", "enabled", "on"].includes(lower)) value = true;
+    else if (["n", "no", "false", "disabled", "off"].includes(lower)) value = false;
+    else return { error: `expected Y or N, got "${raw}"` };
+  } else if (type === "integer") {
+    if (!/^-?\d+$/.test(raw)) return { error: `expected an integer, got "${raw}"` };
+    value = Number(raw);
+  }
+
+  const error = checkValue(flag, value);
+  return error ? { error } : { value };
+}
+
+module.exports = {
+  FLAG_TYPES,
+  flagType,
+  describeType,
+  describeAllowedValues,
+  checkValue,
+  formatTemplateValue,
+  parseTemplateValue,
+};
@@ -0,0 +1,103 @@
+/**
+ * lib/flag-values.js — Helpers for reading configured flag values
+ *
+ * A configured flag value is either a single value (true / false / string)
+ * that applies to the whole customer, or a per-site map for customers that
+ * declare `sites` and toggle a flag per hospital:
+ *
+ *   "bundle_tracking": { "FAIRH": true, "CCF": true, "AVONH": false }
+ *
+ * Shared by generate.js, validate.js and changelog.js.
+ */
+
+const { flagType } = require("./flag-types");
+
+/**
+ * True when the value is a per-site map rather than a single value
+ */
+function isSiteMap(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * True when a single value turns the flag on: true for boolean flags, any
+ * value but the declared `off` value for enums and integers (see
+ * lib/flag-types.js), any text for strings
+ */
+function isEnabledValue(flag, value) {
+  if (value === undefined || value === null) return false;
+  const type = flagType(flag);
+  if (type === "boolean") return value === true;
+  if (type === "string") return value !== "";
+  return flag.off === undefined || value !== flag.off;
+}
+
+/**
+ * Site keys for a customer, in declared order
+ */
+function customerSiteKeys(customer) {
+  return (customer?.sites || []).map((s) => s.key);
+}
+
+function siteName(customer, siteKey) {
+  return customer?.sites?.find((s) => s.key === siteKey)?.name || siteKey;
+}
+
+/**
+ * Summarize a per-site map for display.
+ * Sites are listed in the customer's declared order, followed by any extras.
+ *
+ * Returns { entries: [{ site, name, value }], enabled, total, uniform, value }
+ * where `uniform` is true when every site has the same value (then `value`
+ * holds that shared value), and `enabled` counts the sites where `flag` is on.
+ */
+function summarizeSites(value, customer, flag) {
+  const order = customerSiteKeys(customer);
+  const keys = [
+    ...order.filter((k) => k in value),
+    ...Object.keys(value).filter((k) => !order.includes(k)),
+  ];
+  const entries = keys.map((site) => ({
+    site,
+    name: siteName(customer, site),
+    value: value[site],
+  }));
+  const enabled = entries.filter((e) => isEnabledValue(flag, e.value)).length;
+  const uniform = entries.length > 0 && entries.every((e) => e.value === entries[0].value);
+  return {
+    entries,
+    enabled,
+    total: entries.length,
+    uniform,
+    value: uniform ? entries[0].value : undefined,
+  };
+}
+
+/**
+ * Expand two configured values into per-site comparisons.
+ * A single value stands for every site. Returns [{ site, oldValue, newValue }]
+ * with `site` null when neither side is a per-site map.
+ */
+function compareSiteValues(oldValue, newValue, siteKeys = []) {
+  if (!isSiteMap(oldValue) && !isSiteMap(newValue)) {
+    return [{ site: null, oldValue, newValue }];
+  }
+  const keys = new Set(siteKeys);
+  if (isSiteMap(oldValue)) Object.keys(oldValue).forEach((k) => keys.add(k));
+  if (isSiteMap(newValue)) Object.keys(newValue).forEach((k) => keys.add(k));
+  const at = (val, site) => (isSiteMap(val) ? val[site] : val);
+  return [...keys].map((site) => ({
+    site,
+    oldValue: at(oldValue, site),
+    newValue: at(newValue, site),
+  }));
+}
+
+module.exports = {
+  isSiteMap,
+  isEnabledValue,
+  customerSiteKeys,
+  siteName,
+  summarizeSites,
+  compareSiteValues,
+};
@@ -0,0 +1,181 @@
+/**
+ * lib/json-edit.js — Update one value inside a JSON file's text
+ *
+ * feature-flags.json keeps list entries on one line (see lib/canonical-json.js),
+ * so tools that write to it replace only the value they changed instead of
+ * re-serializing the whole file:
+ *
+ *   text = setJsonValue(text, ["configurations", "ccf", "sepsis", "flags"], flags);
+ *   text = appendJsonArrayItem(text, ["changelog"], { date, author, change });
+ *
+ * Missing keys along the path are inserted at the end of their parent object.
+ * Appended array items follow the layout of the last item (one line or expanded).
+ */
+
+// ─── Scanner ──────────────────────────────────────────────────────────────────
+
+function skipSpace(text, pos) {
+  while (pos < text.length && /\s/.test(text[pos])) pos++;
+  return pos;
+}
+
+/**
+ * End index (exclusive) of the JSON value starting at `pos`
+ */
+function valueEnd(text, pos) {
+  if (text[pos] === '"') {
+    pos++;
+    while (pos < text.length && text[pos] !== '"') pos += text[pos] === "\\" ? 2 : 1;
+    return pos + 1;
+  }
+  if (text[pos] === "{" || text[pos] === "[") {
+    let depth = 0;
+    for (; pos < text.length; pos++) {
+      const c = text[pos];
+      if (c === '"') pos = valueEnd(text, pos) - 1;
+      else if (c === "{" || c === "[") depth++;
+      else if (c === "}" || c === "]") {
+        depth--;
+        if (depth === 0) return pos + 1;
+      }
+    }
+    throw new Error("unterminated JSON object or array");
+  }
+  while (pos < text.length && !/[\s,\]}]/.test(text[pos])) pos++;
+  return pos;
+}
+
+/**
+ * Members of the object starting at `start` ("{"):
+ * [{ key, keyStart, valueStart, valueEnd }] and the index of its closing "}"
+ */
+function objectMembers(text, start) {
+  if (text[start] !== "{") throw new Error(`expected an object at offset ${start}`);
+  const members = [];
+  let pos = skipSpace(text, start + 1);
+  while (text[pos] !== "}") {
+    const keyStart = pos;
+    const keyEnd = valueEnd(text, pos);
+    const key = JSON.parse(text.slice(keyStart, keyEnd));
+    pos = skipSpace(text, keyEnd);
+    if (text[pos] !== ":") throw new Error(`expected ":" at offset ${pos}`);
+    const valueStart = skipSpace(text, pos + 1);
+    const end = valueEnd(text, valueStart);
+    members.push({ key, keyStart, valueStart, valueEnd: end });
+    pos = skipSpace(text, end);
+    if (text[pos] === ",") pos = skipSpace(text, pos + 1);
+  }
+  return { members, close: pos };
+}
+
+/**
+ * Items of the array starting at `start` ("["): [{ start, end }] and the
+ * index of its closing "]"
+ */
+function arrayItems(text, start) {
+  if (text[start] !== "[") throw new Error(`expected an array at offset ${start}`);
+  const items = [];
+  let pos = skipSpace(text, start + 1);
+  while (text[pos] !== "]") {
+    const end = valueEnd(text, pos);
+    items.push({ start: pos, end });
+    pos = skipSpace(text, end);
+    if (text[pos] === ",") pos = skipSpace(text, pos + 1);
+  }
+  return { items, close: pos };
+}
+
+/**
+ * Start index of the value at `keys` (a path of object keys)
+ */
+function findValue(text, keys) {
+  let start = skipSpace(text, 0);
+  keys.forEach((key, depth) => {
+    const member = objectMembers(text, start).members.find((m) => m.key === key);
+    if (!member) throw new Error(`no "${key}" in ${keys.slice(0, depth).join(".") || "the top level"}`);
+    start = member.valueStart;
+  });
+  return start;
+}
+
+/**
+ * Leading whitespace of the line containing `pos`
+ */
+function lineIndent(text, pos) {
+  const lineStart = text.lastIndexOf("\n", pos - 1) + 1;
+  return text.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * A value serialized with 2-space indentation, continuation lines indented to `indent`
+ */
+function serialize(value, indent) {
+  return JSON.stringify(value, null, 2).replace(/\n/g, `\n${indent}`);
+}
+
+/**
+ * A value serialized on one line: { "key": "ccf", "products": ["sepsis"] }
+ */
+function serializeInline(value) {
+  if (Array.isArray(value)) return `[${value.map(serializeInline).join(", ")}]`;
+  if (value !== null && typeof value === "object") {
+    const entries = Object.entries(value).map(([k, v]) => `${JSON.stringify(k)}: ${serializeInline(v)}`);
+    return entries.length ? `{ ${entries.join(", ")} }` : "{}";
+  }
+  return JSON.stringify(value);
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Return `text` with the value at `keys` (a path of object keys) replaced by
+ * `value`. Everything outside that value keeps its formatting.
+ */
+function setJsonValue(text, keys, value) {
+  let start = skipSpace(text, 0);
+  for (let depth = 0; depth < keys.length; depth++) {
+    const { members, close } = objectMembers(text, start);
+    const member = members.find((m) => m.key === keys[depth]);
+    if (member) {
+      start = member.valueStart;
+      continue;
+    }
+
+    // Insert the rest of the path as a new member of this object
+    const nested = keys.slice(depth + 1).reduceRight((inner, key) => ({ [key]: inner }), value);
+    const closeIndent = lineIndent(text, close);
+    const last = members[members.length - 1];
+    const indent = last ? lineIndent(text, last.keyStart) : `${closeIndent}  `;
+    const entry = `${JSON.stringify(keys[depth])}: ${serialize(nested, indent)}`;
+    if (last) {
+      return `${text.slice(0, last.valueEnd)},\n${indent}${entry}${text.slice(last.valueEnd)}`;
+    }
+    return `${text.slice(0, start + 1)}\n${indent}${entry}\n${closeIndent}${text.slice(close)}`;
+  }
+  const end = valueEnd(text, start);
+  return text.slice(0, start) + serialize(value, lineIndent(text, start)) + text.slice(end);
+}
+
+/**
+ * Return `text` with `value` added to the end of the array at `keys`. It is
+ * written on one line when the array's last item is, expanded otherwise.
+ */
+function appendJsonArrayItem(text, keys, value) {
+  const start = findValue(text, keys);
+  const { items, close } = arrayItems(text, start);
+  const last = items[items.length - 1];
+  if (!last) {
+    const closeIndent = lineIndent(text, close);
+    const indent = `${closeIndent}  `;
+    return `${text.slice(0, start + 1)}\n${indent}${serialize(value, indent)}\n${closeIndent}${text.slice(close)}`;
+  }
+  const indent = lineIndent(text, last.start);
+  const item = text.slice(last.start, last.end).includes("\n") ? serialize(value, indent) : serializeInline(value);
+  return `${text.slice(0, last.end)},\n${indent}${item}${text.slice(last.end)}`;
+}
+
+module.exports = {
+  setJsonValue,
+  appendJsonArrayItem,
+  serializeInline,
+};
@@ -0,0 +1,157 @@
+/**
+ * lib/lifecycle.js — Flag lifecycle metadata and the stale flags report
+ *
+ * A flag definition may carry lifecycle fields, all optional:
+ *
+ *   {
+ *     "key": "...",
+ *     "status": "deprecated",          // experimental | ga | deprecated | pending_removal (default: ga)
+ *     "owner": "Sepsis squad",
+ *     "introduced": "2024-03-01",
+ *     "removalDate": "2026-12-31",
+ *     "supersededBy": "other_flag_key"
+ *   }
+ *
+ * A flag is stale when it is deprecated (or pending removal) but still enabled
+ * for some customer, or when its removal date has passed.
+ */
+
+const { isSiteMap, isEnabledValue } = require("./flag-values");
+const { listEnvironments, resolveEnvironment } = require("./environments");
+
+const FLAG_STATUSES = ["experimental", "ga", "deprecated", "pending_removal"];
+
+const STATUS_LABELS = {
+  experimental: "Experimental",
+  ga: "GA",
+  deprecated: "Deprecated",
+  pending_removal: "Pending Removal",
+};
+
+function flagStatus(flag) {
+  return flag?.status || "ga";
+}
+
+function statusLabel(status) {
+  return STATUS_LABELS[status] || status;
+}
+
+/**
+ * True for statuses that should no longer be enabled anywhere
+ */
+function isRetiring(status) {
+  return status === "deprecated" || status === "pending_removal";
+}
+
+/**
+ * Lifecycle details in one line, e.g.
+ * "Deprecated — owner: Sepsis squad; remove by 2026-12-31; superseded by other_flag_key"
+ */
+function describeLifecycle(flag) {
+  const details = [];
+  if (flag.owner) details.push(`owner: ${flag.owner}`);
+  if (flag.introduced) details.push(`introduced ${flag.introduced}`);
+  if (flag.removalDate) details.push(`remove by ${flag.removalDate}`);
+  if (flag.supersededBy) details.push(`superseded by ${flag.supersededBy}`);
+  const label = statusLabel(flagStatus(flag));
+  return details.length ? `${label} — ${details.join("; ")}` : label;
+}
+
+/**
+ * Today as YYYY-MM-DD (local time)
+ */
+function today() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Where a flag is enabled: [{ customerKey, productKey, environment, sites }]
+ * with `sites` null when the value is not per-site, or the enabled site keys.
+ */
+function findEnabled(data, flag) {
+  const found = [];
+  for (const customer of data.customers) {
+    const customerConfig = data.configurations[customer.key] || {};
+    for (const [productKey, prodConfig] of Object.entries(customerConfig)) {
+      const applicable =
+        flag.applicableProducts === "all" || flag.applicableProducts.includes(productKey);
+      if (!applicable) continue;
+      for (const env of listEnvironments(data)) {
+        const value = resolveEnvironment(prodConfig, env.key, data, productKey).flags[flag.key];
+        if (isSiteMap(value)) {
+          const sites = Object.keys(value).filter((site) => isEnabledValue(flag, value[site]));
+          if (sites.length) found.push({ customerKey: customer.key, productKey, environment: env.key, sites });
+        } else if (isEnabledValue(flag, value)) {
+          found.push({ customerKey: customer.key, productKey, environment: env.key, sites: null });
+        }
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * The stale flags report.
+ * Returns [{ flag, category, reasons: [...], enabledAt: [...] }] where `reasons`
+ * holds "retiring_enabled" and/or "past_removal", and `enabledAt` is findEnabled().
+ */
+function findStaleFlags(data, asOf = today()) {
+  const stale = [];
+  for (const [category, catFlags] of Object.entries(data.flagDefinitions)) {
+    for (const flag of catFlags) {
+      const enabledAt = findEnabled(data, flag);
+      const reasons = [];
+      if (isRetiring(flagStatus(flag)) && enabledAt.length) reasons.push("retiring_enabled");
+      if (flag.removalDate && flag.removalDate < asOf) reasons.push("past_removal");
+      if (reasons.length) stale.push({ flag, category, reasons, enabledAt });
+    }
+  }
+  return stale;
+}
+
+/**
+ * Short description of a stale flag's problems
+ */
+function describeStaleReasons(entry) {
+  return entry.reasons
+    .map((reason) =>
+      reason === "past_removal"
+        ? `past removal date (${entry.flag.removalDate})`
+        : `${statusLabel(flagStatus(entry.flag)).toLowerCase()} but still enabled`
+    )
+    .join("; ");
+}
+
+/**
+ * "CCF / Sepsis [production, staging]" lines for where a flag is enabled,
+ * merging environments with identical sites
+ */
+function describeEnabledAt(enabledAt, data) {
+  const groups = new Map();
+  for (const e of enabledAt) {
+    const id = JSON.stringify([e.customerKey, e.productKey, e.sites]);
+    if (!groups.has(id)) groups.set(id, { ...e, environments: [] });
+    groups.get(id).environments.push(e.environment);
+  }
+  return [...groups.values()].map((e) => {
+    const customer = data.customers.find((c) => c.key === e.customerKey)?.name || e.customerKey;
+    const product = data.products.find((p) => p.key === e.productKey)?.name || e.productKey;
+    const sites = e.sites ? ` @ ${e.sites.join(", ")}` : "";
+    return `${customer} / ${product}${sites} [${e.environments.join(", ")}]`;
+  });
+}
+
+module.exports = {
+  FLAG_STATUSES,
+  flagStatus,
+  statusLabel,
+  isRetiring,
+  describeLifecycle,
+  today,
+  findEnabled,
+  findStaleFlags,
+  describeStaleReasons,
+  describeEnabledAt,
+};
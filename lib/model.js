@@ -0,0 +1,171 @@
+/**
+ * lib/model.js — The resolved model every renderer reads
+ *
+ * The data is walked once here, so every output (see lib/renderers.js) sees
+ * the same applicability, notes and special cases:
+ *
+ *   products        each with `groups`: the categories that apply to it and
+ *                   their listed flags (applicable, or with a not-applicable
+ *                   note), and `defaults`: flag key → product default
+ *   categories      in display order, each with its flag definitions
+ *   configurations  one per customer product, with the resolved values of
+ *                   every environment (defaults applied) and `groups` of
+ *                   rows for the listed flags:
+ *
+ *     { flag, category, displayName, applicable, notApplicableNote,
+ *       values: { [env]: { value, source, annotation, note, provenance, sites } },
+ *       differing: [{ env, value }] }
+ *
+ *   `note` is the annotated note ("Partially enabled — ..."), and `sites` the
+ *   summary of a per-site value (null for plain values).
+ *
+ * The build's findings (rule violations, stale flags, env var mapping,
+ * drift report) are carried along as they are; `data` is there for
+ * anything the model does not cover.
+ */
+
+const { isSiteMap, summarizeSites } = require("./flag-values");
+const { listEnvironments, resolveEnvironment, differingEnvironments } = require("./environments");
+const { defaultValue, isApplicable } = require("./defaults");
+const { listCategories, categoryAppliesTo } = require("./categories");
+const { flagDisplayName, notApplicableNote, annotatedNote } = require("./display");
+const { groupViolations } = require("./rules");
+
+/**
+ * Categories that apply to a product, each with its listed flags:
+ * [{ category, flags: [{ flag, applicable, notApplicableNote }] }]
+ */
+function productGroups(categories, productKey) {
+  return categories
+    .filter((category) => categoryAppliesTo(category, productKey))
+    .map((category) => ({
+      category,
+      flags: category.flags
+        .map((flag) => ({
+          flag,
+          applicable: isApplicable(flag, productKey),
+          notApplicableNote: notApplicableNote(flag, productKey),
+        }))
+        .filter((f) => f.applicable || f.notApplicableNote),
+    }))
+    .filter((group) => group.flags.length > 0);
+}
+
+/**
+ * A customer product's resolved values per environment, with every value's
+ * annotated note and the summary of every per-site value:
+ * { [env]: { flags, sources, notes, annotations, provenance, annotatedNotes, sites } }
+ */
+function resolveEnvironments(data, environments, customer, prodConfig, productKey) {
+  const resolved = {};
+  for (const env of environments) {
+    const r = resolveEnvironment(prodConfig, env.key, data, productKey);
+    const annotatedNotes = {};
+    for (const flagKey of new Set([...Object.keys(r.notes), ...Object.keys(r.annotations)])) {
+      annotatedNotes[flagKey] = annotatedNote(r.annotations[flagKey], r.notes[flagKey]);
+    }
+    const sites = {};
+    for (const [flagKey, value] of Object.entries(r.flags)) {
+      if (!isSiteMap(value)) continue;
+      const flag = Object.values(data.flagDefinitions).flat().find((f) => f.key === flagKey);
+      sites[flagKey] = summarizeSites(value, customer, flag);
+    }
+    resolved[env.key] = { ...r, annotatedNotes, sites };
+  }
+  return resolved;
+}
+
+/**
+ * Build the model from validated (and possibly scoped) data and the build's findings
+ */
+function buildModel(data, { ruleViolations = [], staleFlags = [], envVarMapping = null, driftReport = null } = {}) {
+  const environments = listEnvironments(data);
+  const defaultEnv = environments[0].key;
+  const flags = Object.values(data.flagDefinitions).flat();
+  const categories = listCategories(data).map((c) => ({ ...c, flags: data.flagDefinitions[c.key] }));
+  const productName = (key) => data.products.find((p) => p.key === key)?.name || key;
+
+  const products = data.products.map((product) => {
+    const defaults = {};
+    for (const flag of flags) {
+      if (!isApplicable(flag, product.key)) continue;
+      const value = defaultValue(data, product.key, flag);
+      if (value !== undefined) defaults[flag.key] = value;
+    }
+    return { ...product, groups: productGroups(categories, product.key), defaults };
+  });
+
+  const groupedViolations = groupViolations(ruleViolations);
+  const configurations = [];
+  for (const customer of data.customers) {
+    for (const productKey of customer.products) {
+      const prodConfig = data.configurations[customer.key]?.[productKey];
+      const environmentValues = resolveEnvironments(data, environments, customer, prodConfig, productKey);
+
+      const groups = productGroups(categories, productKey).map(({ category, flags: listed }) => ({
+        category,
+        rows: listed.map(({ flag, applicable, notApplicableNote }) => {
+          const row = {
+            flag,
+            category,
+            displayName: flagDisplayName(flag, customer),
+            applicable,
+            notApplicableNote,
+            values: {},
+            differing: [],
+          };
+          if (!applicable) return row;
+          for (const env of environments) {
+            const r = environmentValues[env.key];
+            const value = r.flags[flag.key];
+            row.values[env.key] = {
+              value,
+              source: r.sources[flag.key],
+              annotation: r.annotations[flag.key],
+              note: r.annotatedNotes[flag.key] || "",
+              provenance: r.provenance[flag.key],
+              sites: r.sites[flag.key] || null,
+            };
+          }
+          row.differing = differingEnvironments(prodConfig, flag.key, data, productKey);
+          return row;
+        }),
+      }));
+
+      configurations.push({
+        customer,
+        productKey,
+        productName: productName(productKey),
+        configured: Boolean(prodConfig),
+        environments: environmentValues,
+        groups,
+        violations: groupedViolations.filter(
+          (v) => v.customerKey === customer.key && v.productKey === productKey
+        ),
+      });
+    }
+  }
+
+  return {
+    data,
+    meta: data.meta,
+    environments,
+    defaultEnvironment: defaultEnv,
+    products,
+    productName,
+    customers: data.customers,
+    categories,
+    flags,
+    rules: data.rules || [],
+    changelog: data.changelog || [],
+    configurations,
+    ruleViolations,
+    staleFlags,
+    envVarMapping,
+    driftReport,
+  };
+}
+
+module.exports = {
+  buildModel,
+};
@@ -0,0 +1,136 @@
+/**
+ * lib/preview-server.js — Local preview of the built site, with live reload
+ *
+ * Serves the output directory on localhost for `node generate.js --watch`.
+ * HTML pages get a small script that listens for build events over
+ * server-sent events (/__preview/events):
+ *   - reload:      the outputs were regenerated — reload the page
+ *   - build-error: the build failed — show the message in an overlay
+ * A page opened while the build is failing shows the overlay straight away.
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const EVENTS_PATH = "/__preview/events";
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".md": "text/markdown; charset=utf-8",
+  ".csv": "text/csv; charset=utf-8",
+  ".yaml": "text/yaml; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+};
+
+// Injected into every served HTML page (never written to the outputs)
+const CLIENT_SCRIPT = `<script>
+(function () {
+  var overlay = null;
+  function showError(message) {
+    if (!overlay) {
+      overlay = document.createElement("div");
+      overlay.id = "preview-error-overlay";
+      overlay.style.cssText = "position:fixed;inset:0;z-index:99999;overflow:auto;padding:32px;" +
+        "background:rgba(17,24,39,0.92);color:#fee2e2;font:13px/1.5 ui-monospace,Menlo,Consolas,monospace";
+      document.body.appendChild(overlay);
+    }
+    overlay.innerHTML = "<div style=\\"font:600 16px system-ui,sans-serif;color:#fca5a5;margin-bottom:12px\\">" +
+      "Build failed — showing the last successful build underneath</div><pre style=\\"white-space:pre-wrap;margin:0\\"></pre>";
+    overlay.querySelector("pre").textContent = message;
+  }
+  var events = new EventSource("${EVENTS_PATH}");
+  events.addEventListener("reload", function () { location.reload(); });
+  events.addEventListener("build-error", function (e) { showError(JSON.parse(e.data).message); });
+})();
+</script>`;
+
+const PLACEHOLDER_PAGE = `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Waiting for a build</title></head>
+<body style="font-family:system-ui,sans-serif;padding:32px;color:#374151">Waiting for the first successful build…</body></html>`;
+
+function injectClient(html) {
+  const at = html.lastIndexOf("</body>");
+  return at === -1 ? html + CLIENT_SCRIPT : html.slice(0, at) + CLIENT_SCRIPT + "\n" + html.slice(at);
+}
+
+/**
+ * Serve `dir` on 127.0.0.1:`port`. Resolves once listening, with
+ * { url, reload(), showError(message), close() }.
+ */
+function startPreviewServer({ dir, port }) {
+  const clients = new Set();
+  let lastError = null;
+
+  const send = (res, event, payload) => res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    if (url.pathname === EVENTS_PATH) {
+      res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+      res.write("\n");
+      clients.add(res);
+      req.on("close", () => clients.delete(res));
+      if (lastError) send(res, "build-error", { message: lastError });
+      return;
+    }
+
+    let pathname;
+    try {
+      pathname = decodeURIComponent(url.pathname);
+    } catch {
+      res.writeHead(400, { "Content-Type": "text/plain" }).end("Bad request");
+      return;
+    }
+    let file = path.join(dir, pathname);
+    const rel = path.relative(dir, file);
+    if (rel.startsWith("..") || path.isAbsolute(rel)) {
+      res.writeHead(403).end("Forbidden");
+      return;
+    }
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, "index.html");
+
+    const ext = path.extname(file);
+    if (!fs.existsSync(file)) {
+      if (ext === ".html") {
+        res.writeHead(200, { "Content-Type": CONTENT_TYPES[".html"] }).end(injectClient(PLACEHOLDER_PAGE));
+      } else {
+        res.writeHead(404, { "Content-Type": "text/plain" }).end("Not found");
+      }
+      return;
+    }
+
+    const type = CONTENT_TYPES[ext] || "application/octet-stream";
+    const body = fs.readFileSync(file);
+    res.writeHead(200, { "Content-Type": type, "Cache-Control": "no-store" });
+    res.end(ext === ".html" ? injectClient(body.toString("utf-8")) : body);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => {
+      resolve({
+        url: `http://localhost:${server.address().port}/`,
+        reload() {
+          lastError = null;
+          for (const res of clients) send(res, "reload", {});
+        },
+        showError(message) {
+          lastError = message;
+          for (const res of clients) send(res, "build-error", { message });
+        },
+        close() {
+          for (const res of clients) res.end();
+          server.close();
+        },
+      });
+    });
+  });
+}
+
+module.exports = {
+  startPreviewServer,
+};
@@ -0,0 +1,65 @@
+/**
+ * lib/provenance.js — Where a flag value came from and when it was last verified
+ *
+ * A customer product config may record provenance per flag, next to flags / notes
+ * (and per environment, like notes):
+ *
+ *   "provenance": {
+ *     "fluid_mod_bayesian_ui": {
+ *       "source": "config_patch_staging",   // see SOURCE_TYPES
+ *       "ref": "CCF staging config-patch (ENABLE_FLUIDS_QUESTIONS)",
+ *       "verified": "2026-10-19",           // last verified, YYYY-MM-DD
+ *       "confidence": "high"                // high | medium | low
+ *     }
+ *   }
+ *
+ * Every field is optional. A value without a `verified` date is unverified.
+ */
+
+const SOURCE_TYPES = {
+  checklist: "Integration checklist (PDF)",
+  config_patch_staging: "Config-patch YAML (staging)",
+  config_patch_production: "Config-patch YAML (production)",
+  tribal_knowledge: "Tribal knowledge",
+};
+
+const CONFIDENCE_LEVELS = ["high", "medium", "low"];
+
+function sourceTypeLabel(source) {
+  return SOURCE_TYPES[source] || source;
+}
+
+/**
+ * Provenance in one line, e.g.
+ * "Config-patch YAML (staging): CCF staging config-patch — verified 2026-10-19 — high confidence"
+ * ("" when nothing is recorded)
+ */
+function describeProvenance(provenance) {
+  if (!provenance) return "";
+  const origin = [provenance.source && sourceTypeLabel(provenance.source), provenance.ref]
+    .filter(Boolean)
+    .join(": ");
+  return [
+    origin,
+    provenance.verified ? `verified ${provenance.verified}` : "not verified",
+    provenance.confidence ? `${provenance.confidence} confidence` : "",
+  ]
+    .filter(Boolean)
+    .join(" — ");
+}
+
+/**
+ * Verification status for a table cell: "2026-10-19 (high)" or "Unverified"
+ */
+function verificationLabel(provenance) {
+  if (!provenance?.verified) return "Unverified";
+  return provenance.confidence ? `${provenance.verified} (${provenance.confidence})` : provenance.verified;
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  CONFIDENCE_LEVELS,
+  sourceTypeLabel,
+  describeProvenance,
+  verificationLabel,
+};
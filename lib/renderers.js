@@ -0,0 +1,115 @@
+/**
+ * lib/renderers.js — The registry of output renderers
+ *
+ * Every module in renderers/ is one output of `node generate.js`. Adding an
+ * output means dropping in a module; generate.js picks it up (and accepts
+ * its name for --only) without changes. A renderer exports:
+ *
+ *   {
+ *     name: "md",                               // for --only; letters, digits, - and _
+ *     description: "engineering reference",      // for build messages
+ *     order: 1,                                  // optional, lower first (default: last, by file name)
+ *     inputs: ["mapping"],                       // optional, what else it reads besides the JSON (for --watch)
+ *     outputs(model) { return ["feature-flags.md"]; },
+ *     render(model) { return { "feature-flags.md": "..." }; },
+ *   }
+ *
+ * `outputs` lists the paths it writes, relative to the output directory;
+ * `render` returns the content of each of them. Both get the resolved
+ * model (see lib/model.js) and must not write anything themselves.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const RENDERERS_DIR = path.join(__dirname, "..", "renderers");
+const INPUTS = ["mapping"];
+
+/**
+ * A renderer that does not keep to the interface (as opposed to one that
+ * throws while rendering)
+ */
+class RendererError extends Error {}
+
+/**
+ * Problems with a renderer module's exports, as a list of messages
+ */
+function checkRenderer(renderer) {
+  const problems = [];
+  if (typeof renderer?.name !== "string" || !/^[a-z0-9_-]+$/i.test(renderer.name)) {
+    problems.push("`name` must be a string of letters, digits, - and _");
+  }
+  if (typeof renderer?.description !== "string") problems.push("`description` must be a string");
+  if (renderer?.order !== undefined && typeof renderer.order !== "number") problems.push("`order` must be a number");
+  if (renderer?.inputs !== undefined && !(Array.isArray(renderer.inputs) && renderer.inputs.every((i) => INPUTS.includes(i)))) {
+    problems.push(`\`inputs\` must be a list of ${INPUTS.join(", ")}`);
+  }
+  for (const fn of ["outputs", "render"]) {
+    if (typeof renderer?.[fn] !== "function") problems.push(`\`${fn}\` must be a function`);
+  }
+  return problems;
+}
+
+/**
+ * The renderers in `dir`, in order. Throws on a module that is not a
+ * valid renderer, or a name used twice.
+ */
+function loadRenderers(dir = RENDERERS_DIR) {
+  const renderers = fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".js"))
+    .sort()
+    .map((file) => {
+      const renderer = require(path.join(dir, file));
+      const problems = checkRenderer(renderer);
+      if (problems.length) {
+        throw new Error(`renderers/${file} is not a renderer: ${problems.join("; ")}`);
+      }
+      return { inputs: [], ...renderer, file };
+    });
+
+  const seen = new Map();
+  for (const renderer of renderers) {
+    if (seen.has(renderer.name)) {
+      throw new Error(`renderers/${seen.get(renderer.name)} and renderers/${renderer.file} are both named "${renderer.name}"`);
+    }
+    seen.set(renderer.name, renderer.file);
+  }
+
+  return renderers
+    .map((renderer, index) => ({ renderer, index }))
+    .sort((a, b) => (a.renderer.order ?? Infinity) - (b.renderer.order ?? Infinity) || a.index - b.index)
+    .map(({ renderer }) => renderer);
+}
+
+/**
+ * Render one renderer's outputs as [{ file, content }], in the order it
+ * lists them. Throws a RendererError when `render` does not return exactly
+ * those paths.
+ */
+function renderOutputs(renderer, model) {
+  const files = renderer.outputs(model);
+  const rendered = renderer.render(model) || {};
+
+  for (const file of files) {
+    if (path.isAbsolute(file) || path.normalize(file).split(path.sep).includes("..")) {
+      throw new RendererError(`output path "${file}" must stay inside the output directory`);
+    }
+    if (typeof rendered[file] !== "string") {
+      throw new RendererError(`no content rendered for "${file}"`);
+    }
+  }
+  const extra = Object.keys(rendered).filter((file) => !files.includes(file));
+  if (extra.length) {
+    throw new RendererError(`rendered "${extra.join('", "')}", which it does not list in outputs()`);
+  }
+
+  return files.map((file) => ({ file, content: rendered[file] }));
+}
+
+module.exports = {
+  RENDERERS_DIR,
+  RendererError,
+  loadRenderers,
+  renderOutputs,
+};
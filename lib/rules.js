@@ -0,0 +1,173 @@
+/**
+ * lib/rules.js — Check customer configurations against declared flag rules
+ *
+ * Rules live in the top-level `rules` array of feature-flags.json:
+ *
+ *   { "type": "requires",  "flag": "a", "requires": ["b"], "reason": "..." }
+ *       a can only be enabled when every flag in `requires` is enabled
+ *   { "type": "conflicts", "flags": ["a", "b"], "reason": "..." }
+ *       at most one of the flags may be enabled
+ *   { "type": "coupled",   "flags": ["a", "b"], "reason": "..." }
+ *       the flags are enabled or disabled together
+ *
+ * Each customer product is checked in every environment and, for per-site
+ * values, at every site. A rule only applies to products where all of its
+ * flags are applicable.
+ */
+
+const { isSiteMap, isEnabledValue, customerSiteKeys } = require("./flag-values");
+const { listEnvironments, resolveEnvironment } = require("./environments");
+
+const RULE_TYPES = ["requires", "conflicts", "coupled"];
+
+/**
+ * Flag keys a rule refers to
+ */
+function ruleFlags(rule) {
+  if (rule.type === "requires") return [rule.flag, ...(rule.requires || [])];
+  return rule.flags || [];
+}
+
+/**
+ * One-line description of a rule, e.g. "nurse_order_set + provider_order_set are enabled together"
+ */
+function describeRule(rule) {
+  if (rule.type === "requires") return `${rule.flag} requires ${rule.requires.join(" + ")}`;
+  if (rule.type === "conflicts") return `${rule.flags.join(" / ")} are mutually exclusive`;
+  return `${rule.flags.join(" + ")} are enabled together`;
+}
+
+/**
+ * The violation message for one set of values, or null when the rule holds.
+ * `enabled` maps flag key → boolean (see isEnabledValue in lib/flag-values.js).
+ */
+function evaluateRule(rule, enabled) {
+  if (rule.type === "requires") {
+    if (!enabled[rule.flag]) return null;
+    const missing = rule.requires.filter((k) => !enabled[k]);
+    if (missing.length === 0) return null;
+    return `${rule.flag} is enabled but requires ${missing.join(", ")}, which ${missing.length > 1 ? "are" : "is"} disabled`;
+  }
+  if (rule.type === "conflicts") {
+    const on = rule.flags.filter((k) => enabled[k]);
+    if (on.length <= 1) return null;
+    return `${on.join(" and ")} are both enabled, but are mutually exclusive`;
+  }
+  if (rule.type === "coupled") {
+    const on = rule.flags.filter((k) => enabled[k]);
+    if (on.length === 0 || on.length === rule.flags.length) return null;
+    const off = rule.flags.filter((k) => !enabled[k]);
+    return `${on.join(", ")} enabled but ${off.join(", ")} disabled; these flags must match`;
+  }
+  return null;
+}
+
+/**
+ * Check every customer configuration against `data.rules`.
+ * Returns [{ rule, ruleIndex, customerKey, productKey, environment, site, flags, message }]
+ * with `site` null unless the violation is specific to one site.
+ */
+function checkRules(data) {
+  const rules = Array.isArray(data.rules) ? data.rules : [];
+  const violations = [];
+  if (rules.length === 0) return violations;
+
+  const flagsByKey = new Map();
+  for (const catFlags of Object.values(data.flagDefinitions || {})) {
+    for (const flag of catFlags) flagsByKey.set(flag.key, flag);
+  }
+  const applies = (flagKey, productKey) => {
+    const flag = flagsByKey.get(flagKey);
+    if (!flag) return false;
+    return flag.applicableProducts === "all" || flag.applicableProducts.includes(productKey);
+  };
+
+  for (const customer of data.customers) {
+    const customerConfig = data.configurations[customer.key] || {};
+    const siteKeys = customerSiteKeys(customer);
+
+    for (const [productKey, prodConfig] of Object.entries(customerConfig)) {
+      for (const env of listEnvironments(data)) {
+        const { flags } = resolveEnvironment(prodConfig, env.key, data, productKey);
+
+        rules.forEach((rule, ruleIndex) => {
+          const keys = ruleFlags(rule);
+          if (!keys.every((k) => applies(k, productKey))) return;
+
+          const valueAt = (k, site) => {
+            const value = flags[k];
+            return isSiteMap(value) ? value[site] : value;
+          };
+          const perSite = siteKeys.length > 0 && keys.some((k) => isSiteMap(flags[k]));
+          const sites = perSite ? siteKeys : [null];
+
+          for (const site of sites) {
+            const enabled = {};
+            for (const k of keys) enabled[k] = isEnabledValue(flagsByKey.get(k), valueAt(k, site));
+            const message = evaluateRule(rule, enabled);
+            if (!message) continue;
+            violations.push({
+              rule,
+              ruleIndex,
+              customerKey: customer.key,
+              productKey,
+              environment: env.key,
+              site,
+              flags: keys,
+              message,
+            });
+          }
+        });
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Rule violations in `after` that `before` does not have (for tools that
+ * edit the data)
+ */
+function newViolations(before, after) {
+  const id = (v) => JSON.stringify([v.ruleIndex, v.customerKey, v.productKey, v.environment, v.site, v.message]);
+  const existing = new Set(checkRules(before).map(id));
+  return checkRules(after).filter((v) => !existing.has(id(v)));
+}
+
+/**
+ * Merge violations that only differ by environment.
+ * Returns the violations with `environments` (an array of keys) in place of `environment`.
+ */
+function groupViolations(violations) {
+  const groups = new Map();
+  for (const { environment, ...v } of violations) {
+    const id = JSON.stringify([v.ruleIndex, v.customerKey, v.productKey, v.site, v.message]);
+    if (!groups.has(id)) groups.set(id, { ...v, environments: [] });
+    groups.get(id).environments.push(environment);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Format violations for terminal output, one line each
+ */
+function formatViolations(violations, data) {
+  return groupViolations(violations).map((v) => {
+    const customer = data.customers.find((c) => c.key === v.customerKey)?.name || v.customerKey;
+    const product = data.products.find((p) => p.key === v.productKey)?.name || v.productKey;
+    const where = [customer, product, v.site].filter(Boolean).join(" / ");
+    const reason = v.rule.reason ? ` — ${v.rule.reason}` : "";
+    return `  ⚠ ${where} [${v.environments.join(", ")}]: ${v.message}${reason}`;
+  }).join("\n");
+}
+
+module.exports = {
+  RULE_TYPES,
+  ruleFlags,
+  describeRule,
+  checkRules,
+  newViolations,
+  groupViolations,
+  formatViolations,
+};
@@ -0,0 +1,66 @@
+/**
+ * lib/scope.js — Limit the data to some customers and products
+ *
+ * Used by `node generate.js --customer ccf` / `--product sepsis` so outputs
+ * only cover what was asked for:
+ *   - products:  only the selected ones (all when none are given)
+ *   - customers: only the selected ones that have a selected product, with
+ *                their `products` narrowed to the selected products
+ *   - configurations: only for the remaining customers and products
+ * Flag definitions, categories and rules are left as they are.
+ */
+
+/**
+ * Data narrowed to the given customer and product keys (either list may be
+ * empty for "all"). Keys the data does not have simply match nothing.
+ */
+function scopeData(data, { customers = [], products = [] } = {}) {
+  if (customers.length === 0 && products.length === 0) return data;
+
+  const productKeys = products.length ? products : data.products.map((p) => p.key);
+  const scopedCustomers = data.customers
+    .filter((c) => customers.length === 0 || customers.includes(c.key))
+    .map((c) => ({ ...c, products: (c.products || []).filter((p) => productKeys.includes(p)) }))
+    .filter((c) => c.products.length > 0);
+
+  const configurations = {};
+  for (const customer of scopedCustomers) {
+    const config = data.configurations?.[customer.key];
+    if (!config) continue;
+    configurations[customer.key] = Object.fromEntries(
+      Object.entries(config).filter(([productKey]) => customer.products.includes(productKey))
+    );
+  }
+
+  return {
+    ...data,
+    products: data.products.filter((p) => productKeys.includes(p.key)),
+    customers: scopedCustomers,
+    configurations,
+  };
+}
+
+/**
+ * Problems with a scope for the data: unknown keys, or nothing left in scope.
+ * Returns a list of messages.
+ */
+function checkScope(data, { customers = [], products = [] } = {}) {
+  const problems = [];
+  for (const [keys, entries, kind] of [
+    [customers, data.customers, "customer"],
+    [products, data.products, "product"],
+  ]) {
+    const known = entries.map((e) => e.key);
+    const unknown = keys.filter((k) => !known.includes(k));
+    if (unknown.length) problems.push(`unknown ${kind} "${unknown.join('", "')}" (expected one of ${[...new Set(known)].join(", ")})`);
+  }
+  if (problems.length === 0 && scopeData(data, { customers, products }).customers.length === 0) {
+    problems.push(`no customer in scope has product ${products.join(", ")}`);
+  }
+  return problems;
+}
+
+module.exports = {
+  scopeData,
+  checkScope,
+};
@@ -0,0 +1,85 @@
+/**
+ * lib/site-list.js — Per-hospital env var values ("site lists")
+ *
+ * Some customers (CCF, Gap 5) set an env var per hospital instead of once:
+ *
+ *   ENABLE_BUNDLE_TRACKING: "FAIRH|true,CCF|true,AVONH|false"
+ *
+ * A customer declares which env vars use the format in feature-flags.json:
+ *
+ *   { "key": "ccf", ..., "siteListEnvVars": ["ENABLE_BUNDLE_TRACKING", ...] }
+ *
+ * Reading reduces a list to all-on (true), all-off (false) or mixed (a per-site
+ * map, as in lib/flag-values.js). Writing needs the customer's declared `sites`.
+ */
+
+const { isSiteMap, customerSiteKeys } = require("./flag-values");
+
+const SITE_LIST = /^\s*[^|,\s]+\s*\|[^|,]*(,\s*[^|,\s]+\s*\|[^|,]*)*$/;
+
+/**
+ * True when a customer declares the env var as a site list
+ */
+function usesSiteList(customer, envVarName) {
+  return Array.isArray(customer?.siteListEnvVars) && customer.siteListEnvVars.includes(envVarName);
+}
+
+/**
+ * True when an env var value looks like "SITE|value,SITE|value"
+ */
+function isSiteList(raw) {
+  return typeof raw === "string" && SITE_LIST.test(raw);
+}
+
+/**
+ * "FAIRH|true,CCF|false" → { FAIRH: "true", CCF: "false" }
+ */
+function parseSiteList(raw) {
+  if (!isSiteList(raw)) throw new Error(`expected "SITE|value,SITE|value", got ${JSON.stringify(raw)}`);
+  const values = {};
+  for (const part of raw.split(",")) {
+    const [site, value] = part.split("|");
+    values[site.trim()] = value.trim();
+  }
+  return values;
+}
+
+/**
+ * { FAIRH: true, CCF: false } → "FAIRH|true,CCF|false", in `siteKeys` order when given
+ */
+function formatSiteList(values, siteKeys = Object.keys(values)) {
+  return siteKeys.filter((site) => site in values).map((site) => `${site}|${values[site]}`).join(",");
+}
+
+/**
+ * A per-site map of true / false reduced to true (all on), false (all off),
+ * or the map itself (mixed)
+ */
+function reduceSiteValues(values) {
+  const all = Object.values(values);
+  if (all.length && all.every((v) => v === true)) return true;
+  if (all.length && all.every((v) => v === false)) return false;
+  return values;
+}
+
+/**
+ * The site list for a flag value (single or per-site) across the customer's
+ * declared sites, or null when the customer declares no sites
+ */
+function siteListFor(customer, flagValue) {
+  const siteKeys = customerSiteKeys(customer);
+  if (siteKeys.length === 0) return null;
+  const values = Object.fromEntries(
+    siteKeys.map((site) => [site, isSiteMap(flagValue) ? flagValue[site] : flagValue])
+  );
+  return formatSiteList(values, siteKeys);
+}
+
+module.exports = {
+  usesSiteList,
+  isSiteList,
+  parseSiteList,
+  formatSiteList,
+  reduceSiteValues,
+  siteListFor,
+};
@@ -0,0 +1,446 @@
+/**
+ * lib/taxonomy.js — Build docs/taxonomy-review.md from the data
+ *
+ * The counts and tables in the review (flags per category, mapping status,
+ * unmapped flags, shared toggles, composite mappings, the per-customer
+ * configuration summary) come from feature-flags.json and env-var-mapping.yaml.
+ * Decision notes are written by hand between markers, and are carried over
+ * each time the document is rebuilt:
+ *
+ *   <!-- HAND-WRITTEN: gap-1 -->
+ *   **Decision needed:** ...
+ *   <!-- END HAND-WRITTEN -->
+ *
+ * Everything outside the markers is rebuilt from the data.
+ */
+
+const { listCategories, categoryAppliesTo } = require("./categories");
+const { mappingByFlag, listEnvVars } = require("./env-vars");
+const { isApplicable } = require("./defaults");
+const { listEnvironments, resolveEnvironment, differingEnvironments } = require("./environments");
+const { isSiteMap, isEnabledValue, summarizeSites } = require("./flag-values");
+
+/**
+ * Hand-written sections, in document order
+ */
+const HAND_WRITTEN_SECTIONS = [
+  "header",
+  "context",
+  "gap-1",
+  "gaps-2-5",
+  "gap-6",
+  "gaps-7-8",
+  "categories",
+  "customers",
+  "agenda",
+  "business-value",
+  "post-call",
+];
+
+const BEGIN_MARKER = /^<!-- HAND-WRITTEN: ([\w-]+) -->$/;
+const END_MARKER = "<!-- END HAND-WRITTEN -->";
+
+/**
+ * Mapping statuses, in the order the summary lists them
+ */
+const MAPPING_STATUSES = [
+  { key: "boolean", label: "Mapped", summary: "**Mapped** (1:1 boolean)" },
+  { key: "value_present", label: "Mapped (value)", summary: "**Mapped** (value match)" },
+  { key: "composite", label: "Composite", summary: "**Mapped** (composite)" },
+  { key: "shared", label: "Shared toggle", summary: "**Mapped** (shared toggle)" },
+  { key: "unmapped", label: "**Unmapped**", summary: "**Unmapped**" },
+  { key: "missing", label: "**Not in mapping**", summary: "**Not in mapping**" },
+];
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+/**
+ * Mapping status key for a flag's mapping entry (see MAPPING_STATUSES)
+ */
+function mappingStatus(entry, sharedNames) {
+  if (!entry) return "missing";
+  if (entry.type === "unmapped" || entry.envVars.length === 0) return "unmapped";
+  if (entry.envVars.some((v) => sharedNames.has(v.name))) return "shared";
+  return entry.type;
+}
+
+/**
+ * Flags grouped by category, with their env vars and mapping status, plus
+ * the shared and composite env vars. Returns {
+ *   categories: [{ key, label, products, flags: [{ key, name, category, status, type, note, envVars }] }],
+ *   flags:      every flag above, in category order
+ *   shared:     [{ name, configMaps, flags: [flag key], differing: [{ customer, environment, product, values }] }]
+ *   composite:  [flag]
+ *   noEnvVar:   [flag]  // unmapped, or missing from the mapping
+ * }
+ * where `differing` lists the configurations that give a shared env var's
+ * flags different values, which the env var cannot express.
+ */
+function summarizeTaxonomy(data, mapping) {
+  const byFlag = mappingByFlag(mapping);
+  const envVars = listEnvVars(mapping);
+  const sharedNames = new Set(envVars.filter((v) => v.shared).map((v) => v.name));
+  const configMapsOf = new Map(envVars.map((v) => [v.name, v.configMaps]));
+
+  const categories = listCategories(data).map((category) => ({
+    ...category,
+    flags: data.flagDefinitions[category.key].map((flag) => {
+      const entry = byFlag.get(flag.key);
+      return {
+        key: flag.key,
+        name: flag.name,
+        category: category.key,
+        status: mappingStatus(entry, sharedNames),
+        type: entry?.type,
+        note: entry?.note || "",
+        envVars: (entry?.envVars || []).map((v) => ({
+          name: v.name,
+          configMaps: configMapsOf.get(v.name) || [],
+          shared: sharedNames.has(v.name),
+        })),
+      };
+    }),
+  }));
+  const flags = categories.flatMap((c) => c.flags);
+
+  const shared = envVars
+    .filter((v) => v.shared)
+    .map((v) => ({
+      name: v.name,
+      configMaps: v.configMaps,
+      flags: v.flags.map((f) => f.key),
+      differing: findDivergentValues(data, v.flags.map((f) => f.key)),
+    }));
+
+  return {
+    categories,
+    flags,
+    shared,
+    composite: flags.filter((f) => f.status === "composite"),
+    noEnvVar: flags.filter((f) => f.status === "unmapped" || f.status === "missing"),
+  };
+}
+
+/**
+ * Customer configurations that give flags sharing one env var different
+ * values (non-default environments only where they differ from the default). Returns [{ customer, environment, product, values: { flagKey: value } }].
+ */
+function findDivergentValues(data, flagKeys) {
+  const allFlags = Object.values(data.flagDefinitions).flat();
+  const flags = flagKeys.map((key) => allFlags.find((f) => f.key === key)).filter(Boolean);
+  const differing = [];
+  for (const customer of data.customers) {
+    for (const productKey of customer.products || []) {
+      if (!flags.every((f) => isApplicable(f, productKey))) continue;
+      const prodConfig = data.configurations[customer.key]?.[productKey];
+      let baseValues;
+      for (const env of listEnvironments(data)) {
+        const resolved = resolveEnvironment(prodConfig, env.key, data, productKey).flags;
+        const values = Object.fromEntries(flags.map((f) => [f.key, resolved[f.key]]));
+        // Other environments are listed only where they differ from the default
+        if (baseValues === undefined) baseValues = JSON.stringify(values);
+        else if (JSON.stringify(values) === baseValues) continue;
+        // Compared as on / off, so an enum's value and a boolean can agree
+        const enabled = (f) => {
+          const v = values[f.key];
+          return isSiteMap(v) ? Object.fromEntries(Object.entries(v).map(([s, x]) => [s, isEnabledValue(f, x)])) : isEnabledValue(f, v);
+        };
+        const distinct = new Set(flags.map((f) => JSON.stringify(enabled(f))));
+        if (distinct.size > 1) {
+          differing.push({ customer: customer.key, environment: env.key, product: productKey, values });
+        }
+      }
+    }
+  }
+  return differing;
+}
+
+// ─── Hand-written sections ────────────────────────────────────────────────────
+
+/**
+ * Hand-written sections of an existing review: Map of name → markdown
+ */
+function readHandWritten(text) {
+  const sections = new Map();
+  let current = null;
+  let body = [];
+  text.split("\n").forEach((line, i) => {
+    const begin = line.trim().match(BEGIN_MARKER);
+    if (begin) {
+      if (current) throw new Error(`line ${i + 1}: "${current}" is not closed before "${begin[1]}"`);
+      if (sections.has(begin[1])) throw new Error(`line ${i + 1}: "${begin[1]}" appears twice`);
+      current = begin[1];
+      body = [];
+    } else if (line.trim() === END_MARKER) {
+      if (!current) throw new Error(`line ${i + 1}: ${END_MARKER} without a matching HAND-WRITTEN marker`);
+      sections.set(current, body.join("\n").replace(/^\n+|\n+$/g, ""));
+      current = null;
+    } else if (current) {
+      body.push(line);
+    }
+  });
+  if (current) throw new Error(`"${current}" is not closed with ${END_MARKER}`);
+  return sections;
+}
+
+// ─── Markdown ─────────────────────────────────────────────────────────────────
+
+function formatValue(val, customer, flag) {
+  if (val === true) return "on";
+  if (val === false) return "off";
+  if (val === undefined) return "—";
+  if (isSiteMap(val)) {
+    const { enabled, total } = summarizeSites(val, customer, flag);
+    return `mixed (${enabled}/${total})`;
+  }
+  return `\`${val}\``;
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
+}
+
+/**
+ * The review document, with the hand-written sections from `notes` (see readHandWritten)
+ */
+function formatTaxonomyReview(summary, data, notes = new Map()) {
+  const lines = [];
+  const ln = (s = "") => lines.push(s);
+  const cell = (s) => String(s).replace(/\|/g, "\\|");
+  const code = (s) => `\`${s}\``;
+  const customerName = (key) => data.customers.find((c) => c.key === key)?.name || key;
+  const envName = (key) => listEnvironments(data).find((e) => e.key === key)?.name || key;
+  const allFlags = Object.values(data.flagDefinitions).flat();
+  const categoryCount = summary.categories.length;
+  const handWritten = (name) => {
+    ln(`<!-- HAND-WRITTEN: ${name} -->`);
+    if (notes.get(name)) ln(notes.get(name));
+    ln(END_MARKER);
+  };
+  const envVarCell = (flag) => {
+    if (flag.envVars.length === 0) return "—";
+    const join = flag.status === "composite" ? " + " : ", ";
+    return flag.envVars
+      .map((v) => {
+        const tags = [
+          v.configMaps.length > 1 && `${v.configMaps.length} ConfigMaps`,
+          v.shared && "shared",
+        ].filter(Boolean);
+        return code(v.name) + (tags.length ? ` (${tags.join(", ")})` : "");
+      })
+      .join(join);
+  };
+  const statusLabel = (key) => MAPPING_STATUSES.find((s) => s.key === key).label;
+
+  handWritten("header");
+  ln();
+  ln("> **Generated sections:** counts and tables are rebuilt from `data/feature-flags.json` and");
+  ln("> `data/env-var-mapping.yaml` by `node taxonomy-review.js`. Only text between");
+  ln("> `<!-- HAND-WRITTEN: … -->` and `<!-- END HAND-WRITTEN -->` markers is kept — edit there.");
+  ln(`> Flag data as of ${data.meta?.lastUpdated || "—"}.`);
+  ln();
+  ln("---");
+  ln();
+  ln("## 1. Context");
+  ln();
+  handWritten("context");
+  ln();
+  ln("---");
+  ln();
+
+  // Taxonomy, category by category
+  ln(`## 2. Current Taxonomy (${plural(summary.flags.length, "flag")}, ${categoryCount} ${categoryCount === 1 ? "category" : "categories"})`);
+  let n = 0;
+  for (const category of summary.categories) {
+    ln();
+    ln(`### ${category.label} (${plural(category.flags.length, "flag")})`);
+    ln();
+    ln("| # | Flag Key | Display Name | Env Var(s) | Mapping Status |");
+    ln("|---|----------|-------------|------------|----------------|");
+    for (const flag of category.flags) {
+      n++;
+      ln(`| ${n} | ${code(flag.key)} | ${cell(flag.name)} | ${envVarCell(flag)} | ${statusLabel(flag.status)} |`);
+    }
+  }
+  ln();
+  ln("---");
+  ln();
+
+  // Mapping summary
+  ln("## 3. Mapping Summary");
+  ln();
+  ln("| Status | Count | Flags |");
+  ln("|--------|-------|-------|");
+  for (const status of MAPPING_STATUSES) {
+    const flags = summary.flags.filter((f) => f.status === status.key);
+    if (flags.length) ln(`| ${status.summary} | ${flags.length} | ${flags.map((f) => f.key).join(", ")} |`);
+  }
+  ln();
+  ln("### Composite Mappings");
+  ln();
+  if (summary.composite.length) {
+    ln("A composite flag is on only when every one of its env vars is on.");
+    ln();
+    ln("| Flag | Env Vars | ConfigMaps | Note |");
+    ln("|------|----------|------------|------|");
+    for (const flag of summary.composite) {
+      const configMaps = [...new Set(flag.envVars.flatMap((v) => v.configMaps))];
+      ln(`| ${code(flag.key)} | ${envVarCell(flag)} | ${configMaps.join(", ")} | ${cell(flag.note)} |`);
+    }
+  } else ln("None.");
+  ln();
+  ln("---");
+  ln();
+
+  // Gaps
+  ln("## 4. Outstanding Gaps");
+  ln();
+  ln(`### Gap 1: ${plural(summary.noEnvVar.length, "Flag")} with No Known Env Var`);
+  ln();
+  if (summary.noEnvVar.length) {
+    ln("| Flag | Category | Enabled For | Mapping Note |");
+    ln("|------|----------|-------------|--------------|");
+    for (const flag of summary.noEnvVar) {
+      const category = summary.categories.find((c) => c.key === flag.category);
+      const enabledFor = enabledCustomers(data, flag.key).map(customerName).join(", ") || "—";
+      const note = flag.status === "missing" ? "Not in env-var-mapping.yaml" : flag.note;
+      ln(`| ${code(flag.key)} | ${category.label} | ${enabledFor} | ${cell(note)} |`);
+    }
+  } else ln("Every flag has at least one env var.");
+  ln();
+  handWritten("gap-1");
+  ln();
+  handWritten("gaps-2-5");
+  ln();
+  ln("### Gap 6: Shared Toggles");
+  ln();
+  if (summary.shared.length) {
+    ln(`${plural(summary.shared.length, "env var")} each control more than one flag, so those flags cannot be toggled independently:`);
+    ln();
+    ln("| Env Var | ConfigMap(s) | Controls | Set Differently in the JSON |");
+    ln("|---------|-------------|----------|-----------------------------|");
+    for (const s of summary.shared) {
+      const differing = s.differing
+        .map((d) => {
+          const customer = data.customers.find((c) => c.key === d.customer);
+          const values = Object.entries(d.values).map(
+            ([flagKey, v]) => `${flagKey} ${formatValue(v, customer, allFlags.find((f) => f.key === flagKey))}`
+          );
+          const where = listEnvironments(data)[0].key === d.environment ? "" : ` (${envName(d.environment)})`;
+          return `${customer.name}${where}: ${values.join(", ")}`;
+        })
+        .join("<br>");
+      ln(`| ${code(s.name)} | ${s.configMaps.join(", ")} | ${s.flags.map(code).join(" + ")} | ${cell(differing || "—")} |`);
+    }
+  } else ln("No env var controls more than one flag.");
+  ln();
+  handWritten("gap-6");
+  ln();
+  handWritten("gaps-7-8");
+  ln();
+  ln("---");
+  ln();
+
+  // Categories
+  ln("## 5. Proposed Category Naming — Review");
+  ln();
+  ln("| Category Key | Display Name | Products | Flag Count | No Known Env Var |");
+  ln("|--------------|--------------|----------|------------|------------------|");
+  for (const category of summary.categories) {
+    const products = category.products
+      ? category.products.map((key) => data.products.find((p) => p.key === key)?.name || key).join(", ")
+      : "All";
+    const noEnvVar = category.flags.filter((f) => f.status === "unmapped" || f.status === "missing").length;
+    ln(`| ${code(category.key)} | ${category.label} | ${products} | ${category.flags.length} | ${noEnvVar} |`);
+  }
+  ln();
+  handWritten("categories");
+  ln();
+  ln("---");
+  ln();
+
+  // Customer configuration summary
+  const env = listEnvironments(data)[0];
+  ln("## 6. Customer Configuration Summary");
+  ln();
+  ln(`${env.name} values of every applicable flag, per product.`);
+  let marked = false;
+  for (const product of data.products) {
+    const customers = data.customers.filter((c) => (c.products || []).includes(product.key));
+    if (customers.length === 0) continue;
+    ln();
+    ln(`### ${product.name} (${plural(customers.length, "customer")})`);
+    ln();
+    ln(`| Category | Flag | ${customers.map((c) => c.name).join(" | ")} |`);
+    ln(`|----------|------|${customers.map(() => "---").join("|")}|`);
+    for (const category of summary.categories) {
+      if (!categoryAppliesTo(category, product.key)) continue;
+      const definitions = data.flagDefinitions[category.key].filter((f) => isApplicable(f, product.key));
+      definitions.forEach((flag, i) => {
+        const values = customers.map((customer) => {
+          const prodConfig = data.configurations[customer.key]?.[product.key];
+          const value = resolveEnvironment(prodConfig, env.key, data, product.key).flags[flag.key];
+          const differs = differingEnvironments(prodConfig, flag.key, data, product.key).length > 0;
+          if (differs) marked = true;
+          return formatValue(value, customer, flag) + (differs ? " \\*" : "");
+        });
+        ln(`| ${i === 0 ? `**${category.label}**` : ""} | ${flag.key} | ${values.join(" | ")} |`);
+      });
+    }
+  }
+  if (marked) {
+    ln();
+    ln(`\\* Set differently in ${listEnvironments(data).slice(1).map((e) => e.name).join(" or ")} — see the viewer.`);
+  }
+  ln();
+  handWritten("customers");
+  ln();
+  ln("---");
+  ln();
+
+  ln("## 7. Proposed Agenda for Review Call");
+  ln();
+  handWritten("agenda");
+  ln();
+  ln("---");
+  ln();
+  ln("## 8. Business Value");
+  ln();
+  handWritten("business-value");
+  ln();
+  ln("---");
+  ln();
+  ln("## 9. Post-Call Actions");
+  ln();
+  handWritten("post-call");
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Customer keys with a flag on (in any product and environment)
+ */
+function enabledCustomers(data, flagKey) {
+  const flag = Object.values(data.flagDefinitions).flat().find((f) => f.key === flagKey);
+  return data.customers
+    .filter((customer) =>
+      (customer.products || []).some((productKey) => {
+        if (!isApplicable(flag, productKey)) return false;
+        const prodConfig = data.configurations[customer.key]?.[productKey];
+        return listEnvironments(data).some((env) => {
+          const value = resolveEnvironment(prodConfig, env.key, data, productKey).flags[flagKey];
+          return isSiteMap(value)
+            ? Object.values(value).some((v) => isEnabledValue(flag, v))
+            : isEnabledValue(flag, value);
+        });
+      })
+    )
+    .map((c) => c.key);
+}
+
+module.exports = {
+  HAND_WRITTEN_SECTIONS,
+  summarizeTaxonomy,
+  readHandWritten,
+  formatTaxonomyReview,
+};
@@ -0,0 +1,355 @@
+/**
+ * lib/yaml.js — Minimal YAML reader for the mapping file and ConfigMap YAMLs
+ *
+ * The repo has no dependencies, so this covers the subset of YAML those files use:
+ *   - block mappings and sequences (including "- key: value" items)
+ *   - flow sequences and mappings on one line: [a, b], { a: b }
+ *   - plain, 'single' and "double" quoted scalars; true / false / null / numbers
+ *   - literal and folded block scalars (| |- > >-)
+ *   - comments, and multiple documents separated by ---
+ *
+ * Anchors, aliases, tags and multi-line flow collections are not supported.
+ */
+
+class YamlError extends Error {
+  constructor(message, line) {
+    super(line ? `line ${line}: ${message}` : message);
+    this.name = "YamlError";
+    this.line = line;
+  }
+}
+
+// ─── Scalars ──────────────────────────────────────────────────────────────────
+
+/**
+ * Index of the " #" that starts a comment, outside quotes (-1 when none)
+ */
+function commentIndex(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === "\\" && quote === '"') i++;
+      else if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      if (i === 0 || /[\s[{,:]/.test(text[i - 1])) quote = c;
+    } else if (c === "#" && (i === 0 || /\s/.test(text[i - 1]))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function stripComment(text) {
+  const i = commentIndex(text);
+  return (i === -1 ? text : text.slice(0, i)).trimEnd();
+}
+
+function parseScalar(text, line) {
+  const s = text.trim();
+  if (s.startsWith('"')) {
+    if (!s.endsWith('"') || s.length < 2) throw new YamlError("unterminated double-quoted string", line);
+    try {
+      return JSON.parse(s);
+    } catch {
+      throw new YamlError(`invalid double-quoted string ${s}`, line);
+    }
+  }
+  if (s.startsWith("'")) {
+    if (!s.endsWith("'") || s.length < 2) throw new YamlError("unterminated single-quoted string", line);
+    return s.slice(1, -1).replace(/''/g, "'");
+  }
+  if (s === "" || s === "~" || /^null$/i.test(s)) return null;
+  if (/^true$/i.test(s)) return true;
+  if (/^false$/i.test(s)) return false;
+  if (/^[-+]?\d+$/.test(s)) return Number(s);
+  if (/^[-+]?(\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(s)) return Number(s);
+  return s;
+}
+
+// ─── Flow collections ─────────────────────────────────────────────────────────
+
+/**
+ * Parse a one-line flow value: [a, "b"], { k: v }, or a scalar
+ */
+function parseFlow(text, line) {
+  let pos = 0;
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  function readScalar(stops) {
+    skipSpace();
+    const start = pos;
+    if (text[pos] === '"' || text[pos] === "'") {
+      const quote = text[pos++];
+      while (pos < text.length) {
+        if (quote === '"' && text[pos] === "\\") pos += 2;
+        else if (text[pos] === quote && quote === "'" && text[pos + 1] === "'") pos += 2;
+        else if (text[pos] === quote) break;
+        else pos++;
+      }
+      pos++;
+      return parseScalar(text.slice(start, pos), line);
+    }
+    while (pos < text.length && !stops.includes(text[pos])) {
+      if (text[pos] === ":" && stops.includes(":") && /\s/.test(text[pos + 1] || " ")) break;
+      pos++;
+    }
+    return parseScalar(text.slice(start, pos), line);
+  }
+
+  function readValue(stops) {
+    skipSpace();
+    if (text[pos] === "[") return readSequence();
+    if (text[pos] === "{") return readMapping();
+    return readScalar(stops);
+  }
+
+  function readSequence() {
+    pos++;
+    const items = [];
+    skipSpace();
+    if (text[pos] === "]") {
+      pos++;
+      return items;
+    }
+    for (;;) {
+      items.push(readValue(",]"));
+      skipSpace();
+      if (text[pos] === ",") pos++;
+      else if (text[pos] === "]") {
+        pos++;
+        return items;
+      } else throw new YamlError("expected , or ] in flow sequence", line);
+    }
+  }
+
+  function readMapping() {
+    pos++;
+    const map = {};
+    skipSpace();
+    if (text[pos] === "}") {
+      pos++;
+      return map;
+    }
+    for (;;) {
+      const key = readScalar(":,}");
+      skipSpace();
+      if (text[pos] !== ":") throw new YamlError("expected : in flow mapping", line);
+      pos++;
+      map[String(key)] = readValue(",}");
+      skipSpace();
+      if (text[pos] === ",") pos++;
+      else if (text[pos] === "}") {
+        pos++;
+        return map;
+      } else throw new YamlError("expected , or } in flow mapping", line);
+    }
+  }
+
+  const value = readValue("");
+  skipSpace();
+  if (pos < text.length) throw new YamlError(`unexpected "${text.slice(pos)}"`, line);
+  return value;
+}
+
+// ─── Block structure ──────────────────────────────────────────────────────────
+
+/**
+ * Index of the ":" that ends a mapping key (-1 when the text is not "key: value")
+ */
+function mappingColon(text) {
+  if (text.startsWith("[") || text.startsWith("{")) return -1;
+  let i = 0;
+  if (text[0] === '"' || text[0] === "'") {
+    const quote = text[0];
+    for (i = 1; i < text.length; i++) {
+      if (quote === '"' && text[i] === "\\") i++;
+      else if (text[i] === quote) break;
+    }
+    i++;
+  }
+  for (; i < text.length; i++) {
+    if (text[i] === "#" && /\s/.test(text[i - 1] || " ")) return -1;
+    if (text[i] === ":" && (i + 1 === text.length || /\s/.test(text[i + 1]))) return i;
+  }
+  return -1;
+}
+
+const isSequenceItem = (text) => text === "-" || text.startsWith("- ");
+
+/**
+ * Parse one document's lines. `firstLine` is the 1-based line number of lines[0].
+ */
+function parseDocument(lines, firstLine) {
+  let i = 0;
+  const lineNo = () => firstLine + i;
+  const indentOf = (s) => s.match(/^ */)[0].length;
+  const isContent = (s) => s.trim() !== "" && !s.trim().startsWith("#");
+  const skip = () => {
+    while (i < lines.length && !isContent(lines[i])) i++;
+  };
+
+  function parseNode(minIndent) {
+    skip();
+    if (i >= lines.length) return null;
+    const indent = indentOf(lines[i]);
+    if (indent < minIndent) return null;
+    const text = lines[i].slice(indent);
+    if (text.startsWith("\t")) throw new YamlError("tabs are not allowed for indentation", lineNo());
+    if (isSequenceItem(text)) return parseSequence(indent);
+    if (mappingColon(text) !== -1) return parseMapping(indent);
+    i++;
+    return parseFlow(stripComment(text), lineNo() - 1);
+  }
+
+  function parseSequence(indent) {
+    const items = [];
+    for (;;) {
+      skip();
+      if (i >= lines.length || indentOf(lines[i]) !== indent) break;
+      const text = lines[i].slice(indent);
+      if (!isSequenceItem(text)) break;
+      const rest = text.slice(1).replace(/^ +/, "");
+      const restIndent = indent + text.length - rest.length;
+      if (stripComment(rest) === "") {
+        i++;
+        items.push(parseNode(indent + 1));
+      } else if (isSequenceItem(rest) || mappingColon(rest) !== -1) {
+        // "- key: value" — the item continues on the following lines at restIndent
+        lines[i] = " ".repeat(restIndent) + rest;
+        items.push(parseNode(restIndent));
+      } else {
+        i++;
+        items.push(parseInlineValue(rest, indent));
+      }
+    }
+    return items;
+  }
+
+  function parseMapping(indent) {
+    const map = {};
+    for (;;) {
+      skip();
+      if (i >= lines.length) break;
+      const lineIndent = indentOf(lines[i]);
+      if (lineIndent < indent) break;
+      if (lineIndent > indent) throw new YamlError("unexpected indentation", lineNo());
+      const text = lines[i].slice(indent);
+      if (isSequenceItem(text)) break;
+      const colon = mappingColon(text);
+      if (colon === -1) throw new YamlError('expected "key: value"', lineNo());
+      const key = String(parseScalar(text.slice(0, colon), lineNo()));
+      if (Object.prototype.hasOwnProperty.call(map, key)) {
+        throw new YamlError(`duplicate key "${key}"`, lineNo());
+      }
+      const rest = text.slice(colon + 1).trim();
+      i++;
+      if (stripComment(rest) === "") {
+        // Nested block: more indented, or a sequence at the same indent
+        skip();
+        const next = i < lines.length ? lines[i] : "";
+        if (isContent(next) && indentOf(next) > indent) map[key] = parseNode(indent + 1);
+        else if (isContent(next) && indentOf(next) === indent && isSequenceItem(next.slice(indent))) {
+          map[key] = parseSequence(indent);
+        } else map[key] = null;
+      } else {
+        map[key] = parseInlineValue(rest, indent);
+      }
+    }
+    return map;
+  }
+
+  // The value after "key:" or "- " on the same line
+  function parseInlineValue(rest, indent) {
+    const header = stripComment(rest);
+    if (/^[|>][-+]?$/.test(header)) return parseBlockScalar(header, indent);
+    return parseFlow(header, lineNo() - 1);
+  }
+
+  // Literal (|) or folded (>) block scalar, with optional chomping indicator
+  function parseBlockScalar(header, indent) {
+    const block = [];
+    let contentIndent = null;
+    while (i < lines.length) {
+      const s = lines[i];
+      if (s.trim() === "") {
+        block.push("");
+        i++;
+        continue;
+      }
+      const ind = indentOf(s);
+      if (ind <= indent) break;
+      if (contentIndent === null) contentIndent = ind;
+      if (ind < contentIndent) break;
+      block.push(s.slice(contentIndent));
+      i++;
+    }
+    while (block.length && block[block.length - 1] === "") block.pop();
+    let text = "";
+    if (header[0] === "|") text = block.join("\n");
+    else {
+      // Folded: lines join with spaces, blank lines become newlines
+      block.forEach((l, j) => {
+        if (l === "") text += "\n";
+        else text += (j === 0 || text.endsWith("\n") ? "" : " ") + l;
+      });
+    }
+    if (!header.endsWith("-")) text += "\n";
+    return text;
+  }
+
+  skip();
+  if (i >= lines.length) return undefined;
+  const value = parseNode(0);
+  skip();
+  if (i < lines.length) throw new YamlError("unexpected content", lineNo());
+  return value;
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Parse every document in a YAML string (empty documents are skipped)
+ */
+function parseYamlDocuments(text) {
+  const docs = [];
+  let lines = [];
+  let firstLine = 1;
+  const all = text.replace(/\r\n?/g, "\n").split("\n");
+  all.forEach((line, n) => {
+    if (/^---(\s|$)/.test(line) || /^\.\.\.(\s|$)/.test(line)) {
+      docs.push({ lines, firstLine });
+      lines = [];
+      firstLine = n + 2;
+      return;
+    }
+    lines.push(line);
+  });
+  docs.push({ lines, firstLine });
+  return docs.map((d) => parseDocument(d.lines, d.firstLine)).filter((d) => d !== undefined);
+}
+
+/**
+ * Parse a single-document YAML string
+ */
+function parseYaml(text) {
+  const docs = parseYamlDocuments(text);
+  if (docs.length > 1) throw new YamlError(`expected one document, found ${docs.length}`);
+  return docs.length ? docs[0] : null;
+}
+
+/**
+ * A string as a double-quoted YAML scalar
+ */
+function quoteYaml(value) {
+  return JSON.stringify(String(value));
+}
+
+module.exports = {
+  YamlError,
+  parseYaml,
+  parseYamlDocuments,
+  quoteYaml,
+};
@@ -0,0 +1,34 @@
+/**
+ * renderers/config-patches.js — ConfigMap patches, via data/env-var-mapping.yaml
+ *
+ *   config-patches/{customer}-{environment}.yaml
+ *
+ * None when the env var mapping cannot be read.
+ */
+
+const { compileConfigMaps, formatConfigPatch } = require("../lib/env-vars");
+
+/**
+ * One { customer, env, file } per customer and environment
+ */
+function listPatches(model) {
+  if (!model.envVarMapping) return [];
+  return model.customers.flatMap((customer) =>
+    model.environments.map((env) => ({ customer, env, file: `config-patches/${customer.key}-${env.key}.yaml` }))
+  );
+}
+
+module.exports = {
+  name: "patches",
+  description: "ConfigMap patches",
+  order: 4,
+  inputs: ["mapping"],
+  outputs: (model) => listPatches(model).map((p) => p.file),
+  render: (model) =>
+    Object.fromEntries(
+      listPatches(model).map(({ customer, env, file }) => {
+        const compiled = compileConfigMaps(model.data, model.envVarMapping, customer, env.key);
+        return [file, formatConfigPatch(compiled, customer, env.name)];
+      })
+    ),
+};
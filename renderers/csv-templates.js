@@ -0,0 +1,142 @@
+/**
+ * renderers/csv-templates.js — CSV integration templates
+ *
+ *   templates/integration-template-{product}.csv   blank, one per product
+ *   templates/prefilled-{customer}.csv             pre-filled, one per customer
+ *
+ * Both list every flag that applies to the product, plus those with a
+ * not-applicable note (marked N/A).
+ */
+
+const { describeAllowedValues, formatTemplateValue } = require("../lib/flag-types");
+const { sourceLabel } = require("../lib/display");
+const { csvRow } = require("../lib/csv");
+
+/**
+ * Generate a blank integration template CSV for a product.
+ * Columns: Category, Flag Key, Flag Name, Description, Allowed Values, Enabled (Y/N), Notes
+ */
+function generateBlankTemplate(product) {
+  const rows = [];
+
+  // Header row
+  rows.push(
+    csvRow([
+      "Category",
+      "Flag Key",
+      "Feature Name",
+      "Description",
+      "Allowed Values",
+      "Enabled (Y/N)",
+      "Notes",
+    ])
+  );
+
+  for (const { category, flags } of product.groups) {
+    for (const { flag, applicable, notApplicableNote } of flags) {
+      rows.push(
+        csvRow([
+          category.label,
+          flag.key,
+          flag.name,
+          flag.description,
+          applicable ? describeAllowedValues(flag) : "N/A",
+          "",
+          applicable ? "" : notApplicableNote,
+        ])
+      );
+    }
+  }
+
+  return rows.join("\n");
+}
+
+/**
+ * Generate a pre-filled CSV for an existing customer (default environment).
+ * One section per product they have.
+ * Columns: Category, Flag Key, Flag Name, Description, Allowed Values, Enabled (Y/N), Source, Notes
+ */
+function generatePrefilledTemplate(model, customer) {
+  const rows = [];
+
+  // Header row
+  rows.push(
+    csvRow([
+      "Category",
+      "Flag Key",
+      "Feature Name",
+      "Description",
+      "Allowed Values",
+      "Enabled (Y/N)",
+      "Source",
+      "Notes",
+    ])
+  );
+
+  for (const config of model.configurations.filter((c) => c.customer === customer)) {
+    // Product separator row
+    rows.push(csvRow([`--- ${config.productName} ---`, "", "", "", "", "", "", ""]));
+
+    for (const { category, rows: flagRows } of config.groups) {
+      for (const row of flagRows) {
+        const { flag } = row;
+        if (!row.applicable) {
+          rows.push(
+            csvRow([
+              category.label,
+              flag.key,
+              row.displayName,
+              flag.description,
+              "N/A",
+              "",
+              "",
+              row.notApplicableNote,
+            ])
+          );
+          continue;
+        }
+
+        const { value, source, note, sites } = row.values[model.defaultEnvironment];
+        let enabledStr = formatTemplateValue(flag, value);
+
+        // Per-site values: one "SITE: Y" pair per site, unless every site agrees
+        if (sites) {
+          enabledStr = sites.uniform
+            ? formatTemplateValue(flag, sites.value)
+            : sites.entries
+                .map((e) => `${e.site}: ${formatTemplateValue(flag, e.value)}`)
+                .join("; ");
+        }
+
+        rows.push(
+          csvRow([
+            category.label,
+            flag.key,
+            row.displayName,
+            flag.description,
+            describeAllowedValues(flag),
+            enabledStr,
+            sourceLabel(source),
+            note,
+          ])
+        );
+      }
+    }
+  }
+
+  return rows.join("\n");
+}
+
+const blankPath = (product) => `templates/integration-template-${product.key}.csv`;
+const prefilledPath = (customer) => `templates/prefilled-${customer.key}.csv`;
+
+module.exports = {
+  name: "csv",
+  description: "CSV templates",
+  order: 3,
+  outputs: (model) => [...model.products.map(blankPath), ...model.customers.map(prefilledPath)],
+  render: (model) => ({
+    ...Object.fromEntries(model.products.map((p) => [blankPath(p), generateBlankTemplate(p)])),
+    ...Object.fromEntries(model.customers.map((c) => [prefilledPath(c), generatePrefilledTemplate(model, c)])),
+  }),
+};
@@ -0,0 +1,1497 @@
+/**
+ * renderers/html.js — index.html, the clinical team viewer
+ *
+ * A self-contained page: the model is embedded as FLAG_DATA (keyed by
+ * display names) next to the viewer's CSS and application JS.
+ */
+
+const path = require("path");
+const { siteName } = require("../lib/flag-values");
+const { flagType, describeType } = require("../lib/flag-types");
+const { flagStatus, statusLabel, describeLifecycle, describeStaleReasons } = require("../lib/lifecycle");
+const { ANNOTATIONS } = require("../lib/display");
+const { describeProvenance } = require("../lib/provenance");
+const { mappingByFlag, listEnvVars, compileConfigMaps } = require("../lib/env-vars");
+
+function generateHTML(model) {
+  // Transform the model into the FLAG_DATA format the HTML JS expects
+  const flagData = buildFlagDataForHTML(model);
+  const flagDataJSON = JSON.stringify(flagData, null, 2);
+
+  // Format the last-updated date for display
+  const lastUpdated = formatDateDisplay(model.meta.lastUpdated);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Feature Flag Configuration Viewer</title>
+<style>
+${getCSS()}
+</style>
+</head>
+<body>
+
+<div class="header">
+  <div class="header-inner">
+    <div>
+      <h1>Feature Flag Configuration</h1>
+      <div class="header-subtitle">Clinical team configuration viewer</div>
+    </div>
+    <div class="header-right">
+      <div class="search-box">
+        <svg class="search-icon" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/></svg>
+        <input type="text" id="searchInput" placeholder="Search flags...">
+      </div>
+      <span class="last-updated">Updated ${lastUpdated}</span>
+    </div>
+  </div>
+</div>
+
+<div class="main">
+  <div class="stats-bar" id="statsBar"></div>
+
+  <div class="filter-bar">
+    <div class="filter-group">
+      <label>Environment:</label>
+      <div id="environmentFilters"></div>
+    </div>
+    <div class="filter-divider"></div>
+    <div class="filter-group">
+      <label>Customer:</label>
+      <div id="customerFilters"></div>
+    </div>
+    <div class="filter-divider"></div>
+    <div class="filter-group">
+      <label>Product:</label>
+      <div id="productFilters"></div>
+    </div>
+    <div class="filter-divider"></div>
+    <div class="filter-group">
+      <label>Status:</label>
+      <div id="statusFilters"></div>
+    </div>
+    <div class="filter-divider"></div>
+    <div class="filter-group">
+      <label>Verification:</label>
+      <div id="verificationFilters"></div>
+      <input id="verificationAge" class="filter-age" type="number" min="1" value="90" title="Days since a value was last verified">
+      <span class="filter-unit">days</span>
+    </div>
+    <div class="filter-divider"></div>
+    <div class="filter-group">
+      <label>Category:</label>
+      <select id="categoryFilter" class="filter-select"></select>
+    </div>
+  </div>
+
+  <div class="tabs">
+    <div class="tab active" data-view="matrix">Overview</div>
+    <div class="tab" data-view="product">By Product</div>
+    <div class="tab" data-view="customer">By Customer</div>
+${model.envVarMapping ? '    <div class="tab" data-view="envVars">Env Vars</div>\n' : ""}${model.driftReport ? '    <div class="tab" data-view="drift">Drift</div>\n' : ""}  </div>
+
+  <div class="legend">
+    <span class="legend-label">Legend:</span>
+    <span class="legend-item"><span class="pill pill-enabled"><span class="pill-dot"></span>Enabled</span></span>
+    <span class="legend-item"><span class="pill pill-disabled"><span class="pill-dot"></span>Disabled</span></span>
+    <span class="legend-item"><span class="pill pill-value">Value</span></span>
+    <span class="legend-item"><span class="pill pill-mixed"><span class="pill-dot"></span>Mixed (by site)</span></span>
+    <span class="legend-item"><span class="pill pill-partial"><span class="pill-dot"></span>Partial</span></span>
+    <span class="legend-item"><span class="pill pill-na">N/A</span></span>
+    <span class="legend-item"><span class="pill pill-not-live">Not Live</span></span>
+    <span class="legend-item"><span class="override-marker">Override</span> customer differs from product default</span>
+    <span class="legend-item"><span class="provenance-marker">Verified</span><span class="provenance-marker provenance-old">Verified 120d ago</span> hover for source; unmarked values are unverified</span>
+    <span class="legend-item"><span class="env-diff">staging &ne; production</span></span>
+    <span class="legend-item"><span class="rule-warning">&#9888; Rule</span></span>
+    <span class="legend-item"><span class="status-badge status-experimental">Experimental</span><span class="status-badge status-deprecated">Deprecated</span><span class="status-badge status-stale">Stale</span></span>
+  </div>
+
+  <div id="rulesPanel"></div>
+
+  <div id="matrixView"></div>
+  <div id="productView" class="hidden"></div>
+  <div id="customerView" class="hidden"></div>
+  <div id="envVarsView" class="hidden"></div>
+  <div id="driftView" class="hidden"></div>
+</div>
+
+<script>
+// ===== DATA (auto-generated from data/feature-flags.json — do not edit) =====
+const FLAG_DATA = ${flagDataJSON};
+
+${getAppJS()}
+</script>
+</body>
+</html>`;
+}
+
+/**
+ * Transform the model into the display-name keyed format that the HTML
+ * application JS expects.
+ */
+function buildFlagDataForHTML(model) {
+  const { data, productName } = model;
+
+  // Products as display names
+  const products = model.products.map((p) => p.name);
+
+  // Customers: display name → array of product display names
+  const customers = {};
+  // EHRs: display-name customer → EHR platform (for EHR-specific flag names)
+  const ehrs = {};
+  for (const c of model.customers) {
+    customers[c.name] = c.products.map(productName);
+    ehrs[c.name] = c.ehr;
+  }
+
+  // Categories in display order — use display-name products
+  const categories = model.categories.map(({ flags: _, ...c }) => ({
+    ...c,
+    products: c.products && c.products.map(productName),
+  }));
+
+  // Flags by category — use display-name products
+  const flags = {};
+  for (const [catKey, catFlags] of Object.entries(data.flagDefinitions)) {
+    flags[catKey] = catFlags.map((f) => ({
+      key: f.key,
+      name: f.name,
+      type: flagType(f),
+      typeLabel: describeType(f),
+      ...(f.off !== undefined && { off: f.off }),
+      status: flagStatus(f),
+      statusLabel: statusLabel(flagStatus(f)),
+      lifecycle: describeLifecycle(f),
+      ...(f.ehrNames && { ehrNames: f.ehrNames }),
+      ...(f.notApplicableNotes && {
+        notApplicable: Object.fromEntries(
+          Object.entries(f.notApplicableNotes).map(([pk, note]) => [productName(pk), note])
+        ),
+      }),
+      ...(f.default !== undefined && { default: f.default }),
+      products: f.applicableProducts === "all" ? "all" : f.applicableProducts.map(productName),
+    }));
+  }
+
+  // Environments, default first
+  const environments = model.environments.map((e) => ({
+    key: e.key,
+    name: e.name,
+    default: !!e.default,
+  }));
+
+  // Notes: environment → display-name customer → display-name product → flagKey → note
+  const notes = {};
+  // Configurations: environment → display-name customer → display-name product → flag values
+  // Per-site values become display-name site → value (or a single value when
+  // every site agrees)
+  const configurations = {};
+  // Overrides: environment → display-name customer → display-name product → [flagKey]
+  // (every other value came from the product default)
+  const overrides = {};
+  // Annotations: environment → display-name customer → display-name product → flagKey → annotation
+  const annotations = {};
+  // Provenance: environment → display-name customer → display-name product → flagKey →
+  // { verified, description } (values without provenance are left out)
+  const provenance = {};
+  for (const env of environments) {
+    notes[env.key] = {};
+    configurations[env.key] = {};
+    overrides[env.key] = {};
+    annotations[env.key] = {};
+    provenance[env.key] = {};
+    for (const customer of model.customers) {
+      // Only what the JSON configures; products nobody configured are left out
+      const customerConfigs = model.configurations.filter((c) => c.customer === customer && c.configured);
+      if (customerConfigs.length === 0) continue;
+      configurations[env.key][customer.name] = {};
+      for (const config of customerConfigs) {
+        const name = config.productName;
+        const resolved = config.environments[env.key];
+
+        // Notes lead with the value's annotation, as in the markdown and CSVs
+        if (Object.keys(resolved.annotatedNotes).length > 0) {
+          if (!notes[env.key][customer.name]) notes[env.key][customer.name] = {};
+          notes[env.key][customer.name][name] = resolved.annotatedNotes;
+        }
+        if (Object.keys(resolved.annotations).length > 0) {
+          if (!annotations[env.key][customer.name]) annotations[env.key][customer.name] = {};
+          annotations[env.key][customer.name][name] = resolved.annotations;
+        }
+        if (Object.keys(resolved.provenance).length > 0) {
+          if (!provenance[env.key][customer.name]) provenance[env.key][customer.name] = {};
+          provenance[env.key][customer.name][name] = Object.fromEntries(
+            Object.entries(resolved.provenance).map(([flagKey, p]) => [
+              flagKey,
+              { verified: p.verified || null, description: describeProvenance(p) },
+            ])
+          );
+        }
+
+        const overridden = Object.keys(resolved.sources).filter(
+          (flagKey) => resolved.sources[flagKey] === "override"
+        );
+        if (overridden.length > 0) {
+          if (!overrides[env.key][customer.name]) overrides[env.key][customer.name] = {};
+          overrides[env.key][customer.name][name] = overridden;
+        }
+
+        const flagValues = {};
+        for (const [flagKey, value] of Object.entries(resolved.flags)) {
+          const sites = resolved.sites[flagKey];
+          if (!sites) {
+            flagValues[flagKey] = value;
+            continue;
+          }
+          flagValues[flagKey] = sites.uniform
+            ? sites.value
+            : Object.fromEntries(sites.entries.map((e) => [e.name, e.value]));
+        }
+        configurations[env.key][customer.name][name] = flagValues;
+      }
+    }
+  }
+
+  // Product defaults: display-name product → flagKey → default value
+  const defaults = Object.fromEntries(model.products.map((p) => [p.name, p.defaults]));
+
+  // Stale flags: flag key → why it is stale
+  const staleFlags = Object.fromEntries(
+    model.staleFlags.map((e) => [e.flag.key, describeStaleReasons(e)])
+  );
+
+  // Rule violations: one entry per environment, with display names
+  const ruleViolations = model.ruleViolations.map((v) => {
+    const customer = model.customers.find((c) => c.key === v.customerKey);
+    return {
+      environment: v.environment,
+      customer: customer.name,
+      product: productName(v.productKey),
+      site: v.site ? siteName(customer, v.site) : null,
+      flags: v.flags,
+      message: v.message,
+      reason: v.rule.reason || "",
+    };
+  });
+
+  // Env vars from env-var-mapping.yaml (null when it cannot be read), each with
+  // the value every customer's flags imply (see lib/env-vars.js):
+  // values: environment → display-name customer → { value } | { manual, hint? } | { conflict }
+  let envVars = null;
+  const unmappedFlags = [];
+  const { envVarMapping } = model;
+  if (envVarMapping) {
+    const compiled = environments.map((env) => ({
+      env,
+      customers: model.customers.map((customer) => ({
+        customer,
+        configMaps: compileConfigMaps(data, envVarMapping, customer, env.key).configMaps,
+      })),
+    }));
+    envVars = listEnvVars(envVarMapping).map((item) => {
+      const values = {};
+      for (const { env, customers } of compiled) {
+        values[env.key] = {};
+        for (const { customer, configMaps } of customers) {
+          const v = item.configMaps.map((cm) => configMaps[cm]?.[item.name]).find(Boolean);
+          if (!v) continue;
+          if (v.conflict) values[env.key][customer.name] = { conflict: v.conflict };
+          else if (v.manual) values[env.key][customer.name] = { manual: true, ...(v.hint && { hint: v.hint }) };
+          else values[env.key][customer.name] = { value: v.value };
+        }
+      }
+      return { ...item, values };
+    });
+
+    // Flags no env var is known for
+    const byFlag = mappingByFlag(envVarMapping);
+    for (const flag of model.flags) {
+      const entry = byFlag.get(flag.key);
+      if (!entry) unmappedFlags.push({ key: flag.key, note: "Not in env-var-mapping.yaml" });
+      else if (entry.type === "unmapped" || entry.envVars.length === 0) {
+        unmappedFlags.push({ key: flag.key, note: entry.note || "" });
+      }
+    }
+  }
+
+  // Drift against deployed ConfigMaps (see drift.js), with display names;
+  // null when generated without --deployed
+  let drift = null;
+  const { driftReport } = model;
+  if (driftReport) {
+    const withNames = (e) => ({
+      ...e,
+      customer: model.customers.find((c) => c.key === e.customer)?.name || e.customer,
+      ...(e.product && { product: productName(e.product) }),
+    });
+    drift = {
+      generated: driftReport.generated,
+      source: driftReport.source,
+      deployments: driftReport.deployments.map((d) => withNames({ ...d, files: d.files.map((f) => path.basename(f)) })),
+      drift: driftReport.drift.map(withNames),
+      inconsistent: driftReport.inconsistent.map(withNames),
+      undetermined: driftReport.undetermined.map(withNames),
+      unknown: driftReport.unknown.map(withNames),
+    };
+  }
+
+  return {
+    products,
+    customers,
+    ehrs,
+    categories,
+    flags,
+    environments,
+    notes,
+    configurations,
+    overrides,
+    annotations,
+    annotationLabels: ANNOTATIONS,
+    provenance,
+    defaults,
+    ruleViolations,
+    staleFlags,
+    envVars,
+    unmappedFlags,
+    drift,
+  };
+}
+
+function formatDateDisplay(dateStr) {
+  const d = new Date(dateStr + "T00:00:00");
+  const months = [
+    "Jan", "Feb", "Mar", "Apr", "May", "Jun",
+    "Jul", "Aug", "Sep", "Oct", "Nov", "Dec",
+  ];
+  return `${months[d.getMonth()]} ${d.getDate()}, ${d.getFullYear()}`;
+}
+
+// ─── CSS (embedded in generated HTML) ─────────────────────────────────────────
+function getCSS() {
+  return `  *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
+
+  :root {
+    --blue-50: #eff6ff;
+    --blue-100: #dbeafe;
+    --blue-500: #3b82f6;
+    --blue-600: #2563eb;
+    --blue-700: #1d4ed8;
+    --blue-800: #1e40af;
+    --blue-900: #1e3a5f;
+    --green-50: #f0fdf4;
+    --green-100: #dcfce7;
+    --green-600: #16a34a;
+    --green-700: #15803d;
+    --red-50: #fef2f2;
+    --red-100: #fee2e2;
+    --red-600: #dc2626;
+    --red-700: #b91c1c;
+    --gray-50: #f9fafb;
+    --gray-100: #f3f4f6;
+    --gray-200: #e5e7eb;
+    --gray-300: #d1d5db;
+    --gray-400: #9ca3af;
+    --gray-500: #6b7280;
+    --gray-600: #4b5563;
+    --gray-700: #374151;
+    --gray-800: #1f2937;
+    --gray-900: #111827;
+    --amber-50: #fffbeb;
+    --amber-100: #fef3c7;
+    --amber-600: #d97706;
+    --purple-50: #faf5ff;
+    --purple-100: #f3e8ff;
+    --purple-600: #9333ea;
+    --teal-50: #f0fdfa;
+    --teal-600: #0d9488;
+    --orange-50: #fff7ed;
+    --orange-600: #ea580c;
+    --radius: 8px;
+    --shadow-sm: 0 1px 2px rgba(0,0,0,0.05);
+    --shadow: 0 1px 3px rgba(0,0,0,0.1), 0 1px 2px rgba(0,0,0,0.06);
+    --shadow-md: 0 4px 6px rgba(0,0,0,0.07), 0 2px 4px rgba(0,0,0,0.06);
+    --shadow-lg: 0 10px 15px rgba(0,0,0,0.1), 0 4px 6px rgba(0,0,0,0.05);
+  }
+
+  body {
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+    background: var(--gray-50);
+    color: var(--gray-800);
+    line-height: 1.5;
+    min-height: 100vh;
+  }
+
+  .header {
+    background: linear-gradient(135deg, var(--blue-800), var(--blue-900));
+    color: white;
+    padding: 20px 32px;
+    box-shadow: var(--shadow-md);
+    position: sticky;
+    top: 0;
+    z-index: 100;
+  }
+  .header-inner {
+    max-width: 1400px;
+    margin: 0 auto;
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    flex-wrap: wrap;
+    gap: 16px;
+  }
+  .header h1 { font-size: 20px; font-weight: 600; letter-spacing: -0.3px; }
+  .header-subtitle { font-size: 13px; opacity: 0.75; margin-top: 2px; }
+  .header-right { display: flex; align-items: center; gap: 12px; }
+  .last-updated { font-size: 12px; opacity: 0.6; }
+
+  .search-box { position: relative; }
+  .search-box input {
+    padding: 8px 12px 8px 36px;
+    border: 1px solid rgba(255,255,255,0.2);
+    border-radius: var(--radius);
+    background: rgba(255,255,255,0.1);
+    color: white;
+    font-size: 14px;
+    width: 260px;
+    outline: none;
+    transition: all 0.2s;
+  }
+  .search-box input::placeholder { color: rgba(255,255,255,0.5); }
+  .search-box input:focus { background: rgba(255,255,255,0.15); border-color: rgba(255,255,255,0.4); width: 320px; }
+  .search-icon { position: absolute; left: 10px; top: 50%; transform: translateY(-50%); opacity: 0.5; }
+
+  .main { max-width: 1400px; margin: 0 auto; padding: 24px 32px 48px; }
+
+  .stats-bar { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 16px; margin-bottom: 24px; }
+  .stat-card { background: white; border-radius: var(--radius); padding: 16px 20px; box-shadow: var(--shadow-sm); border: 1px solid var(--gray-200); }
+  .stat-card .stat-label { font-size: 12px; text-transform: uppercase; letter-spacing: 0.5px; color: var(--gray-500); margin-bottom: 4px; }
+  .stat-card .stat-value { font-size: 28px; font-weight: 700; color: var(--gray-900); }
+  .stat-card .stat-detail { font-size: 12px; color: var(--gray-400); margin-top: 2px; }
+
+  .filter-bar { display: flex; align-items: center; gap: 12px; margin-bottom: 24px; flex-wrap: wrap; }
+  .filter-bar label { font-size: 13px; font-weight: 600; color: var(--gray-600); }
+  .filter-group { display: flex; align-items: center; gap: 6px; }
+  .filter-chip {
+    padding: 6px 14px; border-radius: 20px; font-size: 13px; font-weight: 500;
+    border: 1px solid var(--gray-300); background: white; color: var(--gray-600);
+    cursor: pointer; transition: all 0.15s; user-select: none;
+  }
+  .filter-chip:hover { border-color: var(--blue-500); color: var(--blue-600); }
+  .filter-chip.active { background: var(--blue-600); color: white; border-color: var(--blue-600); }
+  .filter-select {
+    padding: 6px 12px; border-radius: var(--radius); font-size: 13px; font-weight: 500;
+    border: 1px solid var(--gray-300); background: white; color: var(--gray-700);
+    cursor: pointer; outline: none; appearance: auto;
+  }
+  .filter-select:focus { border-color: var(--blue-500); }
+  .filter-age {
+    width: 64px; padding: 6px 8px; border-radius: var(--radius); font-size: 13px;
+    border: 1px solid var(--gray-300); color: var(--gray-700); outline: none;
+  }
+  .filter-age:focus { border-color: var(--blue-500); }
+  .filter-unit { font-size: 13px; color: var(--gray-500); }
+  .filter-divider { width: 1px; height: 24px; background: var(--gray-300); margin: 0 4px; }
+
+  .tabs { display: flex; gap: 0; margin-bottom: 24px; border-bottom: 2px solid var(--gray-200); }
+  .tab {
+    padding: 10px 20px; font-size: 14px; font-weight: 500; color: var(--gray-500);
+    cursor: pointer; border-bottom: 2px solid transparent; margin-bottom: -2px;
+    transition: all 0.15s; user-select: none;
+  }
+  .tab:hover { color: var(--gray-700); }
+  .tab.active { color: var(--blue-600); border-bottom-color: var(--blue-600); }
+
+  .matrix-container { overflow-x: auto; background: white; border-radius: var(--radius); box-shadow: var(--shadow); border: 1px solid var(--gray-200); }
+  .matrix-table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  .matrix-table thead th {
+    background: var(--gray-50); padding: 12px 16px; text-align: left; font-weight: 600;
+    color: var(--gray-700); border-bottom: 2px solid var(--gray-200); white-space: nowrap;
+  }
+
+  .sticky-header-clone {
+    position: fixed;
+    top: 0;
+    z-index: 90;
+    background: var(--gray-50);
+    box-shadow: var(--shadow-md);
+    border-bottom: 2px solid var(--gray-200);
+    overflow: hidden;
+    pointer-events: none;
+    display: none;
+  }
+  .sticky-header-clone table {
+    border-collapse: collapse;
+    font-size: 13px;
+  }
+  .sticky-header-clone th {
+    background: var(--gray-50); padding: 12px 16px; text-align: left; font-weight: 600;
+    color: var(--gray-700); white-space: nowrap;
+  }
+  .matrix-table thead th:first-child { min-width: 220px; }
+  .matrix-table thead .col-header-customer { font-size: 11px; text-transform: uppercase; letter-spacing: 0.5px; color: var(--gray-400); }
+  .matrix-table thead .col-header-product { font-size: 13px; font-weight: 600; color: var(--gray-700); }
+  .matrix-table tbody td { padding: 10px 16px; border-bottom: 1px solid var(--gray-100); vertical-align: middle; }
+  .matrix-table tbody td:first-child { position: sticky; left: 0; background: white; z-index: 5; font-weight: 500; color: var(--gray-800); min-width: 220px; }
+  .matrix-table tbody tr:hover td { background: var(--blue-50); }
+  .matrix-table tbody tr:hover td:first-child { background: var(--blue-50); }
+  .matrix-table .product-group-row { cursor: pointer; }
+  .matrix-table .product-group-row:hover td { background: var(--blue-100) !important; }
+  .matrix-table .product-group-row td {
+    background: var(--blue-50) !important; font-weight: 700; font-size: 13px;
+    color: var(--blue-800); padding: 10px 16px; border-bottom: 2px solid var(--blue-100);
+    border-top: 2px solid var(--gray-200);
+  }
+  .matrix-table .product-group-row td .product-badge { margin-right: 8px; vertical-align: middle; }
+  .matrix-table .product-group-row .toggle-arrow {
+    display: inline-block; width: 16px; font-size: 10px; color: var(--gray-400);
+    transition: transform 0.2s; margin-right: 4px; text-align: center;
+  }
+  .matrix-table .product-group-row.collapsed .toggle-arrow { transform: rotate(-90deg); }
+  .matrix-table .product-child-row.collapsed-child { display: none; }
+  .matrix-table .category-row td {
+    background: var(--gray-50) !important; font-weight: 700; font-size: 11px;
+    text-transform: uppercase; letter-spacing: 0.8px; color: var(--gray-500);
+    padding: 8px 16px; border-bottom: 1px solid var(--gray-200);
+  }
+
+  .pill { display: inline-flex; align-items: center; gap: 5px; padding: 3px 10px; border-radius: 12px; font-size: 12px; font-weight: 500; white-space: nowrap; }
+  .pill-enabled { background: var(--green-100); color: var(--green-700); }
+  .pill-disabled { background: var(--red-100); color: var(--red-700); }
+  .pill-na { background: var(--gray-100); color: var(--gray-400); font-style: italic; }
+  .pill-not-live { background: var(--amber-50); color: var(--amber-600); font-style: italic; border: 1px dashed var(--amber-100); }
+  .pill-value { background: var(--blue-100); color: var(--blue-700); }
+  .pill-mixed { background: var(--amber-100); color: var(--amber-600); }
+  .pill-dot { width: 6px; height: 6px; border-radius: 50%; }
+  .pill-enabled .pill-dot { background: var(--green-600); }
+  .pill-disabled .pill-dot { background: var(--red-600); }
+  .pill-mixed .pill-dot { background: var(--amber-600); }
+  .pill-partial { background: var(--teal-50); color: var(--teal-600); }
+  .pill-partial .pill-dot { background: var(--teal-600); }
+
+  .site-breakdown { display: inline-block; text-align: left; }
+  .site-breakdown summary { cursor: pointer; list-style: none; }
+  .site-breakdown summary::-webkit-details-marker { display: none; }
+  .site-breakdown summary::after { content: "\\25B8"; font-size: 10px; margin-left: 2px; }
+  .site-breakdown[open] summary::after { content: "\\25BE"; }
+  .site-list { list-style: none; margin-top: 6px; display: flex; flex-direction: column; gap: 4px; }
+  .status-badge { display: inline-block; margin-left: 6px; padding: 1px 6px; border-radius: 4px; font-size: 10px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.03em; vertical-align: middle; white-space: nowrap; cursor: help; background: var(--gray-100); color: var(--gray-600); }
+  .status-experimental { background: var(--purple-50); color: var(--purple-600); }
+  .status-deprecated, .status-pending-removal { background: var(--gray-200); color: var(--gray-700); text-decoration: line-through; }
+  .status-stale { background: var(--red-50); color: var(--red-700); border: 1px solid var(--red-100); }
+  .override-marker { display: inline-block; margin-left: 6px; padding: 1px 6px; border-radius: 10px; font-size: 10px; font-weight: 600; white-space: nowrap; background: var(--blue-50); color: var(--blue-700); border: 1px solid var(--blue-100); cursor: help; }
+  .provenance-marker { display: inline-block; margin-left: 6px; padding: 1px 6px; border-radius: 10px; font-size: 10px; font-weight: 600; white-space: nowrap; background: var(--green-50); color: var(--green-700); border: 1px solid var(--green-100); cursor: help; }
+  .provenance-old { background: var(--amber-50); color: var(--amber-600); border-color: var(--amber-100); }
+  .provenance-unverified { background: var(--gray-100); color: var(--gray-500); border-color: var(--gray-200); }
+  .rule-warning { display: inline-block; margin-left: 6px; padding: 1px 6px; border-radius: 10px; font-size: 10px; font-weight: 600; white-space: nowrap; background: var(--amber-50); color: var(--amber-600); border: 1px solid var(--amber-600); cursor: help; }
+  .rules-panel { background: var(--amber-50); border: 1px solid var(--amber-100); border-left: 3px solid var(--amber-600); border-radius: var(--radius); padding: 12px 16px; margin-bottom: 16px; font-size: 13px; color: var(--gray-700); }
+  .rules-panel-title { font-weight: 600; color: var(--amber-600); margin-bottom: 6px; }
+  .rules-panel ul { list-style: none; display: flex; flex-direction: column; gap: 4px; }
+  .rules-panel-reason { color: var(--gray-500); font-style: italic; }
+
+  .drift-summary { font-size: 13px; color: var(--gray-500); margin-bottom: 16px; }
+  .drift-code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 11px; color: var(--gray-600); background: var(--gray-100); padding: 1px 5px; border-radius: 4px; }
+  .drift-evidence { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 11px; color: var(--gray-600); }
+  .drift-unset { color: var(--gray-400); font-style: italic; }
+  .drift-ok { font-size: 13px; color: var(--green-700); padding: 4px 0; }
+
+  .envvar-table td { vertical-align: top; }
+  .envvar-name { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; font-weight: 600; color: var(--gray-900); }
+  .envvar-configmaps { font-size: 11px; color: var(--gray-500); margin-top: 2px; }
+  .envvar-type { display: inline-block; margin: 0 4px 2px 0; padding: 1px 6px; border-radius: 10px; font-size: 10px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.3px; white-space: nowrap; background: var(--gray-100); color: var(--gray-600); }
+  .envvar-type-composite { background: var(--purple-50); color: var(--purple-600); }
+  .envvar-type-value_present { background: var(--blue-50); color: var(--blue-700); }
+  .envvar-type-shared { background: var(--amber-50); color: var(--amber-600); }
+  .envvar-flag { font-size: 12px; color: var(--gray-700); margin-bottom: 2px; cursor: help; }
+  .envvar-detail { font-size: 11px; color: var(--gray-500); margin-left: 8px; font-style: italic; }
+  .envvar-list { max-width: 220px; white-space: normal; word-break: break-all; }
+  .envvar-none { color: var(--gray-300); }
+  .envvar-unmapped { font-size: 12px; color: var(--gray-500); margin-top: 12px; }
+  .env-diff { display: inline-block; margin-left: 6px; padding: 1px 6px; border-radius: 10px; font-size: 10px; font-weight: 600; white-space: nowrap; background: var(--orange-50); color: var(--orange-600); border: 1px dashed var(--orange-600); cursor: help; }
+
+  .site-list li { display: flex; align-items: center; justify-content: space-between; gap: 8px; font-size: 11px; color: var(--gray-600); }
+
+  .cards-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(420px, 1fr)); gap: 20px; }
+  .customer-card { background: white; border-radius: var(--radius); box-shadow: var(--shadow); border: 1px solid var(--gray-200); overflow: hidden; transition: box-shadow 0.2s; }
+  .customer-card:hover { box-shadow: var(--shadow-lg); }
+  .card-header { padding: 16px 20px; border-bottom: 1px solid var(--gray-100); display: flex; align-items: center; justify-content: space-between; }
+  .card-customer-name { font-size: 16px; font-weight: 700; color: var(--gray-900); }
+  .card-product-badges { display: flex; gap: 6px; }
+  .product-badge { padding: 3px 10px; border-radius: 12px; font-size: 11px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.3px; }
+  .badge-sepsis { background: var(--red-50); color: var(--red-600); border: 1px solid var(--red-100); }
+  .badge-palliative { background: var(--purple-50); color: var(--purple-600); border: 1px solid var(--purple-100); }
+  .badge-deterioration { background: var(--amber-50); color: var(--amber-600); border: 1px solid var(--amber-100); }
+  .card-body { padding: 0; }
+  .card-product-section { border-bottom: 1px solid var(--gray-100); }
+  .card-product-section:last-child { border-bottom: none; }
+  .card-product-title { padding: 10px 20px; font-size: 12px; font-weight: 700; text-transform: uppercase; letter-spacing: 0.5px; color: var(--gray-500); background: var(--gray-50); border-bottom: 1px solid var(--gray-100); }
+  .flag-list { list-style: none; }
+  .flag-item { display: flex; align-items: center; justify-content: space-between; padding: 8px 20px; border-bottom: 1px solid var(--gray-50); font-size: 13px; }
+  .flag-item:last-child { border-bottom: none; }
+  .flag-item:hover { background: var(--gray-50); }
+  .flag-name { color: var(--gray-700); }
+  .flag-category-label { font-size: 10px; text-transform: uppercase; letter-spacing: 0.5px; color: var(--gray-400); margin-left: 8px; }
+  .card-footer { padding: 12px 20px; background: var(--gray-50); border-top: 1px solid var(--gray-100); display: flex; justify-content: space-between; font-size: 12px; color: var(--gray-500); }
+
+  .product-section { margin-bottom: 32px; }
+  .product-section-header { display: flex; align-items: center; gap: 12px; margin-bottom: 16px; }
+  .product-section-title { font-size: 18px; font-weight: 700; color: var(--gray-900); }
+  .product-customer-count { font-size: 13px; color: var(--gray-500); }
+  .product-table-container { background: white; border-radius: var(--radius); box-shadow: var(--shadow); border: 1px solid var(--gray-200); overflow-x: auto; }
+  .product-table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  .product-table thead th { background: var(--gray-50); padding: 12px 16px; text-align: left; font-weight: 600; color: var(--gray-700); border-bottom: 2px solid var(--gray-200); white-space: nowrap; }
+  .product-table tbody td { padding: 10px 16px; border-bottom: 1px solid var(--gray-100); }
+  .product-table tbody tr:hover td { background: var(--blue-50); }
+  .product-table .category-row td { background: var(--gray-50) !important; font-weight: 700; font-size: 11px; text-transform: uppercase; letter-spacing: 0.8px; color: var(--gray-500); padding: 8px 16px; }
+
+  .no-results { text-align: center; padding: 48px 24px; color: var(--gray-400); }
+  .no-results-icon { font-size: 48px; margin-bottom: 12px; display: block; }
+  .no-results-text { font-size: 16px; font-weight: 500; }
+  .no-results-sub { font-size: 13px; margin-top: 4px; }
+
+  @media (max-width: 768px) {
+    .header { padding: 16px; }
+    .main { padding: 16px; }
+    .cards-grid { grid-template-columns: 1fr; }
+    .search-box input { width: 180px; }
+    .search-box input:focus { width: 220px; }
+    .stats-bar { grid-template-columns: repeat(2, 1fr); }
+    .filter-bar { gap: 8px; }
+  }
+
+  .hidden { display: none !important; }
+
+  .has-note { position: relative; cursor: help; }
+  .has-note::after { content: "*"; color: var(--amber-600); font-weight: 700; margin-left: 4px; font-size: 14px; }
+  .note-text { display: block; font-size: 11px; color: var(--gray-400); margin-top: 2px; font-style: italic; line-height: 1.3; }
+
+  .legend { display: flex; gap: 16px; align-items: center; margin-bottom: 16px; flex-wrap: wrap; }
+  .legend-label { font-size: 12px; color: var(--gray-500); font-weight: 600; }
+  .legend-item { display: flex; align-items: center; gap: 6px; font-size: 12px; color: var(--gray-600); }`;
+}
+
+// ─── Application JS (embedded in generated HTML) ─────────────────────────────
+function getAppJS() {
+  return `// ===== STATE =====
+const state = {
+  view: "matrix",
+  environment: FLAG_DATA.environments[0].key,
+  search: "",
+  customerFilter: "all",
+  productFilter: "all",
+  statusFilter: "all",
+  verificationFilter: "all",
+  verificationAge: 90,
+  categoryFilter: "all",
+  collapsedProducts: {}
+};
+
+// ===== HELPERS =====
+function getAllFlags() {
+  const all = [];
+  for (const [catKey, catFlags] of Object.entries(FLAG_DATA.flags)) {
+    for (const f of catFlags) {
+      all.push({ ...f, category: catKey });
+    }
+  }
+  return all;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function getFlagNote(customer, product, flagKey, env = state.environment) {
+  return FLAG_DATA.notes[env]?.[customer]?.[product]?.[flagKey] || "";
+}
+
+function getCustomerProductPairs() {
+  const pairs = [];
+  for (const [customer, products] of Object.entries(FLAG_DATA.customers)) {
+    for (const product of products) {
+      pairs.push({ customer, product });
+    }
+  }
+  return pairs;
+}
+
+function isFlagApplicable(flag, product) {
+  return flag.products === "all" || flag.products.includes(product);
+}
+
+// Flags shown for a product: applicable ones, plus those with a not-applicable note for it
+function isFlagListed(flag, product) {
+  return isFlagApplicable(flag, product) || !!flag.notApplicable?.[product];
+}
+
+// Categories in display order, limited to those scoped to a product when one is given
+function getCategories(product) {
+  return FLAG_DATA.categories.filter(c => !product || !c.products || c.products.includes(product));
+}
+
+function categoryTitle(cat) {
+  return cat.icon ? cat.icon + ' ' + cat.label : cat.label;
+}
+
+// EHR-specific flag name for a customer (e.g. Cerner iCare wording)
+function getDisplayName(flag, customer) {
+  return flag.ehrNames?.[FLAG_DATA.ehrs[customer]] || flag.name;
+}
+
+function renderEhrName(flag, customer) {
+  const name = getDisplayName(flag, customer);
+  if (name === flag.name) return "";
+  return \`<span class="note-text">\${escapeHtml(FLAG_DATA.ehrs[customer])} name: \${escapeHtml(name)}</span>\`;
+}
+
+function getAnnotation(customer, product, flagKey, env = state.environment) {
+  return FLAG_DATA.annotations[env]?.[customer]?.[product]?.[flagKey];
+}
+
+function getFlagValue(customer, product, flagKey, env = state.environment) {
+  const config = FLAG_DATA.configurations[env]?.[customer]?.[product];
+  if (!config) return undefined;
+  return config[flagKey];
+}
+
+function describeValue(value) {
+  if (value === true) return "Enabled";
+  if (value === false) return "Disabled";
+  if (value === undefined) return "N/A";
+  if (isSiteMap(value)) return "Mixed by site";
+  return value;
+}
+
+// "staging ≠ production" badge when the value differs between the selected
+// environment and the default one (or, when viewing the default, any other)
+function renderEnvDiff(customer, product, flagKey) {
+  const [defaultEnv, ...others] = FLAG_DATA.environments;
+  const compareTo = state.environment === defaultEnv.key ? others : [defaultEnv];
+  const current = JSON.stringify(getFlagValue(customer, product, flagKey));
+  const differing = compareTo.filter(e => JSON.stringify(getFlagValue(customer, product, flagKey, e.key)) !== current);
+  if (differing.length === 0) return "";
+  const labels = differing.map(e => (e.default ? state.environment : e.key) + " &ne; " + defaultEnv.key);
+  const title = differing.map(e => e.name + ": " + describeValue(getFlagValue(customer, product, flagKey, e.key))).join("; ");
+  return \`<span class="env-diff" title="\${escapeHtml(title)}">\${labels.join(", ")}</span>\`;
+}
+
+function isOverride(customer, product, flagKey) {
+  return (FLAG_DATA.overrides[state.environment]?.[customer]?.[product] || []).includes(flagKey);
+}
+
+// Marks values the customer overrides; unmarked values come from the product default
+function renderOverrideMarker(customer, product, flagKey) {
+  if (!isOverride(customer, product, flagKey)) return "";
+  const def = FLAG_DATA.defaults[product]?.[flagKey];
+  const title = "Customer override" + (def === undefined ? " (no product default)" : " — product default: " + describeValue(def));
+  return \`<span class="override-marker" title="\${escapeHtml(title)}">Override</span>\`;
+}
+
+function getProvenance(customer, product, flagKey, env = state.environment) {
+  return FLAG_DATA.provenance[env]?.[customer]?.[product]?.[flagKey];
+}
+
+// Whole days since a value was last verified (null when it never was)
+function verifiedAgeDays(provenance) {
+  if (!provenance || !provenance.verified) return null;
+  return Math.floor((Date.now() - new Date(provenance.verified + "T00:00:00")) / 86400000);
+}
+
+// "unverified" matches values never verified; "old" those verified more than verificationAge days ago
+function matchesVerification(customer, product, flagKey, value) {
+  if (state.verificationFilter === "all") return true;
+  if (value === undefined) return false;
+  const age = verifiedAgeDays(getProvenance(customer, product, flagKey));
+  if (state.verificationFilter === "unverified") return age === null;
+  return age !== null && age > state.verificationAge;
+}
+
+function matchesValueFilters(customer, product, flag, value) {
+  return matchesStatus(value, flag) && matchesVerification(customer, product, flag.key, value);
+}
+
+// Provenance marker with the source in its tooltip; values without provenance are unmarked
+function renderProvenance(customer, product, flagKey) {
+  const provenance = getProvenance(customer, product, flagKey);
+  if (!provenance) return "";
+  const age = verifiedAgeDays(provenance);
+  if (age === null) return \`<span class="provenance-marker provenance-unverified" title="\${escapeHtml(provenance.description)}">Unverified</span>\`;
+  if (age > state.verificationAge) return \`<span class="provenance-marker provenance-old" title="\${escapeHtml(provenance.description)}">Verified \${age}d ago</span>\`;
+  return \`<span class="provenance-marker" title="\${escapeHtml(provenance.description)}">Verified</span>\`;
+}
+
+// Lifecycle badge for flags that aren't GA, or that are stale
+function renderStatusBadge(flag) {
+  const stale = FLAG_DATA.staleFlags[flag.key];
+  if (flag.status === "ga" && !stale) return "";
+  const title = flag.lifecycle + (stale ? " — stale: " + stale : "");
+  const label = flag.status === "ga" ? "Stale" : flag.statusLabel;
+  return \`<span class="status-badge status-\${flag.status.replace(/_/g, '-')}\${stale ? ' status-stale' : ''}" title="\${escapeHtml(title)}">\${label}</span>\`;
+}
+
+// Rule violations in the selected environment that involve a flag
+function getRuleViolations(customer, product, flagKey) {
+  return FLAG_DATA.ruleViolations.filter(v =>
+    v.environment === state.environment && v.customer === customer && v.product === product && v.flags.includes(flagKey)
+  );
+}
+
+function describeViolation(v) {
+  return (v.site ? v.site + ": " : "") + v.message + (v.reason ? " (" + v.reason + ")" : "");
+}
+
+function renderRuleWarning(customer, product, flagKey) {
+  const violations = getRuleViolations(customer, product, flagKey);
+  if (violations.length === 0) return "";
+  const title = violations.map(describeViolation).join("; ");
+  return \`<span class="rule-warning" title="\${escapeHtml(title)}">&#9888; Rule</span>\`;
+}
+
+// Per-site values arrive as { siteName: value } objects
+function isSiteMap(value) {
+  return value !== null && typeof value === "object";
+}
+
+// As lib/flag-values.js: an enum / integer flag's off value is disabled, any other value enabled
+function isEnabledValue(flag, value) {
+  if (value === undefined || value === null) return false;
+  if (!flag || flag.type === "boolean") return value === true;
+  if (flag.type === "string") return value !== "";
+  return flag.off === undefined || value !== flag.off;
+}
+
+// "enabled" | "disabled" | "mixed" (differs between sites) | undefined
+function valueStatus(value, flag) {
+  if (value === undefined || value === null) return undefined;
+  if (isSiteMap(value)) return "mixed";
+  return isEnabledValue(flag, value) ? "enabled" : "disabled";
+}
+
+// Mixed values match both the Enabled and the Disabled status filter
+function matchesStatus(value, flag) {
+  if (state.statusFilter === "all") return true;
+  const status = valueStatus(value, flag);
+  return status === state.statusFilter || status === "mixed";
+}
+
+function renderSitesPill(sites, flag) {
+  const entries = Object.entries(sites);
+  const enabled = entries.filter(([, v]) => isEnabledValue(flag, v)).length;
+  let html = \`<details class="site-breakdown"><summary class="pill pill-mixed"><span class="pill-dot"></span>Mixed (\${enabled}/\${entries.length} sites)</summary><ul class="site-list">\`;
+  for (const [site, v] of entries) {
+    html += \`<li><span>\${site}</span>\${renderPill(v, flag, true)}</li>\`;
+  }
+  return html + '</ul></details>';
+}
+
+function renderPill(value, flag, applicable, notLive, annotation) {
+  if (notLive) return '<span class="pill pill-not-live">Not Live</span>';
+  if (!applicable) return '<span class="pill pill-na">N/A</span>';
+  if (value === undefined) return '<span class="pill pill-na">N/A</span>';
+  if (isSiteMap(value)) return renderSitesPill(value, flag);
+  if (annotation === "partial" && isEnabledValue(flag, value)) return \`<span class="pill pill-partial" title="\${FLAG_DATA.annotationLabels.partial}"><span class="pill-dot"></span>Partial</span>\`;
+  if (typeof value !== "boolean") return \`<span class="pill pill-value" title="\${escapeHtml(flag ? flag.typeLabel : '')}">\${escapeHtml(value)}</span>\`;
+  if (value === true) return '<span class="pill pill-enabled"><span class="pill-dot"></span>Enabled</span>';
+  return '<span class="pill pill-disabled"><span class="pill-dot"></span>Disabled</span>';
+}
+
+function productBadgeClass(product) {
+  if (product === "Sepsis") return "badge-sepsis";
+  if (product === "Palliative Care") return "badge-palliative";
+  if (product === "Deterioration") return "badge-deterioration";
+  return "";
+}
+
+function matchesSearch(flagName) {
+  if (!state.search) return true;
+  return flagName.toLowerCase().includes(state.search.toLowerCase());
+}
+
+function matchesFilters(customer, product, flag, value) {
+  if (state.customerFilter !== "all" && customer !== state.customerFilter) return false;
+  if (state.productFilter !== "all" && product !== state.productFilter) return false;
+  if (state.categoryFilter !== "all" && flag.category !== state.categoryFilter) return false;
+  if (!matchesStatus(value, flag)) return false;
+  return true;
+}
+
+// ===== STATS =====
+function renderStats() {
+  const pairs = getCustomerProductPairs();
+  const allFlags = getAllFlags();
+  let totalEnabled = 0, totalDisabled = 0, totalFlags = 0;
+  for (const { customer, product } of pairs) {
+    for (const flag of allFlags) {
+      if (!isFlagApplicable(flag, product)) continue;
+      totalFlags++;
+      const val = getFlagValue(customer, product, flag.key);
+      if (valueStatus(val, flag) === "enabled" || valueStatus(val, flag) === "mixed") totalEnabled++;
+      else totalDisabled++;
+    }
+  }
+  document.getElementById("statsBar").innerHTML = \`
+    <div class="stat-card">
+      <div class="stat-label">Customers</div>
+      <div class="stat-value">\${Object.keys(FLAG_DATA.customers).length}</div>
+      <div class="stat-detail">\${pairs.length} customer-product configs</div>
+    </div>
+    <div class="stat-card">
+      <div class="stat-label">Products</div>
+      <div class="stat-value">\${FLAG_DATA.products.length}</div>
+      <div class="stat-detail">\${FLAG_DATA.products.join(", ")}</div>
+    </div>
+    <div class="stat-card">
+      <div class="stat-label">Flags Defined</div>
+      <div class="stat-value">\${allFlags.length}</div>
+      <div class="stat-detail">\${FLAG_DATA.categories.map(c => FLAG_DATA.flags[c.key].length + ' ' + c.label).join(', ')}</div>
+    </div>
+    <div class="stat-card">
+      <div class="stat-label">Enabled / Disabled</div>
+      <div class="stat-value" style="color:var(--green-600)">\${totalEnabled} <span style="color:var(--gray-300)">/</span> <span style="color:var(--red-600)">\${totalDisabled}</span></div>
+      <div class="stat-detail">\${Math.round(totalEnabled / totalFlags * 100)}% enabled across all configs</div>
+    </div>
+  \`;
+}
+
+// ===== FILTERS =====
+function renderFilters() {
+  const customers = Object.keys(FLAG_DATA.customers);
+  const products = FLAG_DATA.products;
+
+  document.getElementById("environmentFilters").innerHTML =
+    FLAG_DATA.environments.map(e => \`<span class="filter-chip \${state.environment === e.key ? 'active' : ''}" data-filter="environment" data-value="\${e.key}">\${e.name}</span>\`).join("");
+
+  document.getElementById("customerFilters").innerHTML =
+    \`<span class="filter-chip \${state.customerFilter === 'all' ? 'active' : ''}" data-filter="customer" data-value="all">All</span>\` +
+    customers.map(c => \`<span class="filter-chip \${state.customerFilter === c ? 'active' : ''}" data-filter="customer" data-value="\${c}">\${c}</span>\`).join("");
+
+  document.getElementById("productFilters").innerHTML =
+    \`<span class="filter-chip \${state.productFilter === 'all' ? 'active' : ''}" data-filter="product" data-value="all">All</span>\` +
+    products.map(p => \`<span class="filter-chip \${state.productFilter === p ? 'active' : ''}" data-filter="product" data-value="\${p}">\${p}</span>\`).join("");
+
+  document.getElementById("statusFilters").innerHTML =
+    \`<span class="filter-chip \${state.statusFilter === 'all' ? 'active' : ''}" data-filter="status" data-value="all">All</span>\` +
+    \`<span class="filter-chip \${state.statusFilter === 'enabled' ? 'active' : ''}" data-filter="status" data-value="enabled">Enabled</span>\` +
+    \`<span class="filter-chip \${state.statusFilter === 'disabled' ? 'active' : ''}" data-filter="status" data-value="disabled">Disabled</span>\`;
+
+  document.getElementById("verificationFilters").innerHTML =
+    \`<span class="filter-chip \${state.verificationFilter === 'all' ? 'active' : ''}" data-filter="verification" data-value="all">All</span>\` +
+    \`<span class="filter-chip \${state.verificationFilter === 'unverified' ? 'active' : ''}" data-filter="verification" data-value="unverified">Unverified</span>\` +
+    \`<span class="filter-chip \${state.verificationFilter === 'old' ? 'active' : ''}" data-filter="verification" data-value="old">Older than</span>\`;
+
+  const catSelect = document.getElementById("categoryFilter");
+  catSelect.innerHTML =
+    \`<option value="all">All Categories</option>\` +
+    FLAG_DATA.categories.map(c => \`<option value="\${c.key}" \${state.categoryFilter === c.key ? 'selected' : ''}>\${categoryTitle(c)}</option>\`).join("");
+  catSelect.value = state.categoryFilter;
+}
+
+// ===== CUSTOMER VIEW =====
+function renderCustomerView() {
+  const customers = Object.entries(FLAG_DATA.customers).filter(([c]) =>
+    state.customerFilter === "all" || state.customerFilter === c
+  );
+  const allFlags = getAllFlags();
+
+  if (customers.length === 0) {
+    document.getElementById("customerView").innerHTML = \`<div class="no-results"><span class="no-results-icon">&#128269;</span><div class="no-results-text">No customers match filters</div></div>\`;
+    return;
+  }
+
+  let html = '<div class="cards-grid">';
+  for (const [customer, products] of customers) {
+    const filteredProducts = products.filter(p => state.productFilter === "all" || state.productFilter === p);
+    if (filteredProducts.length === 0) continue;
+
+    let enabledCount = 0, disabledCount = 0;
+    html += \`<div class="customer-card"><div class="card-header"><span class="card-customer-name">\${customer}</span><div class="card-product-badges">\`;
+    for (const p of filteredProducts) {
+      html += \`<span class="product-badge \${productBadgeClass(p)}">\${p}</span>\`;
+    }
+    html += '</div></div><div class="card-body">';
+
+    for (const product of filteredProducts) {
+      html += \`<div class="card-product-section">\`;
+      if (filteredProducts.length > 1) {
+        html += \`<div class="card-product-title">\${product}</div>\`;
+      }
+      html += '<ul class="flag-list">';
+      const categories = getCategories(product);
+      for (const cat of categories) {
+        if (state.categoryFilter !== "all" && state.categoryFilter !== cat.key) continue;
+        const catFlags = allFlags.filter(f => f.category === cat.key && isFlagListed(f, product));
+        for (const flag of catFlags) {
+          if (!matchesSearch(flag.name)) continue;
+          const applicable = isFlagApplicable(flag, product);
+          const val = applicable ? getFlagValue(customer, product, flag.key) : undefined;
+          if (!matchesValueFilters(customer, product, flag, val)) continue;
+          if (applicable) {
+            if (valueStatus(val, flag) === "enabled" || valueStatus(val, flag) === "mixed") enabledCount++; else disabledCount++;
+          }
+          const note = applicable ? getFlagNote(customer, product, flag.key) : flag.notApplicable[product];
+          html += \`<li class="flag-item"><span class="flag-name">\${escapeHtml(getDisplayName(flag, customer))}\${renderStatusBadge(flag)}<span class="flag-category-label">\${cat.label}</span>\${note ? '<span class="note-text">' + note + '</span>' : ''}</span>\${renderPill(val, flag, applicable, false, getAnnotation(customer, product, flag.key))}\${renderOverrideMarker(customer, product, flag.key)}\${renderProvenance(customer, product, flag.key)}\${renderEnvDiff(customer, product, flag.key)}\${renderRuleWarning(customer, product, flag.key)}</li>\`;
+        }
+      }
+      html += '</ul></div>';
+    }
+
+    html += \`</div><div class="card-footer"><span>\${enabledCount} enabled</span><span>\${disabledCount} disabled</span></div></div>\`;
+  }
+  html += '</div>';
+  document.getElementById("customerView").innerHTML = html;
+}
+
+// ===== PRODUCT VIEW =====
+function renderProductView() {
+  const products = FLAG_DATA.products.filter(p => state.productFilter === "all" || state.productFilter === p);
+  const allFlags = getAllFlags();
+
+  if (products.length === 0) {
+    document.getElementById("productView").innerHTML = \`<div class="no-results"><span class="no-results-icon">&#128269;</span><div class="no-results-text">No products match filters</div></div>\`;
+    return;
+  }
+
+  let html = '';
+  for (const product of products) {
+    const customersWithProduct = Object.entries(FLAG_DATA.customers)
+      .filter(([c, prods]) => prods.includes(product) && (state.customerFilter === "all" || state.customerFilter === c))
+      .map(([c]) => c);
+    if (customersWithProduct.length === 0) continue;
+
+    html += \`<div class="product-section"><div class="product-section-header"><span class="product-badge \${productBadgeClass(product)}" style="font-size:13px;padding:5px 14px;">\${product}</span><span class="product-section-title"></span><span class="product-customer-count">\${customersWithProduct.length} customer\${customersWithProduct.length > 1 ? 's' : ''}</span></div>\`;
+    html += '<div class="product-table-container"><table class="product-table"><thead><tr><th>Feature Flag</th>';
+    for (const c of customersWithProduct) {
+      html += \`<th>\${c}</th>\`;
+    }
+    html += '</tr></thead><tbody>';
+
+    const categories = getCategories(product);
+    for (const cat of categories) {
+      if (state.categoryFilter !== "all" && state.categoryFilter !== cat.key) continue;
+      const catFlags = allFlags.filter(f => f.category === cat.key && isFlagListed(f, product));
+      const visibleFlags = catFlags.filter(f => {
+        if (!matchesSearch(f.name)) return false;
+        if (state.statusFilter !== "all" || state.verificationFilter !== "all") {
+          if (!isFlagApplicable(f, product)) return false;
+          const anyMatch = customersWithProduct.some(c => {
+            return matchesValueFilters(c, product, f, getFlagValue(c, product, f.key));
+          });
+          if (!anyMatch) return false;
+        }
+        return true;
+      });
+      if (visibleFlags.length === 0) continue;
+      html += \`<tr class="category-row"><td colspan="\${customersWithProduct.length + 1}" title="\${escapeHtml(cat.description)}">\${categoryTitle(cat)}</td></tr>\`;
+      for (const flag of visibleFlags) {
+        html += \`<tr><td style="font-weight:500">\${flag.name}\${renderStatusBadge(flag)}</td>\`;
+        const applicable = isFlagApplicable(flag, product);
+        for (const c of customersWithProduct) {
+          const val = applicable ? getFlagValue(c, product, flag.key) : undefined;
+          const note = applicable ? getFlagNote(c, product, flag.key) : flag.notApplicable[product];
+          html += \`<td>\${renderPill(val, flag, applicable, false, getAnnotation(c, product, flag.key))}\${renderOverrideMarker(c, product, flag.key)}\${renderProvenance(c, product, flag.key)}\${renderEnvDiff(c, product, flag.key)}\${renderRuleWarning(c, product, flag.key)}\${renderEhrName(flag, c)}\${note ? '<span class="note-text">' + note + '</span>' : ''}</td>\`;
+        }
+        html += '</tr>';
+      }
+    }
+
+    html += '</tbody></table></div></div>';
+  }
+  document.getElementById("productView").innerHTML = html || \`<div class="no-results"><span class="no-results-icon">&#128269;</span><div class="no-results-text">No flags match your search</div></div>\`;
+}
+
+// ===== MATRIX VIEW =====
+function renderMatrixView() {
+  const allCustomers = Object.keys(FLAG_DATA.customers);
+  const allProducts = FLAG_DATA.products;
+  const allFlags = getAllFlags();
+
+  // Filter customers
+  const customers = allCustomers.filter(c => state.customerFilter === "all" || state.customerFilter === c);
+  if (customers.length === 0) {
+    document.getElementById("matrixView").innerHTML = \`<div class="no-results"><span class="no-results-icon">&#128269;</span><div class="no-results-text">No customers match filters</div></div>\`;
+    return;
+  }
+
+  // Filter products
+  const products = allProducts.filter(p => state.productFilter === "all" || state.productFilter === p);
+  if (products.length === 0) {
+    document.getElementById("matrixView").innerHTML = \`<div class="no-results"><span class="no-results-icon">&#128269;</span><div class="no-results-text">No products match filters</div></div>\`;
+    return;
+  }
+
+  // Columns = one per customer
+  let html = '<div class="matrix-container"><table class="matrix-table"><thead>';
+  html += '<tr><th>Feature Flag</th>';
+  for (const customer of customers) {
+    html += \`<th style="text-align:center;border-left:2px solid var(--gray-200)"><span class="col-header-customer">\${customer}</span></th>\`;
+  }
+  html += '</tr></thead><tbody>';
+
+
+  let hasVisibleRows = false;
+
+  // Rows grouped by Product → Category → Flag
+  for (const product of products) {
+    const pgKey = product.replace(/\\s+/g, '_');
+    const isCollapsed = state.collapsedProducts && state.collapsedProducts[product];
+    const childClass = 'product-child-row' + (isCollapsed ? ' collapsed-child' : '');
+
+    // Collect all visible flags for this product
+    let productHasFlags = false;
+    let productRowsHtml = '';
+
+    for (const cat of getCategories(product)) {
+      if (state.categoryFilter !== "all" && state.categoryFilter !== cat.key) continue;
+      const catFlags = allFlags.filter(f => f.category === cat.key && isFlagListed(f, product));
+
+      // Filter by search and status
+      const visibleFlags = catFlags.filter(f => {
+        if (!matchesSearch(f.name)) return false;
+        if (state.statusFilter !== "all" || state.verificationFilter !== "all") {
+          if (!isFlagApplicable(f, product)) return false;
+          const anyMatch = customers.some(c => {
+            if (!FLAG_DATA.customers[c].includes(product)) return false;
+            return matchesValueFilters(c, product, f, getFlagValue(c, product, f.key));
+          });
+          if (!anyMatch) return false;
+        }
+        return true;
+      });
+
+      if (visibleFlags.length === 0) continue;
+      productHasFlags = true;
+
+      productRowsHtml += \`<tr class="category-row \${childClass}" data-product-group="\${pgKey}"><td colspan="\${customers.length + 1}" title="\${escapeHtml(cat.description)}">\${categoryTitle(cat)}</td></tr>\`;
+
+      for (const flag of visibleFlags) {
+        productRowsHtml += \`<tr class="\${childClass}" data-product-group="\${pgKey}"><td style="font-weight:500">\${flag.name}\${renderStatusBadge(flag)}</td>\`;
+        const applicable = isFlagApplicable(flag, product);
+        for (const customer of customers) {
+          const isNotLive = !FLAG_DATA.customers[customer].includes(product);
+          const val = isNotLive || !applicable ? undefined : getFlagValue(customer, product, flag.key);
+          const note = isNotLive ? "" : applicable ? getFlagNote(customer, product, flag.key) : flag.notApplicable[product];
+          productRowsHtml += \`<td style="text-align:center;border-left:1px solid var(--gray-100)">\${renderPill(val, flag, applicable, isNotLive, getAnnotation(customer, product, flag.key))}\${isNotLive ? "" : renderOverrideMarker(customer, product, flag.key) + renderProvenance(customer, product, flag.key) + renderEnvDiff(customer, product, flag.key) + renderRuleWarning(customer, product, flag.key) + renderEhrName(flag, customer)}\${note ? '<span class="note-text">' + note + '</span>' : ''}</td>\`;
+        }
+        productRowsHtml += '</tr>';
+      }
+    }
+
+    if (productHasFlags) {
+      hasVisibleRows = true;
+      // Product group header row
+      html += \`<tr class="product-group-row\${isCollapsed ? ' collapsed' : ''}" data-product-toggle="\${pgKey}"><td colspan="\${customers.length + 1}"><span class="toggle-arrow">\u25BC</span><span class="product-badge \${productBadgeClass(product)}">\${product}</span></td></tr>\`;
+      html += productRowsHtml;
+    }
+  }
+
+  if (!hasVisibleRows) {
+    html += \`<tr><td colspan="\${customers.length + 1}" style="text-align:center;padding:32px;color:var(--gray-400)">No flags match your search</td></tr>\`;
+  }
+
+  html += '</tbody></table></div>';
+  document.getElementById("matrixView").innerHTML = html;
+}
+
+// ===== RENDER =====
+// ===== RULES PANEL =====
+function renderRulesPanel() {
+  const envName = FLAG_DATA.environments.find(e => e.key === state.environment).name;
+  const violations = FLAG_DATA.ruleViolations.filter(v =>
+    v.environment === state.environment &&
+    (state.customerFilter === "all" || v.customer === state.customerFilter) &&
+    (state.productFilter === "all" || v.product === state.productFilter)
+  );
+  const panel = document.getElementById("rulesPanel");
+  if (violations.length === 0) {
+    panel.innerHTML = "";
+    return;
+  }
+  let html = \`<div class="rules-panel"><div class="rules-panel-title">&#9888; \${violations.length} rule violation\${violations.length > 1 ? "s" : ""} in \${envName}</div><ul>\`;
+  for (const v of violations) {
+    html += \`<li><strong>\${v.customer} / \${v.product}\${v.site ? " @ " + v.site : ""}:</strong> \${v.message}\${v.reason ? ' <span class="rules-panel-reason">— ' + v.reason + '</span>' : ''}</li>\`;
+  }
+  panel.innerHTML = html + "</ul></div>";
+}
+
+// ===== ENV VARS VIEW =====
+function renderEnvVarValue(v) {
+  if (!v) return '<span class="envvar-none">&mdash;</span>';
+  if (v.conflict) return \`<span class="rule-warning" title="\${escapeHtml(v.conflict)}">&#9888; Conflict</span>\`;
+  if (v.manual) return \`<span class="pill pill-na" title="\${escapeHtml(v.hint || "Not in feature-flags.json — set by hand")}">Set by hand</span>\`;
+  if (v.value === "true") return '<span class="pill pill-enabled"><span class="pill-dot"></span>true</span>';
+  if (v.value === "false") return '<span class="pill pill-disabled"><span class="pill-dot"></span>false</span>';
+  if (v.value === "") return '<span class="pill pill-disabled">empty</span>';
+  return \`<span class="pill pill-value envvar-list">\${escapeHtml(v.value)}</span>\`;
+}
+
+function renderEnvVarsView() {
+  const view = document.getElementById("envVarsView");
+  const allFlags = getAllFlags();
+  const categories = Object.fromEntries(FLAG_DATA.categories.map(c => [c.key, c.label]));
+  const customers = Object.entries(FLAG_DATA.customers)
+    .filter(([c, products]) =>
+      (state.customerFilter === "all" || c === state.customerFilter) &&
+      (state.productFilter === "all" || products.includes(state.productFilter))
+    )
+    .map(([c]) => c);
+  const query = state.search.toLowerCase();
+  const envVars = FLAG_DATA.envVars.filter(item => {
+    if (state.categoryFilter !== "all" && !item.flags.some(f => f.category === state.categoryFilter)) return false;
+    if (!query) return true;
+    return item.name.toLowerCase().includes(query) ||
+      item.flags.some(f => f.key.includes(query) || (allFlags.find(x => x.key === f.key)?.name || "").toLowerCase().includes(query));
+  });
+
+  if (envVars.length === 0) {
+    view.innerHTML = \`<div class="no-results"><span class="no-results-icon">&#128269;</span><div class="no-results-text">No env vars match your search</div></div>\`;
+    return;
+  }
+
+  let html = '<div class="product-table-container"><table class="product-table envvar-table"><thead><tr><th>Env Var</th><th>Type</th><th>Flags</th>';
+  for (const c of customers) html += \`<th>\${c}</th>\`;
+  html += "</tr></thead><tbody>";
+  for (const item of envVars) {
+    const types = item.types.map(t => \`<span class="envvar-type envvar-type-\${t}">\${t.replace("_", " ")}</span>\`).join("") +
+      (item.shared ? '<span class="envvar-type envvar-type-shared">shared</span>' : "");
+    const flags = item.flags.map(f => {
+      const flag = allFlags.find(x => x.key === f.key);
+      const detail = [f.trueWhen !== undefined ? "true when " + JSON.stringify(f.trueWhen) : "", f.format === "text" ? "free text" : ""].filter(Boolean).join(", ");
+      return \`<div class="envvar-flag" title="\${escapeHtml(f.note)}">\${flag ? flag.name : f.key} <code class="drift-code">\${f.key}</code><span class="flag-category-label">\${categories[f.category] || f.category}</span>\${detail ? '<span class="envvar-detail">' + escapeHtml(detail) + "</span>" : ""}</div>\`;
+    }).join("");
+    html += \`<tr><td><code class="envvar-name">\${item.name}</code><div class="envvar-configmaps">\${item.configMaps.join(" &middot; ")}</div></td><td>\${types}</td><td>\${flags}</td>\`;
+    for (const c of customers) html += \`<td>\${renderEnvVarValue(item.values[state.environment][c])}</td>\`;
+    html += "</tr>";
+  }
+  html += "</tbody></table></div>";
+
+  const unmapped = FLAG_DATA.unmappedFlags.filter(u => {
+    const flag = allFlags.find(x => x.key === u.key);
+    if (state.categoryFilter !== "all" && flag && flag.category !== state.categoryFilter) return false;
+    return !query || u.key.includes(query) || (flag?.name || "").toLowerCase().includes(query);
+  });
+  if (unmapped.length) {
+    html += \`<div class="envvar-unmapped"><strong>No known env var (\${unmapped.length}):</strong> \${unmapped.map(u => '<span title="' + escapeHtml(u.note) + '">' + (allFlags.find(x => x.key === u.key)?.name || u.key) + "</span>").join(", ")}</div>\`;
+  }
+  view.innerHTML = html;
+}
+
+// ===== DRIFT VIEW =====
+function renderDriftView() {
+  const report = FLAG_DATA.drift;
+  const view = document.getElementById("driftView");
+  const envName = FLAG_DATA.environments.find(e => e.key === state.environment).name;
+  const allFlags = getAllFlags();
+  const inScope = (e) =>
+    e.environment === state.environment &&
+    (state.customerFilter === "all" || e.customer === state.customerFilter);
+  const flagMatches = (flagKey) => {
+    const flag = allFlags.find(f => f.key === flagKey);
+    if (flag && state.categoryFilter !== "all" && flag.category !== state.categoryFilter) return false;
+    return matchesSearch(flag ? flag.name : flagKey);
+  };
+  const flagLabel = (flagKey) => {
+    const flag = allFlags.find(f => f.key === flagKey);
+    return flag ? \`\${flag.name} <code class="drift-code">\${flagKey}</code>\` : \`<code class="drift-code">\${flagKey}</code>\`;
+  };
+  const section = (title, count, head, rows, empty) => {
+    let html = \`<div class="product-section"><div class="product-section-header"><span class="product-section-title">\${title}</span><span class="product-customer-count">\${count}</span></div>\`;
+    if (rows.length === 0) return html + \`<div class="drift-ok">&#10003; \${empty}</div></div>\`;
+    html += \`<div class="product-table-container"><table class="product-table"><thead><tr>\${head.map(h => "<th>" + h + "</th>").join("")}</tr></thead><tbody>\`;
+    return html + rows.join("") + "</tbody></table></div></div>";
+  };
+
+  const deployments = report.deployments.filter(inScope);
+  if (deployments.length === 0) {
+    view.innerHTML = \`<div class="no-results"><span class="no-results-icon">&#128269;</span><div class="no-results-text">No deployed ConfigMaps checked for \${envName}</div><div class="no-results-sub">Compared with \${escapeHtml(report.source)} on \${report.generated}</div></div>\`;
+    return;
+  }
+
+  const drift = report.drift.filter(d =>
+    inScope(d) && (state.productFilter === "all" || d.product === state.productFilter) && flagMatches(d.flag)
+  );
+  const inconsistent = report.inconsistent.filter(v => inScope(v) && v.flags.some(flagMatches));
+  const undetermined = report.undetermined.filter(u => inScope(u) && flagMatches(u.flag));
+  const unknown = report.unknown.filter(u => inScope(u) && matchesSearch(u.name));
+  const describeSet = (v) => v.value === null ? '<span class="drift-unset">not set</span>' : escapeHtml(JSON.stringify(v.value));
+
+  let html = \`<div class="drift-summary">Compared with \${deployments.length} deployment\${deployments.length > 1 ? "s" : ""} (\${deployments.map(d => d.customer).join(", ")}) in <code class="drift-code">\${escapeHtml(report.source)}</code> on \${report.generated}</div>\`;
+
+  html += section("Flag Drift", \`\${drift.length} flag\${drift.length === 1 ? "" : "s"}\`,
+    ["Customer", "Product", "Flag", "JSON", "Deployed", "Env vars"],
+    drift.map(d => {
+      const flag = allFlags.find(f => f.key === d.flag);
+      return \`<tr><td>\${d.customer}</td><td><span class="product-badge \${productBadgeClass(d.product)}">\${d.product}</span></td><td>\${flagLabel(d.flag)}</td><td>\${renderPill(d.json, flag, true)}</td><td>\${renderPill(d.deployed, flag, true)}</td><td>\${d.envVars.map(e => '<div class="drift-evidence">' + escapeHtml(e) + '</div>').join("")}</td></tr>\`;
+    }),
+    "No flags differ from the deployed ConfigMaps");
+
+  html += section("Inconsistent Env Vars", \`\${inconsistent.length} env var\${inconsistent.length === 1 ? "" : "s"} set differently across ConfigMaps\`,
+    ["Customer", "Env var", "Flags", "Values"],
+    inconsistent.map(v => \`<tr><td>\${v.customer}</td><td><code class="drift-code">\${v.envVar}</code></td><td>\${v.flags.map(flagLabel).join("<br>")}</td><td>\${v.values.map(x => '<div class="drift-evidence">' + x.configMap + ": " + describeSet(x) + "</div>").join("")}</td></tr>\`),
+    "Every shared env var is set the same way in each ConfigMap");
+
+  if (undetermined.length) {
+    html += section("Could Not Determine", \`\${undetermined.length} flag\${undetermined.length === 1 ? "" : "s"}\`,
+      ["Customer", "Flag", "Reason"],
+      undetermined.map(u => \`<tr><td>\${u.customer}</td><td>\${flagLabel(u.flag)}</td><td class="drift-evidence">\${escapeHtml(u.message)}</td></tr>\`),
+      "");
+  }
+
+  if (unknown.length) {
+    html += section("Unknown Env Vars", "not in env-var-mapping.yaml &mdash; Gap 2 candidates",
+      ["Customer", "ConfigMap", "Env var", "Value"],
+      unknown.map(u => \`<tr><td>\${u.customer}</td><td>\${u.configMap}</td><td><code class="drift-code">\${escapeHtml(u.name)}</code></td><td class="drift-evidence">\${escapeHtml(JSON.stringify(u.value))}</td></tr>\`),
+      "");
+  }
+
+  view.innerHTML = html;
+}
+
+function render() {
+  renderStats();
+  renderFilters();
+  renderRulesPanel();
+
+  document.getElementById("matrixView").classList.toggle("hidden", state.view !== "matrix");
+  document.getElementById("productView").classList.toggle("hidden", state.view !== "product");
+  document.getElementById("customerView").classList.toggle("hidden", state.view !== "customer");
+  document.getElementById("envVarsView").classList.toggle("hidden", state.view !== "envVars");
+  document.getElementById("driftView").classList.toggle("hidden", state.view !== "drift");
+  document.getElementById("searchInput").placeholder = state.view === "envVars" ? "Search env vars or flags..." : "Search flags...";
+
+  if (state.view === "matrix") renderMatrixView();
+  else if (state.view === "product") renderProductView();
+  else if (state.view === "customer") renderCustomerView();
+  else if (state.view === "envVars") renderEnvVarsView();
+  else if (state.view === "drift") renderDriftView();
+}
+
+// ===== EVENTS =====
+document.addEventListener("click", (e) => {
+  if (e.target.classList.contains("tab")) {
+    document.querySelectorAll(".tab").forEach(t => t.classList.remove("active"));
+    e.target.classList.add("active");
+    state.view = e.target.dataset.view;
+    render();
+  }
+  if (e.target.classList.contains("filter-chip")) {
+    const filter = e.target.dataset.filter;
+    const value = e.target.dataset.value;
+    if (filter === "environment") state.environment = value;
+    if (filter === "customer") state.customerFilter = value;
+    if (filter === "product") state.productFilter = value;
+    if (filter === "status") state.statusFilter = value;
+    if (filter === "verification") state.verificationFilter = value;
+    render();
+  }
+
+  // Product group collapse/expand
+  const pgRow = e.target.closest(".product-group-row");
+  if (pgRow) {
+    const pgKey = pgRow.dataset.productToggle;
+    const isCollapsed = pgRow.classList.toggle("collapsed");
+    // Find product name from the badge text
+    const badge = pgRow.querySelector(".product-badge");
+    if (badge) state.collapsedProducts[badge.textContent] = isCollapsed;
+    // Toggle child rows via DOM
+    document.querySelectorAll(\`.product-child-row[data-product-group="\${pgKey}"]\`).forEach(row => {
+      row.classList.toggle("collapsed-child", isCollapsed);
+    });
+  }
+});
+
+document.getElementById("searchInput").addEventListener("input", (e) => {
+  state.search = e.target.value;
+  render();
+});
+
+document.getElementById("categoryFilter").addEventListener("change", (e) => {
+  state.categoryFilter = e.target.value;
+  render();
+});
+
+document.getElementById("verificationAge").addEventListener("input", (e) => {
+  const days = parseInt(e.target.value, 10);
+  if (!(days > 0)) return;
+  state.verificationAge = days;
+  render();
+});
+
+// ===== STICKY HEADER CLONE =====
+let stickyClone = null;
+
+function setupStickyHeader() {
+  // Remove old clone if any
+  if (stickyClone) { stickyClone.remove(); stickyClone = null; }
+
+  const container = document.querySelector(".matrix-container");
+  const table = document.querySelector(".matrix-table");
+  if (!container || !table) return;
+  const thead = table.querySelector("thead");
+  if (!thead) return;
+
+  // Create fixed clone container
+  stickyClone = document.createElement("div");
+  stickyClone.className = "sticky-header-clone";
+  document.body.appendChild(stickyClone);
+
+  function syncClone() {
+    if (!document.querySelector(".matrix-table")) { stickyClone.style.display = "none"; return; }
+
+    const headerBar = document.querySelector(".header");
+    const headerBottom = headerBar ? headerBar.getBoundingClientRect().bottom : 0;
+    const containerRect = container.getBoundingClientRect();
+    const theadRect = thead.getBoundingClientRect();
+
+    // Show clone when the original thead is scrolled above the header bar
+    // but the table is still partially visible
+    const shouldShow = theadRect.top < headerBottom && containerRect.bottom > headerBottom + 60;
+
+    if (!shouldShow) { stickyClone.style.display = "none"; return; }
+
+    stickyClone.style.display = "block";
+    stickyClone.style.top = headerBottom + "px";
+    stickyClone.style.left = containerRect.left + "px";
+    stickyClone.style.width = containerRect.width + "px";
+
+    // Clone the thead with current column widths
+    const ths = thead.querySelectorAll("th");
+    let cloneHTML = '<table><thead><tr>';
+    ths.forEach(th => {
+      const w = th.getBoundingClientRect().width;
+      cloneHTML += '<th style="min-width:' + w + 'px;max-width:' + w + 'px;text-align:' + getComputedStyle(th).textAlign + ';border-left:' + getComputedStyle(th).borderLeft + '">' + th.innerHTML + '</th>';
+    });
+    cloneHTML += '</tr></thead></table>';
+    stickyClone.innerHTML = cloneHTML;
+
+    // Sync horizontal scroll
+    stickyClone.scrollLeft = container.scrollLeft;
+  }
+
+  window.addEventListener("scroll", syncClone, { passive: true });
+  container.addEventListener("scroll", () => { if (stickyClone) stickyClone.scrollLeft = container.scrollLeft; }, { passive: true });
+  window.addEventListener("resize", syncClone, { passive: true });
+
+  // Store cleanup references
+  stickyClone._cleanup = () => {
+    window.removeEventListener("scroll", syncClone);
+    window.removeEventListener("resize", syncClone);
+  };
+}
+
+// Re-setup sticky header after each render
+const _origRender = render;
+render = function() { _origRender(); if (state.view === "matrix") setTimeout(setupStickyHeader, 0); else if (stickyClone) stickyClone.style.display = "none"; };
+
+// Initial render
+render();`;
+}
+
+module.exports = {
+  name: "html",
+  description: "clinical team viewer",
+  order: 2,
+  inputs: ["mapping"],
+  outputs: () => ["index.html"],
+  render: (model) => ({ "index.html": generateHTML(model) }),
+};
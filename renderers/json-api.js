@@ -0,0 +1,346 @@
+/**
+ * renderers/json-api.js — Static JSON API for other tools
+ *
+ *   api/v1/index.json              environments, and every product, customer and flag with its path
+ *   api/v1/customers/{key}.json    resolved values and notes of every product, per environment
+ *   api/v1/flags/{key}.json        definition, product defaults and every customer's values
+ *   api/v1/products/{key}.json     categories and flags, defaults and customers
+ *   api/v1/schema.json             JSON Schema of the documents above
+ *
+ * Everything is keyed by keys, not display names, and every field is always
+ * present (null when unset), so consumers can rely on the shape. Values are
+ * resolved (defaults applied); per-site values stay { site key → value }.
+ * A change to the shape that breaks consumers needs a new version (api/v2/).
+ */
+
+const { flagType } = require("../lib/flag-types");
+const { flagStatus, describeStaleReasons } = require("../lib/lifecycle");
+
+const API_VERSION = 1;
+const BASE = `api/v${API_VERSION}`;
+
+const customerPath = (key) => `customers/${key}.json`;
+const flagPath = (key) => `flags/${key}.json`;
+const productPath = (key) => `products/${key}.json`;
+
+/**
+ * A resolved value in one environment, from a model row
+ */
+function valueEntry(v) {
+  return {
+    value: v.value ?? null,
+    source: v.source || null,
+    note: v.note,
+    annotation: v.annotation || null,
+    provenance: v.provenance || null,
+  };
+}
+
+/**
+ * { [env]: value entry } for an applicable model row
+ */
+function environmentValues(model, row) {
+  return Object.fromEntries(model.environments.map((env) => [env.key, valueEntry(row.values[env.key])]));
+}
+
+function header(model) {
+  return { apiVersion: API_VERSION, lastUpdated: model.meta.lastUpdated };
+}
+
+function buildIndex(model) {
+  return {
+    ...header(model),
+    schema: "schema.json",
+    environments: model.environments.map((e) => ({ key: e.key, name: e.name, default: !!e.default })),
+    products: model.products.map((p) => ({ key: p.key, name: p.name, path: productPath(p.key) })),
+    customers: model.customers.map((c) => ({
+      key: c.key,
+      name: c.name,
+      products: c.products,
+      path: customerPath(c.key),
+    })),
+    flags: model.categories.flatMap((category) =>
+      category.flags.map((f) => ({ key: f.key, name: f.name, category: category.key, path: flagPath(f.key) }))
+    ),
+  };
+}
+
+function buildCustomer(model, customer) {
+  const products = {};
+  for (const config of model.configurations.filter((c) => c.customer === customer)) {
+    const flags = {};
+    for (const { category, rows } of config.groups) {
+      for (const row of rows) {
+        flags[row.flag.key] = {
+          name: row.displayName,
+          category: category.key,
+          applicable: row.applicable,
+          notApplicableNote: row.applicable ? null : row.notApplicableNote,
+          environments: row.applicable ? environmentValues(model, row) : null,
+        };
+      }
+    }
+    products[config.productKey] = {
+      name: config.productName,
+      flags,
+      ruleViolations: config.violations.map((v) => ({
+        environments: v.environments,
+        site: v.site || null,
+        flags: v.flags,
+        message: v.message,
+        reason: v.rule.reason || null,
+      })),
+    };
+  }
+
+  return {
+    ...header(model),
+    key: customer.key,
+    name: customer.name,
+    ehr: customer.ehr || null,
+    sites: (customer.sites || []).map((s) => ({ key: s.key, name: s.name || s.key })),
+    products,
+  };
+}
+
+function buildFlag(model, category, flag) {
+  const stale = model.staleFlags.find((e) => e.flag.key === flag.key);
+  const applicableProducts = model.products
+    .filter((p) => flag.applicableProducts === "all" || flag.applicableProducts.includes(p.key))
+    .map((p) => p.key);
+
+  // Every customer's values: customer key → product key → environment → value entry
+  const customers = {};
+  for (const config of model.configurations) {
+    const row = config.groups.flatMap((g) => g.rows).find((r) => r.flag === flag && r.applicable);
+    if (!row) continue;
+    if (!customers[config.customer.key]) customers[config.customer.key] = {};
+    customers[config.customer.key][config.productKey] = environmentValues(model, row);
+  }
+
+  return {
+    ...header(model),
+    key: flag.key,
+    name: flag.name,
+    description: flag.description || "",
+    category: { key: category.key, label: category.label },
+    type: flagType(flag),
+    values: flag.values || null,
+    min: flag.min ?? null,
+    max: flag.max ?? null,
+    off: flag.off ?? null,
+    default: flag.default ?? null,
+    lifecycle: {
+      status: flagStatus(flag),
+      owner: flag.owner || null,
+      introduced: flag.introduced || null,
+      removalDate: flag.removalDate || null,
+      supersededBy: flag.supersededBy || null,
+      stale: stale ? describeStaleReasons(stale) : null,
+    },
+    applicableProducts,
+    notApplicableNotes: flag.notApplicableNotes || {},
+    ehrNames: flag.ehrNames || {},
+    productDefaults: Object.fromEntries(
+      model.products.filter((p) => flag.key in p.defaults).map((p) => [p.key, p.defaults[flag.key]])
+    ),
+    customers,
+  };
+}
+
+function buildProduct(model, product) {
+  return {
+    ...header(model),
+    key: product.key,
+    name: product.name,
+    description: product.description || "",
+    categories: product.groups.map(({ category, flags }) => ({
+      key: category.key,
+      label: category.label,
+      flags: flags.map((f) => ({
+        key: f.flag.key,
+        applicable: f.applicable,
+        notApplicableNote: f.applicable ? null : f.notApplicableNote,
+      })),
+    })),
+    defaults: product.defaults,
+    customers: model.customers.filter((c) => c.products.includes(product.key)).map((c) => c.key),
+  };
+}
+
+// ─── Schema ───────────────────────────────────────────────────────────────────
+
+const nullable = (schema) => ({ anyOf: [schema, { type: "null" }] });
+const keyed = (schema) => ({ type: "object", additionalProperties: schema });
+const flagValue = {
+  description: "A flag value; per-site values are an object of site key → value",
+  anyOf: [
+    { type: ["boolean", "string", "integer"] },
+    keyed({ type: ["boolean", "string", "integer"] }),
+  ],
+};
+const headerProperties = {
+  apiVersion: { const: API_VERSION },
+  lastUpdated: { type: "string", format: "date" },
+};
+const object = (properties) => ({
+  type: "object",
+  required: Object.keys(properties),
+  properties,
+});
+
+const SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  title: "Feature flag JSON API",
+  description: "Documents under api/v1/, generated by `node generate.js` from data/feature-flags.json",
+  $defs: {
+    value: {
+      ...object({
+        value: nullable(flagValue),
+        source: { enum: ["override", "default", null], description: "Set by the customer, or inherited from a default" },
+        note: { type: "string", description: "Annotation and note in one line (\"\" when none)" },
+        annotation: nullable({ type: "string" }),
+        provenance: nullable({ type: "object", description: "Where the value came from; see lib/provenance.js" }),
+      }),
+      description: "A resolved value in one environment",
+    },
+    environmentValues: { ...keyed({ $ref: "#/$defs/value" }), description: "Environment key → value" },
+    index: object({
+      ...headerProperties,
+      schema: { type: "string" },
+      environments: {
+        type: "array",
+        items: object({ key: { type: "string" }, name: { type: "string" }, default: { type: "boolean" } }),
+      },
+      products: {
+        type: "array",
+        items: object({ key: { type: "string" }, name: { type: "string" }, path: { type: "string" } }),
+      },
+      customers: {
+        type: "array",
+        items: object({
+          key: { type: "string" },
+          name: { type: "string" },
+          products: { type: "array", items: { type: "string" } },
+          path: { type: "string" },
+        }),
+      },
+      flags: {
+        type: "array",
+        items: object({
+          key: { type: "string" },
+          name: { type: "string" },
+          category: { type: "string" },
+          path: { type: "string" },
+        }),
+      },
+    }),
+    customer: object({
+      ...headerProperties,
+      key: { type: "string" },
+      name: { type: "string" },
+      ehr: nullable({ type: "string" }),
+      sites: { type: "array", items: object({ key: { type: "string" }, name: { type: "string" } }) },
+      products: keyed(object({
+        name: { type: "string" },
+        flags: keyed(object({
+          name: { type: "string", description: "Display name for the customer's EHR" },
+          category: { type: "string" },
+          applicable: { type: "boolean" },
+          notApplicableNote: nullable({ type: "string" }),
+          environments: nullable({ $ref: "#/$defs/environmentValues" }),
+        })),
+        ruleViolations: {
+          type: "array",
+          items: object({
+            environments: { type: "array", items: { type: "string" } },
+            site: nullable({ type: "string" }),
+            flags: { type: "array", items: { type: "string" } },
+            message: { type: "string" },
+            reason: nullable({ type: "string" }),
+          }),
+        },
+      })),
+    }),
+    flag: object({
+      ...headerProperties,
+      key: { type: "string" },
+      name: { type: "string" },
+      description: { type: "string" },
+      category: object({ key: { type: "string" }, label: { type: "string" } }),
+      type: { enum: ["boolean", "enum", "string", "integer"] },
+      values: nullable({ type: "array", items: { type: "string" } }),
+      min: nullable({ type: "integer" }),
+      max: nullable({ type: "integer" }),
+      off: nullable({ type: ["string", "integer"], description: "The enum / integer value that leaves the feature off" }),
+      default: nullable(flagValue),
+      lifecycle: object({
+        status: { enum: ["experimental", "ga", "deprecated", "pending_removal"] },
+        owner: nullable({ type: "string" }),
+        introduced: nullable({ type: "string" }),
+        removalDate: nullable({ type: "string" }),
+        supersededBy: nullable({ type: "string" }),
+        stale: nullable({ type: "string" }),
+      }),
+      applicableProducts: { type: "array", items: { type: "string" } },
+      notApplicableNotes: keyed({ type: "string" }),
+      ehrNames: keyed({ type: "string" }),
+      productDefaults: keyed(flagValue),
+      customers: {
+        ...keyed(keyed({ $ref: "#/$defs/environmentValues" })),
+        description: "Customer key → product key → environment → value",
+      },
+    }),
+    product: object({
+      ...headerProperties,
+      key: { type: "string" },
+      name: { type: "string" },
+      description: { type: "string" },
+      categories: {
+        type: "array",
+        items: object({
+          key: { type: "string" },
+          label: { type: "string" },
+          flags: {
+            type: "array",
+            items: object({
+              key: { type: "string" },
+              applicable: { type: "boolean" },
+              notApplicableNote: nullable({ type: "string" }),
+            }),
+          },
+        }),
+      },
+      defaults: keyed(flagValue),
+      customers: { type: "array", items: { type: "string" } },
+    }),
+  },
+};
+
+// ─── Renderer ─────────────────────────────────────────────────────────────────
+
+/**
+ * Every document as [path within api/v1/, content]
+ */
+function documents(model) {
+  return [
+    ["index.json", buildIndex(model)],
+    ["schema.json", SCHEMA],
+    ...model.customers.map((c) => [customerPath(c.key), buildCustomer(model, c)]),
+    ...model.categories.flatMap((category) =>
+      category.flags.map((f) => [flagPath(f.key), buildFlag(model, category, f)])
+    ),
+    ...model.products.map((p) => [productPath(p.key), buildProduct(model, p)]),
+  ];
+}
+
+module.exports = {
+  name: "api",
+  description: "JSON API documents",
+  order: 5,
+  outputs: (model) => documents(model).map(([file]) => `${BASE}/${file}`),
+  render: (model) =>
+    Object.fromEntries(
+      documents(model).map(([file, doc]) => [`${BASE}/${file}`, JSON.stringify(doc, null, 2) + "\n"])
+    ),
+};
@@ -0,0 +1,277 @@
+/**
+ * renderers/markdown.js — feature-flags.md, the engineering reference
+ *
+ * Products, flag definitions and rules, product defaults, every customer
+ * configuration (default environment, with other environments called out
+ * in the notes), stale flags and the changelog.
+ */
+
+const { describeType } = require("../lib/flag-types");
+const { describeRule } = require("../lib/rules");
+const {
+  flagStatus,
+  statusLabel,
+  describeLifecycle,
+  describeStaleReasons,
+  describeEnabledAt,
+} = require("../lib/lifecycle");
+const { isApplicable } = require("../lib/defaults");
+const { sourceLabel } = require("../lib/display");
+const { verificationLabel } = require("../lib/provenance");
+const { isSiteMap, isEnabledValue, summarizeSites } = require("../lib/flag-values");
+
+function generateMarkdown(model) {
+  const lines = [];
+  const ln = (s = "") => lines.push(s);
+
+  // ── Header ──────────────────────────────────────────────────────────────────
+  ln("# Feature Flags Reference");
+  ln();
+  ln(`> **Last updated:** ${model.meta.lastUpdated}`);
+  ln(">");
+  ln("> This document is auto-generated from `data/feature-flags.json`.");
+  ln("> **Do not edit this file directly** — run `node generate.js` after updating the JSON.");
+  ln();
+  ln("---");
+  ln();
+
+  // ── Products ────────────────────────────────────────────────────────────────
+  ln("## Products");
+  ln();
+  ln("| Product | Description |");
+  ln("|---------|-------------|");
+  for (const p of model.products) {
+    ln(`| ${p.name} | ${p.description} |`);
+  }
+  ln();
+
+  // ── Customers Overview ──────────────────────────────────────────────────────
+  ln("## Customers Overview");
+  ln();
+  ln("| Customer | Products | EHR Platform |");
+  ln("|----------|----------|--------------|");
+  for (const c of model.customers) {
+    ln(`| ${c.name} | ${c.products.map(model.productName).join(", ")} | ${c.ehr} |`);
+  }
+  ln();
+  ln("---");
+  ln();
+
+  // ── Flag Definitions ────────────────────────────────────────────────────────
+  ln("## Flag Definitions");
+  ln();
+
+  for (const category of model.categories) {
+    ln(`### ${category.label}`);
+    ln();
+    if (category.description) {
+      ln(category.description);
+      ln();
+    }
+    ln("| Flag Key | Display Name | Type | Default | Status | Description |");
+    ln("|----------|-------------|------|---------|--------|-------------|");
+    for (const flag of category.flags) {
+      const defaultCol = flag.default === undefined ? "" : `\`${flag.default}\``;
+      ln(`| \`${flag.key}\` | ${flag.name} | ${describeType(flag)} | ${defaultCol} | ${describeLifecycle(flag)} | ${flag.description} |`);
+    }
+    ln();
+  }
+
+  // ── Flag Rules ──────────────────────────────────────────────────────────────
+  if (model.rules.length) {
+    ln("### Flag Rules");
+    ln();
+    ln("| Rule | Type | Reason |");
+    ln("|------|------|--------|");
+    for (const rule of model.rules) {
+      ln(`| ${describeRule(rule)} | ${rule.type} | ${rule.reason || ""} |`);
+    }
+    ln();
+  }
+
+  ln("---");
+  ln();
+
+  // ── Product Defaults ────────────────────────────────────────────────────────
+  const defaultedProducts = model.products.filter((p) => model.data.defaults?.[p.key]);
+  if (defaultedProducts.length) {
+    ln("## Product Defaults");
+    ln();
+    ln("Customer configurations inherit these values unless they override them.");
+    ln();
+    ln(`| Feature | ${defaultedProducts.map((p) => p.name).join(" | ")} |`);
+    ln(`|---------|${defaultedProducts.map(() => "---------").join("|")}|`);
+    for (const flag of model.flags) {
+      if (!defaultedProducts.some((p) => isApplicable(flag, p.key))) continue;
+      const cols = defaultedProducts.map((p) => {
+        if (!isApplicable(flag, p.key)) return "N/A";
+        const value = p.defaults[flag.key];
+        return value === undefined ? "" : describeValue(value, null, flag);
+      });
+      ln(`| ${flag.name} | ${cols.join(" | ")} |`);
+    }
+    ln();
+    ln("---");
+    ln();
+  }
+
+  // ── Customer Configurations ─────────────────────────────────────────────────
+  ln("## Customer Configurations");
+  ln();
+
+  for (const customer of model.customers) {
+    ln(`### ${customer.name}`);
+    ln();
+    const productNames = customer.products.map(model.productName).join(", ");
+    const siteNames = (customer.sites || []).map((s) => s.name || s.key);
+    ln(
+      `**Products:** ${productNames} | **EHR:** ${customer.ehr}` +
+        (siteNames.length ? ` | **Sites:** ${siteNames.join(", ")}` : "")
+    );
+    ln();
+
+    for (const config of model.configurations.filter((c) => c.customer === customer)) {
+      ln(`#### ${config.productName}`);
+      ln();
+      ln("| Feature | Enabled | Disabled | Source | Verified | Notes |");
+      ln("|---------|---------|----------|--------|----------|-------|");
+
+      for (const { category, rows } of config.groups) {
+        ln(`| **${category.label}** | | | | | |`);
+
+        for (const row of rows) {
+          let displayName = row.displayName;
+
+          // Lifecycle status for anything that isn't GA
+          if (flagStatus(row.flag) !== "ga") displayName += ` _(${statusLabel(flagStatus(row.flag))})_`;
+
+          if (!row.applicable) {
+            ln(`| ${displayName} | | | | | ${row.notApplicableNote} |`);
+            continue;
+          }
+
+          // Columns show the default environment
+          const { value: rawValue, source, annotation, provenance, sites, note: annotated } =
+            row.values[model.defaultEnvironment];
+          const value = sites ? sites.value : rawValue;
+          let note = annotated;
+
+          let enabledCol = "";
+          let disabledCol = "";
+
+          if (value === true) {
+            enabledCol = "✓";
+          } else if (value === false) {
+            disabledCol = "✓";
+          } else if (value !== undefined) {
+            // Enum / string / integer flags: show the value itself, under Disabled when it is the off value
+            if (isEnabledValue(row.flag, value)) enabledCol = `\`${value}\``;
+            else disabledCol = `\`${value}\``;
+          }
+
+          // Per-site values that differ between sites: count both columns, list sites in notes
+          if (sites && !sites.uniform) {
+            enabledCol = `✓ (${sites.enabled}/${sites.total} sites)`;
+            disabledCol = `✓ (${sites.total - sites.enabled}/${sites.total} sites)`;
+            note = [formatSiteBreakdown(sites), note].filter(Boolean).join(" — ");
+          }
+
+          // Call out environments that differ
+          const envDiffs = row.differing.map(
+            ({ env, value: envValue }) => `${env.name}: ${describeValue(envValue, customer, row.flag)}`
+          );
+          note = [note, ...envDiffs].filter(Boolean).join(" — ");
+
+          // Partially enabled values are checked in both columns
+          if (annotation === "partial") {
+            enabledCol = "✓";
+            disabledCol = "✓";
+          }
+
+          const verified = verificationLabel(provenance);
+
+          ln(`| ${displayName} | ${enabledCol} | ${disabledCol} | ${sourceLabel(source)} | ${verified} | ${note} |`);
+        }
+      }
+
+      ln();
+
+      for (const v of config.violations) {
+        const site = v.site ? ` @ ${v.site}` : "";
+        ln(`> ⚠ **Rule violation${site} (${v.environments.join(", ")}):** ${v.message}${v.rule.reason ? ` — ${v.rule.reason}` : ""}`);
+        ln();
+      }
+    }
+
+    ln("---");
+    ln();
+  }
+
+  // ── Stale Flags ─────────────────────────────────────────────────────────────
+  ln("## Stale Flags");
+  ln();
+  if (model.staleFlags.length === 0) {
+    ln("No deprecated flags are enabled, and no flag is past its removal date.");
+  } else {
+    ln("Deprecated flags still enabled for a customer, and flags past their removal date.");
+    ln();
+    ln("| Flag Key | Problem | Lifecycle | Enabled For |");
+    ln("|----------|---------|-----------|-------------|");
+    for (const entry of model.staleFlags) {
+      const enabledFor = describeEnabledAt(entry.enabledAt, model.data).join("<br>");
+      ln(`| \`${entry.flag.key}\` | ${describeStaleReasons(entry)} | ${describeLifecycle(entry.flag)} | ${enabledFor} |`);
+    }
+  }
+  ln();
+  ln("---");
+  ln();
+
+  // ── Changelog ───────────────────────────────────────────────────────────────
+  ln("## Changelog");
+  ln();
+  ln("| Date | Author | Change |");
+  ln("|------|--------|--------|");
+  for (const entry of model.changelog) {
+    ln(`| ${entry.date} | ${entry.author} | ${entry.change} |`);
+  }
+  ln();
+
+  return lines.join("\n");
+}
+
+/**
+ * Describe a configured value in words, e.g. "Enabled" or "Mixed (3/5 sites)"
+ */
+function describeValue(value, customer, flag) {
+  if (isSiteMap(value)) {
+    const sites = summarizeSites(value, customer, flag);
+    if (!sites.uniform) return `Mixed (${sites.enabled}/${sites.total} sites)`;
+    value = sites.value;
+  }
+  if (value === true) return "Enabled";
+  if (value === false) return "Disabled";
+  if (value === undefined) return "—";
+  return `"${value}"`;
+}
+
+/**
+ * Describe a mixed per-site value, e.g. "Enabled: FAIRH, CCF; Disabled: AVONH"
+ */
+function formatSiteBreakdown(sites) {
+  const groups = new Map();
+  for (const { name, value } of sites.entries) {
+    const label =
+      value === true ? "Enabled" : value === false ? "Disabled" : `"${value}"`;
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(name);
+  }
+  return [...groups].map(([label, names]) => `${label}: ${names.join(", ")}`).join("; ");
+}
+
+module.exports = {
+  name: "md",
+  description: "engineering reference",
+  order: 1,
+  outputs: () => ["feature-flags.md"],
+  render: (model) => ({ "feature-flags.md": generateMarkdown(model) }),
+};
@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+
+/**
+ * set-flag.js — Set one flag for several customers at once
+ *
+ * Sets a flag's value (and optionally its note) in one product and
+ * environment for each of the given customers, and records the change in
+ * `changelog` with the git author and today's date. The data is written
+ * back in canonical form (see lib/canonical-json.js), so the diff only shows
+ * the change; in the data directory layout, only the files that changed (see
+ * lib/flag-data.js).
+ *
+ *   - the value must fit the flag's type: Y/N (or true/false, on/off) for
+ *     booleans, one of the values for enums, a whole number for integers
+ *   - the flag must apply to the product, and every customer must have it
+ *   - --note replaces the note ("Partially enabled — ..." sets the annotation
+ *     too); --note "" removes it
+ *
+ * Like the importers, values equal to what they would inherit are stored by
+ * removing the override. Nothing is written unless --write is given, or while
+ * the result would not validate. Flag rules the change breaks are reported.
+ *
+ * Usage:
+ *   node set-flag.js memorial_care,inova_health sepsis sepsis_deescalation N            # show the change
+ *   node set-flag.js ccf sepsis bundle_tracking Y --env staging --note "Pilot unit only"
+ *   node set-flag.js memorial_care,inova_health sepsis sepsis_deescalation N --write    # apply it
+ *
+ * Can also be called programmatically:
+ *   const { proposeSet, applySet } = require('./set-flag');
+ */
+
+const path = require("path");
+const { parseTemplateValue } = require("./lib/flag-types");
+const { listEnvironments, defaultEnvironment } = require("./lib/environments");
+const { isApplicable } = require("./lib/defaults");
+const { flagStatus, isRetiring, describeLifecycle } = require("./lib/lifecycle");
+const { newViolations, formatViolations } = require("./lib/rules");
+const { splitAnnotatedNote, formatFlagValue, formatNote } = require("./lib/display");
+const { addChangelogEntry } = require("./lib/changelog-entry");
+const { defaultDataPath, readFlagDataText, writeFlagData } = require("./lib/flag-data");
+const { proposeTemplateImport, applyTemplateImport } = require("./import-template");
+const { validateData, formatProblems } = require("./validate");
+
+const ROOT = __dirname;
+const JSON_PATH = defaultDataPath();
+const JSON_REL_PATH = path.relative(ROOT, JSON_PATH);
+
+// ─── Proposal ─────────────────────────────────────────────────────────────────
+
+/**
+ * Work out a flag change for several customers.
+ *
+ * Returns {
+ *   flag:      the flag definition (null when unknown)
+ *   value:     the parsed value
+ *   proposals: [{ customer, proposal }]  // see proposeTemplateImport
+ *   problems:  [message]                 // nothing can be written while there are any
+ * }
+ */
+function proposeSet(data, { customers, product, flag: flagKey, value: text, note, env }) {
+  const problems = [];
+  const customerKeys = data.customers.map((c) => c.key);
+  const flag = Object.values(data.flagDefinitions).flat().find((f) => f.key === flagKey) || null;
+
+  if (!data.products.some((p) => p.key === product)) {
+    problems.push(`unknown product "${product}" (expected one of ${data.products.map((p) => p.key).join(", ")})`);
+  }
+  if (!flag) {
+    problems.push(`unknown flag key "${flagKey}" (not in flagDefinitions)`);
+  } else if (!isApplicable(flag, product)) {
+    problems.push(`${flagKey} does not apply to ${product}`);
+  }
+
+  let value;
+  if (flag) {
+    const parsed = parseTemplateValue(flag, text);
+    if (parsed.error) problems.push(`${flagKey}: ${parsed.error}`);
+    else if (parsed.value === undefined) problems.push(`no value for ${flagKey}`);
+    else value = parsed.value;
+  }
+
+  const selected = [];
+  for (const key of customers) {
+    const customer = data.customers.find((c) => c.key === key);
+    if (!customer) problems.push(`unknown customer "${key}" (expected one of ${customerKeys.join(", ")})`);
+    else if (selected.includes(customer)) problems.push(`customer "${key}" is listed twice`);
+    else if (!customer.products.includes(product)) problems.push(`${customer.name} does not have product "${product}"`);
+    else selected.push(customer);
+  }
+
+  if (problems.length) return { flag, value, proposals: [], problems };
+
+  const row = { product, flag: flagKey, value };
+  if (note !== null && note !== undefined) Object.assign(row, splitAnnotatedNote(note));
+  const proposals = selected.map((customer) => ({
+    customer,
+    proposal: proposeTemplateImport(data, customer, env, [row]),
+  }));
+  return { flag, value, proposals, problems };
+}
+
+/**
+ * Customers whose value or note the change touches
+ */
+function changedProposals(set) {
+  return set.proposals.filter(({ proposal }) => proposal.changes.length + proposal.noteChanges.length > 0);
+}
+
+/**
+ * feature-flags.json text with the change written for every customer it
+ * touches, and a changelog entry for it
+ */
+function applySet(text, data, set, { product, env }) {
+  const changed = changedProposals(set);
+  for (const { customer, proposal } of changed) {
+    text = applyTemplateImport(text, customer, env, data, proposal);
+  }
+
+  const { flag } = set;
+  const productName = data.products.find((p) => p.key === product).name;
+  const envName = listEnvironments(data).find((e) => e.key === env).name;
+  const names = changed.map(({ customer }) => customer.name).join(", ");
+  const what = changed.some(({ proposal }) => proposal.changes.length)
+    ? `Set ${flag.key} to ${formatFlagValue(set.value)}`
+    : `Updated the ${flag.key} note`;
+  return addChangelogEntry(text, `${what} for ${names} (${productName}, ${envName})`);
+}
+
+// ─── Formatter ────────────────────────────────────────────────────────────────
+
+/**
+ * Format the change for review (terminal output)
+ */
+function formatSetReport({ set, flagKey, productName, envName }) {
+  const lines = [];
+  const ln = (s = "") => lines.push(s);
+
+  ln("═══════════════════════════════════════════════════════");
+  ln(`  SET ${flagKey} — ${productName} (${envName})`);
+  ln("═══════════════════════════════════════════════════════");
+  ln();
+
+  if (set.problems.length) {
+    ln("✗ Problems (nothing can be written until they are gone):");
+    for (const p of set.problems) ln(`  ${p}`);
+    ln();
+    return lines.join("\n");
+  }
+
+  const status = flagStatus(set.flag);
+  if (isRetiring(status)) {
+    ln(`⚠ ${flagKey} is ${describeLifecycle(set.flag)}`);
+    ln();
+  }
+
+  const changed = changedProposals(set);
+  if (changed.length) {
+    ln("⚙️  Proposed Changes:");
+    for (const { customer, proposal } of changed) {
+      for (const c of proposal.changes) {
+        ln(`  ${customer.key}: ${formatFlagValue(c.oldValue)} → ${formatFlagValue(c.newValue)}`);
+      }
+      for (const c of proposal.noteChanges) {
+        ln(`  ${customer.key} (note): ${formatNote(c.oldNote)} → ${formatNote(c.newNote)}`);
+      }
+      for (const u of proposal.unstorable) ln(`  ⚠ ${customer.key}: ${u.message}`);
+    }
+    ln();
+  }
+
+  const unchanged = set.proposals.filter((p) => !changed.includes(p));
+  if (unchanged.length) {
+    ln(`✓ Already set: ${unchanged.map(({ customer }) => customer.key).join(", ")}`);
+    ln();
+  }
+
+  return lines.join("\n");
+}
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  const args = process.argv.slice(2);
+  const write = args.includes("--write");
+  const optionValue = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? null : args[index + 1];
+  };
+  const optionIndexes = ["--env", "--note"].map((name) => args.indexOf(name)).filter((i) => i !== -1);
+  const [customerList, product, flagKey, value, ...extra] = args.filter(
+    (a, i) => !a.startsWith("--") && !optionIndexes.includes(i - 1)
+  );
+
+  if (!customerList || !product || !flagKey || value === undefined || extra.length) {
+    console.error(
+      'Usage: node set-flag.js <customer,...> <product> <flag> <value> [--note "<note>"] [--env <environment>] [--write]'
+    );
+    process.exit(1);
+  }
+
+  let text;
+  let data;
+  try {
+    text = readFlagDataText(JSON_PATH);
+    data = JSON.parse(text);
+  } catch (err) {
+    console.error(`Error reading ${JSON_PATH}:`, err.message);
+    process.exit(1);
+  }
+
+  const envArg = optionValue("--env");
+  const env = listEnvironments(data).find((e) => e.key === (envArg || defaultEnvironment(data)));
+  if (!env) {
+    console.error(`Unknown environment "${envArg}" (expected one of ${listEnvironments(data).map((e) => e.key).join(", ")})`);
+    process.exit(1);
+  }
+
+  const options = {
+    customers: customerList.split(",").filter(Boolean),
+    product,
+    flag: flagKey,
+    value,
+    note: optionValue("--note"),
+    env: env.key,
+  };
+  const set = proposeSet(data, options);
+  const productName = data.products.find((p) => p.key === product)?.name || product;
+  console.log(formatSetReport({ set, flagKey, productName, envName: env.name }));
+  if (set.problems.length) process.exit(1);
+  if (changedProposals(set).length === 0) {
+    console.log("✓ No changes — nothing to write.");
+    return;
+  }
+
+  const updated = applySet(text, data, set, options);
+  const after = JSON.parse(updated);
+  const problems = validateData(after);
+  if (problems.length) {
+    console.error(formatProblems(problems, `${JSON_REL_PATH} after the change`));
+    process.exit(1);
+  }
+  const violations = newViolations(data, after);
+  if (violations.length) {
+    console.warn("⚠ The change breaks flag rules:\n");
+    console.warn(formatViolations(violations, after));
+    console.warn();
+  }
+
+  if (!write) {
+    console.log(`Run again with --write to update ${JSON_REL_PATH}.`);
+    return;
+  }
+  const written = writeFlagData(JSON_PATH, after).map((file) => path.relative(ROOT, file));
+  console.log(`✓ Updated ${written.join(", ")} and added a changelog entry — review with \`git diff\`, then run \`node generate.js\`.`);
+}
+
+// Export for programmatic use
+module.exports = {
+  proposeSet,
+  applySet,
+  formatSetReport,
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * stale-flags.js — List flags that should be cleaned up
+ *
+ * Reports, from the lifecycle fields on each flag definition (see lib/lifecycle.js):
+ *   - deprecated / pending-removal flags that are still enabled for any customer
+ *   - flags whose planned removal date has passed
+ *
+ * Usage:
+ *   node stale-flags.js                 # report as of today
+ *   node stale-flags.js 2027-01-01      # report as of another date
+ *   node stale-flags.js --check         # exit non-zero when any flag is stale
+ *
+ * Can also be called programmatically:
+ *   const { formatStaleReport } = require('./stale-flags');
+ */
+
+const {
+  describeLifecycle,
+  today,
+  findStaleFlags,
+  describeStaleReasons,
+  describeEnabledAt,
+} = require("./lib/lifecycle");
+const { defaultDataPath, readFlagData } = require("./lib/flag-data");
+
+const JSON_PATH = defaultDataPath();
+
+// ─── Formatter ────────────────────────────────────────────────────────────────
+
+/**
+ * Format the stale flags report for terminal output
+ */
+function formatStaleReport(stale, data, asOf) {
+  if (stale.length === 0) return `✓ No stale flags as of ${asOf}`;
+  const lines = [`⚠ ${stale.length} stale flag(s) as of ${asOf}:`, ""];
+  for (const entry of stale) {
+    lines.push(`  ${entry.flag.key} — ${describeStaleReasons(entry)}`);
+    lines.push(`    ${describeLifecycle(entry.flag)}`);
+    for (const where of describeEnabledAt(entry.enabledAt, data)) {
+      lines.push(`    enabled: ${where}`);
+    }
+    lines.push("");
+  }
+  return lines.join("\n").trimEnd();
+}
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  const args = process.argv.slice(2);
+  const check = args.includes("--check");
+  const asOf = args.find((a) => !a.startsWith("--")) || today();
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+    console.error(`Expected a YYYY-MM-DD date, got "${asOf}"`);
+    process.exit(1);
+  }
+
+  let data;
+  try {
+    data = readFlagData(JSON_PATH);
+  } catch (err) {
+    console.error(`Error reading ${JSON_PATH}:`, err.message);
+    process.exit(1);
+  }
+
+  const stale = findStaleFlags(data, asOf);
+  console.log(formatStaleReport(stale, data, asOf));
+  if (check && stale.length) process.exit(1);
+}
+
+// Export for programmatic use
+module.exports = {
+  formatStaleReport,
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
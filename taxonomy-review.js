@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * taxonomy-review.js — Rebuild docs/taxonomy-review.md from the data
+ *
+ * Regenerates the counts and tables of the taxonomy review from
+ * data/feature-flags.json (or the data directory, see lib/flag-data.js) and
+ * data/env-var-mapping.yaml (see lib/taxonomy.js):
+ *   - flags per category, with their env vars and mapping status
+ *   - the mapping summary and composite mappings
+ *   - flags with no known env var (Gap 1)
+ *   - shared toggles, and customers whose values they cannot express (Gap 6)
+ *   - the per-customer configuration summary
+ *
+ * Hand-written notes between `<!-- HAND-WRITTEN: name -->` and
+ * `<!-- END HAND-WRITTEN -->` markers are kept as they are.
+ *
+ * Usage:
+ *   node taxonomy-review.js            # rewrite docs/taxonomy-review.md
+ *   node taxonomy-review.js --stdout   # print instead of writing
+ *   node taxonomy-review.js --check    # exit non-zero when the doc is out of date
+ *
+ * Can also be called programmatically:
+ *   const { buildTaxonomyReview } = require('./taxonomy-review');
+ */
+
+const path = require("path");
+const fs = require("fs");
+const { loadEnvVarMapping } = require("./lib/env-vars");
+const {
+  HAND_WRITTEN_SECTIONS,
+  summarizeTaxonomy,
+  readHandWritten,
+  formatTaxonomyReview,
+} = require("./lib/taxonomy");
+const { defaultDataPath, readFlagData } = require("./lib/flag-data");
+
+const ROOT = __dirname;
+const JSON_PATH = defaultDataPath();
+const MAPPING_PATH = path.join(ROOT, "data", "env-var-mapping.yaml");
+const REVIEW_REL_PATH = "docs/taxonomy-review.md";
+const REVIEW_PATH = path.join(ROOT, REVIEW_REL_PATH);
+
+/**
+ * The review document for the data, keeping the hand-written sections of
+ * `existing` (the current document's text, if any)
+ */
+function buildTaxonomyReview(data, mapping, existing = "") {
+  const notes = readHandWritten(existing);
+  const unknown = [...notes.keys()].filter((name) => !HAND_WRITTEN_SECTIONS.includes(name));
+  if (unknown.length) {
+    throw new Error(
+      `unknown hand-written section(s) ${unknown.map((n) => `"${n}"`).join(", ")} ` +
+        `(expected one of ${HAND_WRITTEN_SECTIONS.join(", ")}) — their text would be lost`
+    );
+  }
+  return formatTaxonomyReview(summarizeTaxonomy(data, mapping), data, notes);
+}
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  const args = process.argv.slice(2);
+  const check = args.includes("--check");
+  const stdout = args.includes("--stdout");
+
+  let data;
+  let mapping;
+  try {
+    data = readFlagData(JSON_PATH);
+    mapping = loadEnvVarMapping(MAPPING_PATH);
+  } catch (err) {
+    console.error("Error reading data:", err.message);
+    process.exit(1);
+  }
+
+  const existing = fs.existsSync(REVIEW_PATH) ? fs.readFileSync(REVIEW_PATH, "utf-8") : "";
+  let review;
+  try {
+    review = buildTaxonomyReview(data, mapping, existing);
+  } catch (err) {
+    console.error(`Error in ${REVIEW_REL_PATH}:`, err.message);
+    process.exit(1);
+  }
+
+  if (stdout) {
+    process.stdout.write(review);
+  } else if (check) {
+    if (review !== existing) {
+      console.error(`✗ ${REVIEW_REL_PATH} is out of date — run \`node taxonomy-review.js\``);
+      process.exit(1);
+    }
+    console.log(`✓ ${REVIEW_REL_PATH} is up to date`);
+  } else {
+    fs.writeFileSync(REVIEW_PATH, review, "utf-8");
+    console.log(`✓ Wrote ${REVIEW_REL_PATH}`);
+  }
+}
+
+// Export for programmatic use
+module.exports = {
+  buildTaxonomyReview,
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
@@ -3,29 +3,35 @@
 /**
  * generate-tests.js — Test plan generator
  *
- * Reads:   ../data/feature-flags.json       (customer configs — source of truth)
+ * Reads:   ../data/feature-flags.json       (customer configs — source of truth;
+ *                                            or the data directory, see lib/flag-data.js)
  *          data/test-definitions.json        (scenarios & flag test criteria)
  *
  * Writes:  test-plans/test-plan-{customer}.csv   (one per customer)
  *
  * Usage:   node generate-tests.js
  *          node generate-tests.js --customer medstar_health
+ *          node generate-tests.js --out /tmp/plans     (write the CSVs elsewhere)
  */
 
 const fs = require("fs");
 const path = require("path");
+const { defaultValue } = require("../lib/defaults");
+const { isSiteMap, isEnabledValue } = require("../lib/flag-values");
+const { listCategories, categoryLabel } = require("../lib/categories");
+const { defaultDataPath, readFlagData } = require("../lib/flag-data");
 
 // ─── Paths ────────────────────────────────────────────────────────────────────
 const ROOT = __dirname;
-const FLAG_DATA_PATH = path.join(ROOT, "..", "data", "feature-flags.json");
+const FLAG_DATA_PATH = defaultDataPath();
 const TEST_DEF_PATH = path.join(ROOT, "data", "test-definitions.json");
-const OUTPUT_DIR = path.join(ROOT, "test-plans");
+const DEFAULT_OUTPUT_DIR = path.join(ROOT, "test-plans");
 
 // ─── Load data ────────────────────────────────────────────────────────────────
 let flagData, testDefs;
 
 try {
-  flagData = JSON.parse(fs.readFileSync(FLAG_DATA_PATH, "utf-8"));
+  flagData = readFlagData(FLAG_DATA_PATH);
 } catch (err) {
   console.error(`Error reading feature flags: ${err.message}`);
   console.error(`Expected at: ${FLAG_DATA_PATH}`);
@@ -47,6 +53,9 @@ const customerArgIdx = args.indexOf("--customer");
 if (customerArgIdx !== -1 && args[customerArgIdx + 1]) {
   filterCustomer = args[customerArgIdx + 1];
 }
+const outArgIdx = args.indexOf("--out");
+const OUTPUT_DIR =
+  outArgIdx !== -1 && args[outArgIdx + 1] ? path.resolve(args[outArgIdx + 1]) : DEFAULT_OUTPUT_DIR;
 
 // ─── CSV helpers ──────────────────────────────────────────────────────────────
 function csvEscape(val) {
@@ -94,6 +103,15 @@ function resolveTemplateVars(text, scenario) {
     .replace(/\{antibiotics\}/g, profile.antibiotics || "");
 }
 
+// ─── Flag definition lookup ───────────────────────────────────────────────────
+function findFlagDefinition(flagKey) {
+  for (const catFlags of Object.values(flagData.flagDefinitions)) {
+    const flag = catFlags.find((f) => f.key === flagKey);
+    if (flag) return flag;
+  }
+  return null;
+}
+
 // ─── Check if scenario applies to customer ────────────────────────────────────
 function scenarioApplies(scenario, customer, customerConfig) {
   // Customer must have the product
@@ -104,7 +122,9 @@ function scenarioApplies(scenario, customer, customerConfig) {
     const productConfig = customerConfig?.[scenario.product];
     if (!productConfig) return false;
     for (const flagKey of scenario.requiredFlags) {
-      if (productConfig.flags[flagKey] !== true) return false;
+      const flag = findFlagDefinition(flagKey);
+      const value = productConfig.flags[flagKey] ?? (flag && defaultValue(flagData, scenario.product, flag));
+      if (value !== true) return false;
     }
   }
 
@@ -119,9 +139,9 @@ function getFlagTests(customer, productKey, customerConfig) {
   const enabled = [];
   const disabled = [];
 
-  // Walk all flag definitions for this product
-  for (const [catKey, catFlags] of Object.entries(flagData.flagDefinitions)) {
-    for (const flag of catFlags) {
+  // Walk all flag definitions for this product, in category display order
+  for (const { key: catKey } of listCategories(flagData)) {
+    for (const flag of flagData.flagDefinitions[catKey]) {
       // Check if flag applies to this product
       if (flag.applicableProducts !== "all" && !flag.applicableProducts.includes(productKey)) {
         continue;
@@ -130,12 +150,15 @@ function getFlagTests(customer, productKey, customerConfig) {
       const testCriteria = testDefs.flagTestCriteria[flag.key];
       if (!testCriteria) continue;
 
-      const value = productConfig.flags[flag.key];
-      if (value === true) {
+      // Flags without a configured value fall back to the product / flag default
+      const value = productConfig.flags[flag.key] ?? defaultValue(flagData, productKey, flag);
+      if (value === undefined || isSiteMap(value)) continue;
+      // Enum / integer flags are off at their `off` value (see lib/flag-values.js)
+      if (isEnabledValue(flag, value)) {
         if (testCriteria.whenEnabled) {
           enabled.push({ flag, criteria: testCriteria.whenEnabled, category: catKey });
         }
-      } else if (value === false) {
+      } else {
         if (testCriteria.whenDisabled) {
           disabled.push({ flag, criteria: testCriteria.whenDisabled, category: catKey });
         }
@@ -146,14 +169,6 @@ function getFlagTests(customer, productKey, customerConfig) {
   return { enabled, disabled };
 }
 
-// ─── Category label helper ────────────────────────────────────────────────────
-function categoryLabel(catKey) {
-  return catKey
-    .split("_")
-    .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
-    .join(" ");
-}
-
 // ─── Generate test plan CSV for a customer ────────────────────────────────────
 function generateTestPlan(customer) {
   const ehr = customer.ehr;
@@ -348,7 +363,7 @@ function generateTestPlan(customer) {
           rows.push(csvRow([
             "",
             "Absence Test",
-            `--- ${categoryLabel(flagTest.category)} ---`,
+            `--- ${categoryLabel(flagData, flagTest.category)} ---`,
             "",
             "",
             "",
@@ -442,7 +457,7 @@ function main() {
     totalPlans++;
   }
 
-  console.log(`\n✓ Generated ${totalPlans} test plan(s) in test-plans/`);
+  console.log(`\n✓ Generated ${totalPlans} test plan(s) in ${OUTPUT_DIR === DEFAULT_OUTPUT_DIR ? "test-plans" : OUTPUT_DIR}/`);
   console.log("\nDone!");
 }
 
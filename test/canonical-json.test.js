@@ -0,0 +1,87 @@
+/**
+ * test/canonical-json.test.js — formatFlagData gives the same text whatever
+ * order the data's object keys come in
+ *
+ * Run with `npm test`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { formatFlagData, formatFlagDataFiles } = require("../lib/canonical-json");
+const { defaultDataPath, readFlagData } = require("../lib/flag-data");
+
+/**
+ * A deep copy of `value` with every object's keys in a shuffled (seeded) order;
+ * arrays keep theirs
+ */
+function shuffleKeys(value, random) {
+  if (Array.isArray(value)) return value.map((v) => shuffleKeys(v, random));
+  if (value === null || typeof value !== "object") return value;
+  const keys = Object.keys(value);
+  for (let i = keys.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [keys[i], keys[j]] = [keys[j], keys[i]];
+  }
+  return Object.fromEntries(keys.map((k) => [k, shuffleKeys(value[k], random)]));
+}
+
+// Small deterministic PRNG (mulberry32), so a failure can be reproduced
+function seededRandom(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const data = readFlagData(defaultDataPath());
+
+test("the repo's data formats the same with its keys shuffled", () => {
+  const expected = formatFlagData(data);
+  for (const seed of [1, 2, 3, 4, 5]) {
+    assert.equal(formatFlagData(shuffleKeys(data, seededRandom(seed))), expected, `seed ${seed}`);
+  }
+});
+
+test("the data directory's files format the same with the keys shuffled", () => {
+  assert.deepEqual(formatFlagDataFiles(shuffleKeys(data, seededRandom(7))), formatFlagDataFiles(data));
+});
+
+test("nested product, EHR and site maps are ordered", () => {
+  const sample = {
+    products: [{ key: "sepsis" }, { key: "deterioration" }],
+    customers: [{ key: "acme", products: ["sepsis"], ehr: "Epic", sites: [{ key: "north" }, { key: "south" }] }],
+    categories: [{ key: "general" }],
+    flagDefinitions: {
+      general: [
+        {
+          key: "bundle_tracking",
+          applicableProducts: ["sepsis"],
+          ehrNames: { Epic: "Bundle Tracking (Epic)", Cerner: "Bundle Tracking (Cerner)" },
+          notApplicableNotes: { deterioration: "Not applicable", sepsis: "Always applicable" },
+        },
+      ],
+    },
+    configurations: { acme: { sepsis: { flags: { bundle_tracking: { south: false, north: true } } } } },
+  };
+  const reordered = {
+    ...sample,
+    flagDefinitions: {
+      general: [
+        {
+          ...sample.flagDefinitions.general[0],
+          ehrNames: { Cerner: "Bundle Tracking (Cerner)", Epic: "Bundle Tracking (Epic)" },
+          notApplicableNotes: { sepsis: "Always applicable", deterioration: "Not applicable" },
+        },
+      ],
+    },
+    configurations: { acme: { sepsis: { flags: { bundle_tracking: { north: true, south: false } } } } },
+  };
+
+  const text = formatFlagData(sample);
+  assert.equal(formatFlagData(reordered), text);
+  assert.match(text, /"ehrNames": \{ "Cerner": .*, "Epic": .* \}/);
+  assert.match(text, /"notApplicableNotes": \{ "sepsis": .*, "deterioration": .* \}/);
+  assert.match(text, /"bundle_tracking": \{ "north": true, "south": false \}/);
+});
@@ -0,0 +1,810 @@
+#!/usr/bin/env node
+
+/**
+ * validate.js — Check feature-flags.json before anything is generated
+ *
+ * Verifies the structure of every top-level section and the references
+ * between them:
+ *   - products, customers and flag definitions have unique keys
+ *   - customers only reference known products
+ *   - flag definitions only reference known products
+ *   - categories are declared for every flagDefinitions key, with a label, and
+ *     their flags stay within the category's product scope
+ *   - every configuration belongs to a known customer and one of its products
+ *   - every flag / note key in a configuration is a defined, applicable flag
+ *   - flag types are known, and every value (and default, and off value) fits its flag's type
+ *   - lifecycle fields are well-formed, and supersededBy names another defined flag
+ *   - EHR display names are strings, and not-applicable notes only name products
+ *     the flag does not apply to
+ *   - annotations name a defined, applicable flag and a known annotation
+ *   - provenance names a defined, applicable flag, a known source type and confidence,
+ *     and a YYYY-MM-DD verified date
+ *   - product defaults only name known products and applicable flags, with valid values
+ *   - every applicable flag without a (product) default has a value for every customer product
+ *   - per-site values only name the customer's declared sites, and cover all of them
+ *   - per-hospital env vars (siteListEnvVars) are unique names, and the customer's
+ *     site keys can be written in a "SITE|value" list
+ *   - environment overrides only name declared, non-default environments
+ *   - rules have a known type and only reference defined flags
+ *
+ * Each problem is reported with the JSON path it was found at, e.g.
+ *   configurations.ccf.sepsis.flags.bundle_trackng — unknown flag key
+ *
+ * Usage:
+ *   node validate.js                      # validate the data (see lib/flag-data.js)
+ *   node validate.js path/to/flags.json   # validate another file or data directory
+ *
+ * Exits non-zero when any problem is found, so `npm run build` fails on bad data.
+ *
+ * Configurations that break a rule (see lib/rules.js) are printed as warnings.
+ * Pass --strict-rules to treat them as problems too:
+ *   node validate.js --strict-rules
+ *
+ * Can also be called programmatically:
+ *   const { validateData } = require('./validate');
+ */
+
+const path = require("path");
+const { isSiteMap } = require("./lib/flag-values");
+const { FLAG_TYPES, flagType, checkValue } = require("./lib/flag-types");
+const { FLAG_STATUSES } = require("./lib/lifecycle");
+const { ANNOTATIONS } = require("./lib/display");
+const { SOURCE_TYPES, CONFIDENCE_LEVELS } = require("./lib/provenance");
+const { RULE_TYPES, checkRules, groupViolations, formatViolations } = require("./lib/rules");
+const { defaultDataPath, readFlagData } = require("./lib/flag-data");
+
+// ─── Path helpers ─────────────────────────────────────────────────────────────
+
+/**
+ * Append an object key or array index to a JSON path
+ */
+function joinPath(base, segment) {
+  if (typeof segment === "number") return `${base}[${segment}]`;
+  if (!/^[A-Za-z_$][\w$]*$/.test(segment)) return `${base}[${JSON.stringify(segment)}]`;
+  return base ? `${base}.${segment}` : segment;
+}
+
+function isPlainObject(val) {
+  return val !== null && typeof val === "object" && !Array.isArray(val);
+}
+
+function isNonEmptyString(val) {
+  return typeof val === "string" && val.trim() !== "";
+}
+
+// ─── Validator ────────────────────────────────────────────────────────────────
+
+/**
+ * Validate parsed feature-flags.json data.
+ * Returns an array of { path, message } — empty when the data is valid.
+ */
+function validateData(data) {
+  const problems = [];
+  const report = (p, message) => problems.push({ path: p || "(root)", message });
+
+  if (!isPlainObject(data)) {
+    report("", "expected a JSON object");
+    return problems;
+  }
+
+  // ── Top-level sections ──────────────────────────────────────────────────
+  const sections = {
+    meta: isPlainObject,
+    products: Array.isArray,
+    customers: Array.isArray,
+    flagDefinitions: isPlainObject,
+    configurations: isPlainObject,
+    changelog: Array.isArray,
+    environments: Array.isArray,
+    rules: Array.isArray,
+    defaults: isPlainObject,
+    categories: Array.isArray,
+  };
+  const optionalSections = new Set(["environments", "rules", "defaults", "categories"]);
+  for (const [key, check] of Object.entries(sections)) {
+    if (data[key] === undefined) {
+      if (!optionalSections.has(key)) report(key, "missing required section");
+    } else if (!check(data[key])) {
+      report(key, `expected ${check === Array.isArray ? "an array" : "an object"}`);
+    }
+  }
+
+  // ── Meta ────────────────────────────────────────────────────────────────
+  if (isPlainObject(data.meta)) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(data.meta.lastUpdated || "")) {
+      report("meta.lastUpdated", "expected a YYYY-MM-DD date");
+    }
+  }
+
+  // ── Environments ────────────────────────────────────────────────────────
+  const envKeys = new Set();
+  let defaultEnv = "production";
+  if (Array.isArray(data.environments)) {
+    const defaults = [];
+    data.environments.forEach((env, i) => {
+      const p = joinPath("environments", i);
+      if (!isPlainObject(env)) return report(p, "expected an object");
+      checkKeyedEntry(env, p, envKeys, "environment", report);
+      if (!isNonEmptyString(env.name)) report(joinPath(p, "name"), "missing display name");
+      if (env.default !== undefined && typeof env.default !== "boolean") {
+        report(joinPath(p, "default"), "expected true or false");
+      }
+      if (env.default === true) defaults.push(env.key);
+    });
+    if (defaults.length !== 1) {
+      report("environments", `expected exactly one default environment, found ${defaults.length}`);
+    }
+    if (defaults.length) defaultEnv = defaults[0];
+  }
+
+  // ── Products ────────────────────────────────────────────────────────────
+  const productKeys = new Set();
+  if (Array.isArray(data.products)) {
+    data.products.forEach((product, i) => {
+      const p = joinPath("products", i);
+      if (!isPlainObject(product)) return report(p, "expected an object");
+      checkKeyedEntry(product, p, productKeys, "product", report);
+      if (!isNonEmptyString(product.name)) report(joinPath(p, "name"), "missing display name");
+      if (typeof product.description !== "string") {
+        report(joinPath(p, "description"), "missing description");
+      }
+    });
+  }
+
+  // ── Customers ───────────────────────────────────────────────────────────
+  const customersByKey = new Map();
+  if (Array.isArray(data.customers)) {
+    const customerKeys = new Set();
+    data.customers.forEach((customer, i) => {
+      const p = joinPath("customers", i);
+      if (!isPlainObject(customer)) return report(p, "expected an object");
+      if (checkKeyedEntry(customer, p, customerKeys, "customer", report)) {
+        customersByKey.set(customer.key, customer);
+      }
+      if (!isNonEmptyString(customer.name)) report(joinPath(p, "name"), "missing display name");
+      if (!isNonEmptyString(customer.ehr)) report(joinPath(p, "ehr"), "missing EHR platform");
+      if (!Array.isArray(customer.products) || customer.products.length === 0) {
+        report(joinPath(p, "products"), "expected a non-empty array of product keys");
+        return;
+      }
+      const seen = new Set();
+      customer.products.forEach((pk, j) => {
+        const pp = joinPath(joinPath(p, "products"), j);
+        if (!productKeys.has(pk)) report(pp, `unknown product "${pk}" (not in products[].key)`);
+        else if (seen.has(pk)) report(pp, `duplicate product "${pk}"`);
+        seen.add(pk);
+      });
+      validateSites(customer, p, report);
+      validateSiteListEnvVars(customer, p, report);
+    });
+  }
+
+  // ── Flag definitions ────────────────────────────────────────────────────
+  const flagsByKey = new Map();
+  if (isPlainObject(data.flagDefinitions)) {
+    const flagKeys = new Set();
+    for (const [catKey, catFlags] of Object.entries(data.flagDefinitions)) {
+      const cp = joinPath("flagDefinitions", catKey);
+      if (!Array.isArray(catFlags)) {
+        report(cp, "expected an array of flag definitions");
+        continue;
+      }
+      catFlags.forEach((flag, i) => {
+        const p = joinPath(cp, i);
+        if (!isPlainObject(flag)) return report(p, "expected an object");
+        if (checkKeyedEntry(flag, p, flagKeys, "flag", report)) {
+          flagsByKey.set(flag.key, flag);
+        }
+        if (!isNonEmptyString(flag.name)) report(joinPath(p, "name"), "missing display name");
+        if (typeof flag.description !== "string") {
+          report(joinPath(p, "description"), "missing description");
+        }
+        validateFlagType(flag, p, report);
+        validateLifecycle(flag, p, report);
+        validateDisplayRules(flag, p, productKeys, report);
+        const ap = joinPath(p, "applicableProducts");
+        if (flag.applicableProducts === "all") return;
+        if (!Array.isArray(flag.applicableProducts) || flag.applicableProducts.length === 0) {
+          report(ap, 'expected "all" or a non-empty array of product keys');
+          flagsByKey.delete(flag.key);
+          return;
+        }
+        flag.applicableProducts.forEach((pk, j) => {
+          if (!productKeys.has(pk)) {
+            report(joinPath(ap, j), `unknown product "${pk}" (not in products[].key)`);
+          }
+        });
+      });
+    }
+
+    // Superseding flags can be defined in any category, so check them last
+    for (const [catKey, catFlags] of Object.entries(data.flagDefinitions)) {
+      if (!Array.isArray(catFlags)) continue;
+      catFlags.forEach((flag, i) => {
+        if (!isNonEmptyString(flag?.supersededBy)) return;
+        const sp = joinPath(joinPath(joinPath("flagDefinitions", catKey), i), "supersededBy");
+        if (flag.supersededBy === flag.key) report(sp, "a flag cannot supersede itself");
+        else if (!flagKeys.has(flag.supersededBy)) {
+          report(sp, `unknown flag key "${flag.supersededBy}" (not in flagDefinitions)`);
+        }
+      });
+    }
+  }
+
+  // ── Categories ──────────────────────────────────────────────────────────
+  if (Array.isArray(data.categories) && isPlainObject(data.flagDefinitions)) {
+    const categoryKeys = new Set();
+    data.categories.forEach((category, i) => {
+      const p = joinPath("categories", i);
+      if (!isPlainObject(category)) return report(p, "expected an object");
+      if (!checkKeyedEntry(category, p, categoryKeys, "category", report)) return;
+      if (!Array.isArray(data.flagDefinitions[category.key])) {
+        report(joinPath(p, "key"), `unknown category "${category.key}" (not in flagDefinitions)`);
+        return;
+      }
+      validateCategory(category, p, data.flagDefinitions[category.key], productKeys, report);
+    });
+    for (const catKey of Object.keys(data.flagDefinitions)) {
+      if (!categoryKeys.has(catKey)) {
+        report(joinPath("flagDefinitions", catKey), `category "${catKey}" is not declared in categories`);
+      }
+    }
+  }
+
+  // ── Product defaults ────────────────────────────────────────────────────
+  const productDefaults = {};
+  if (isPlainObject(data.defaults)) {
+    for (const [prodKey, defaults] of Object.entries(data.defaults)) {
+      const dp = joinPath("defaults", prodKey);
+      if (!productKeys.has(prodKey)) {
+        report(dp, `unknown product "${prodKey}" (not in products[].key)`);
+        continue;
+      }
+      if (!isPlainObject(defaults)) {
+        report(dp, "expected an object of flag values");
+        continue;
+      }
+      productDefaults[prodKey] = defaults;
+      for (const [flagKey, value] of Object.entries(defaults)) {
+        const vp = joinPath(dp, flagKey);
+        const flag = flagsByKey.get(flagKey);
+        if (!flag) report(vp, `unknown flag key "${flagKey}" (not in flagDefinitions)`);
+        else if (!isApplicable(flag, prodKey)) {
+          report(vp, `flag "${flagKey}" does not apply to product "${prodKey}"`);
+        } else if (isSiteMap(value)) {
+          report(vp, "per-site values belong in customer configurations, not product defaults");
+        } else {
+          const error = checkValue(flag, value);
+          if (error) report(vp, error);
+        }
+      }
+    }
+  }
+
+  // ── Rules ───────────────────────────────────────────────────────────────
+  if (Array.isArray(data.rules)) {
+    data.rules.forEach((rule, i) => validateRule(rule, joinPath("rules", i), flagsByKey, report));
+  }
+
+  // ── Configurations ──────────────────────────────────────────────────────
+  if (isPlainObject(data.configurations)) {
+    for (const [custKey, custConfig] of Object.entries(data.configurations)) {
+      const cp = joinPath("configurations", custKey);
+      const customer = customersByKey.get(custKey);
+      if (!customer) {
+        report(cp, `unknown customer "${custKey}" (not in customers[].key)`);
+        continue;
+      }
+      if (!isPlainObject(custConfig)) {
+        report(cp, "expected an object keyed by product");
+        continue;
+      }
+      for (const [prodKey, prodConfig] of Object.entries(custConfig)) {
+        const pp = joinPath(cp, prodKey);
+        if (!productKeys.has(prodKey)) {
+          report(pp, `unknown product "${prodKey}" (not in products[].key)`);
+          continue;
+        }
+        if (!Array.isArray(customer.products) || !customer.products.includes(prodKey)) {
+          report(pp, `customer "${custKey}" does not list product "${prodKey}"`);
+          continue;
+        }
+        validateProductConfig(prodConfig, pp, prodKey, customer, {
+          flagsByKey,
+          productDefaults,
+          envKeys,
+          defaultEnv,
+          report,
+        });
+      }
+    }
+
+    // Every customer product needs a configuration block
+    for (const customer of customersByKey.values()) {
+      if (!Array.isArray(customer.products)) continue;
+      for (const prodKey of customer.products) {
+        if (!productKeys.has(prodKey)) continue;
+        if (!data.configurations[customer.key]?.[prodKey]) {
+          report(
+            joinPath(joinPath("configurations", customer.key), prodKey),
+            "missing configuration for customer product"
+          );
+        }
+      }
+    }
+  }
+
+  // ── Changelog ───────────────────────────────────────────────────────────
+  if (Array.isArray(data.changelog)) {
+    data.changelog.forEach((entry, i) => {
+      const p = joinPath("changelog", i);
+      if (!isPlainObject(entry)) return report(p, "expected an object");
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.date || "")) {
+        report(joinPath(p, "date"), "expected a YYYY-MM-DD date");
+      }
+      if (typeof entry.author !== "string") report(joinPath(p, "author"), "missing author");
+      if (!isNonEmptyString(entry.change)) report(joinPath(p, "change"), "missing change description");
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Check the `key` of a product / customer / flag entry and record it.
+ * Returns true when the key is usable for reference checks.
+ */
+function checkKeyedEntry(entry, p, seenKeys, kind, report) {
+  if (!isNonEmptyString(entry.key)) {
+    report(joinPath(p, "key"), `missing ${kind} key`);
+    return false;
+  }
+  if (seenKeys.has(entry.key)) {
+    report(joinPath(p, "key"), `duplicate ${kind} key "${entry.key}"`);
+    return false;
+  }
+  seenKeys.add(entry.key);
+  return true;
+}
+
+/**
+ * Optional `sites` on a customer: [{ key, name? }] with unique keys
+ */
+function validateSites(customer, p, report) {
+  if (customer.sites === undefined) return;
+  const sp = joinPath(p, "sites");
+  if (!Array.isArray(customer.sites) || customer.sites.length === 0) {
+    report(sp, "expected a non-empty array of sites");
+    return;
+  }
+  const siteKeys = new Set();
+  customer.sites.forEach((site, i) => {
+    const ip = joinPath(sp, i);
+    if (!isPlainObject(site)) return report(ip, "expected an object");
+    checkKeyedEntry(site, ip, siteKeys, "site", report);
+    if (site.name !== undefined && !isNonEmptyString(site.name)) {
+      report(joinPath(ip, "name"), "expected a non-empty string");
+    }
+  });
+}
+
+/**
+ * Optional `siteListEnvVars` on a customer: env var names set as per-hospital
+ * lists ("FAIRH|true,CCF|false", see lib/site-list.js)
+ */
+function validateSiteListEnvVars(customer, p, report) {
+  if (customer.siteListEnvVars === undefined) return;
+  const vp = joinPath(p, "siteListEnvVars");
+  if (!Array.isArray(customer.siteListEnvVars) || customer.siteListEnvVars.length === 0) {
+    report(vp, "expected a non-empty array of env var names");
+    return;
+  }
+  const seen = new Set();
+  customer.siteListEnvVars.forEach((name, i) => {
+    if (!isNonEmptyString(name)) return report(joinPath(vp, i), "expected an env var name");
+    if (seen.has(name)) report(joinPath(vp, i), `duplicate env var "${name}"`);
+    seen.add(name);
+  });
+  (Array.isArray(customer.sites) ? customer.sites : []).forEach((site, i) => {
+    if (isNonEmptyString(site?.key) && /[|,\s]/.test(site.key)) {
+      report(joinPath(joinPath(joinPath(p, "sites"), i), "key"), `site key "${site.key}" cannot be used in a per-hospital env var list`);
+    }
+  });
+}
+
+/**
+ * Check a flag definition's `type`, its type parameters and its `default`
+ */
+function validateFlagType(flag, p, report) {
+  if (flag.type !== undefined && !FLAG_TYPES.includes(flag.type)) {
+    report(joinPath(p, "type"), `unknown type "${flag.type}" (expected ${FLAG_TYPES.join(", ")})`);
+    return;
+  }
+  if (flag.type === "enum") {
+    const vp = joinPath(p, "values");
+    if (!Array.isArray(flag.values) || flag.values.length === 0) {
+      report(vp, "enum flags need a non-empty array of allowed values");
+      return;
+    }
+    flag.values.forEach((v, i) => {
+      if (!isNonEmptyString(v)) report(joinPath(vp, i), "expected a non-empty string");
+      else if (flag.values.indexOf(v) !== i) report(joinPath(vp, i), `duplicate value "${v}"`);
+    });
+  }
+  if (flag.type === "integer") {
+    for (const bound of ["min", "max"]) {
+      if (flag[bound] !== undefined && !Number.isInteger(flag[bound])) {
+        report(joinPath(p, bound), "expected an integer");
+      }
+    }
+    if (Number.isInteger(flag.min) && Number.isInteger(flag.max) && flag.min > flag.max) {
+      report(joinPath(p, "min"), `min (${flag.min}) is greater than max (${flag.max})`);
+    }
+  }
+  if (flag.off !== undefined) {
+    const type = flagType(flag);
+    if (type !== "enum" && type !== "integer") report(joinPath(p, "off"), "only enum and integer flags have an off value");
+    else {
+      const error = checkValue(flag, flag.off);
+      if (error) report(joinPath(p, "off"), error);
+    }
+  }
+  if (flag.default !== undefined) {
+    const error = checkValue(flag, flag.default);
+    if (error) report(joinPath(p, "default"), error);
+  }
+}
+
+/**
+ * Check a category's display fields and that its flags stay within its product scope
+ */
+function validateCategory(category, p, catFlags, productKeys, report) {
+  if (!isNonEmptyString(category.label)) report(joinPath(p, "label"), "missing display label");
+  if (category.order !== undefined && !Number.isFinite(category.order)) {
+    report(joinPath(p, "order"), "expected a number");
+  }
+  for (const field of ["description", "icon"]) {
+    if (category[field] !== undefined && typeof category[field] !== "string") {
+      report(joinPath(p, field), "expected a string");
+    }
+  }
+  if (category.products === undefined) return;
+  const sp = joinPath(p, "products");
+  if (!Array.isArray(category.products) || category.products.length === 0) {
+    report(sp, "expected a non-empty array of product keys");
+    return;
+  }
+  category.products.forEach((pk, j) => {
+    if (!productKeys.has(pk)) report(joinPath(sp, j), `unknown product "${pk}" (not in products[].key)`);
+  });
+
+  // Flags outside the scope would never be listed
+  catFlags.forEach((flag, i) => {
+    if (!isPlainObject(flag)) return;
+    const fp = joinPath(joinPath("flagDefinitions", category.key), i);
+    let listed = flag.applicableProducts === "all" ? [...productKeys] : flag.applicableProducts;
+    if (!Array.isArray(listed)) listed = [];
+    if (isPlainObject(flag.notApplicableNotes)) listed = [...listed, ...Object.keys(flag.notApplicableNotes)];
+    const unlisted = [...new Set(listed)].filter((pk) => productKeys.has(pk) && !category.products.includes(pk));
+    if (unlisted.length) {
+      report(fp, `listed for ${unlisted.join(", ")}, outside the products of category "${category.key}"`);
+    }
+  });
+}
+
+/**
+ * Check a rule's type and the flag keys it references
+ */
+function validateRule(rule, p, flagsByKey, report) {
+  if (!isPlainObject(rule)) return report(p, "expected an object");
+  if (!RULE_TYPES.includes(rule.type)) {
+    report(joinPath(p, "type"), `unknown rule type "${rule.type}" (expected ${RULE_TYPES.join(", ")})`);
+    return;
+  }
+  if (rule.reason !== undefined && !isNonEmptyString(rule.reason)) {
+    report(joinPath(p, "reason"), "expected a non-empty string");
+  }
+
+  const checkFlagKey = (key, kp) => {
+    if (!isNonEmptyString(key)) report(kp, "expected a flag key");
+    else if (!flagsByKey.has(key)) report(kp, `unknown flag key "${key}" (not in flagDefinitions)`);
+  };
+  const checkFlagList = (list, lp, min) => {
+    if (!Array.isArray(list) || list.length < min) {
+      report(lp, `expected an array of at least ${min} flag key(s)`);
+      return;
+    }
+    list.forEach((key, j) => {
+      checkFlagKey(key, joinPath(lp, j));
+      if (list.indexOf(key) !== j) report(joinPath(lp, j), `duplicate flag key "${key}"`);
+    });
+  };
+
+  if (rule.type === "requires") {
+    checkFlagKey(rule.flag, joinPath(p, "flag"));
+    checkFlagList(rule.requires, joinPath(p, "requires"), 1);
+    if (Array.isArray(rule.requires) && rule.requires.includes(rule.flag)) {
+      report(joinPath(p, "requires"), `flag "${rule.flag}" cannot require itself`);
+    }
+  } else {
+    checkFlagList(rule.flags, joinPath(p, "flags"), 2);
+  }
+}
+
+/**
+ * Check a flag definition's optional lifecycle fields
+ */
+function validateLifecycle(flag, p, report) {
+  if (flag.status !== undefined && !FLAG_STATUSES.includes(flag.status)) {
+    report(joinPath(p, "status"), `unknown status "${flag.status}" (expected ${FLAG_STATUSES.join(", ")})`);
+  }
+  for (const field of ["owner", "supersededBy"]) {
+    if (flag[field] !== undefined && !isNonEmptyString(flag[field])) {
+      report(joinPath(p, field), "expected a non-empty string");
+    }
+  }
+  for (const field of ["introduced", "removalDate"]) {
+    if (flag[field] !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(flag[field])) {
+      report(joinPath(p, field), "expected a YYYY-MM-DD date");
+    }
+  }
+  if (flag.introduced && flag.removalDate && flag.removalDate < flag.introduced) {
+    report(joinPath(p, "removalDate"), `removal date is before the introduced date (${flag.introduced})`);
+  }
+}
+
+/**
+ * Check a flag definition's optional `ehrNames` and `notApplicableNotes`
+ */
+function validateDisplayRules(flag, p, productKeys, report) {
+  if (flag.ehrNames !== undefined) {
+    const ep = joinPath(p, "ehrNames");
+    if (!isPlainObject(flag.ehrNames)) report(ep, "expected an object of EHR → display name");
+    else {
+      for (const [ehr, name] of Object.entries(flag.ehrNames)) {
+        if (!isNonEmptyString(name)) report(joinPath(ep, ehr), "expected a non-empty string");
+      }
+    }
+  }
+  if (flag.notApplicableNotes !== undefined) {
+    const np = joinPath(p, "notApplicableNotes");
+    if (!isPlainObject(flag.notApplicableNotes)) {
+      report(np, "expected an object of product → note");
+      return;
+    }
+    for (const [prodKey, note] of Object.entries(flag.notApplicableNotes)) {
+      const pp = joinPath(np, prodKey);
+      if (!productKeys.has(prodKey)) report(pp, `unknown product "${prodKey}" (not in products[].key)`);
+      else if (
+        flag.applicableProducts === "all" ||
+        (Array.isArray(flag.applicableProducts) && flag.applicableProducts.includes(prodKey))
+      ) {
+        report(pp, `flag "${flag.key}" applies to product "${prodKey}"`);
+      } else if (!isNonEmptyString(note)) report(pp, "expected a non-empty string");
+    }
+  }
+}
+
+function validateFlagValue(flag, value, vp, customer, report) {
+  if (!isSiteMap(value)) {
+    const error = checkValue(flag, value);
+    if (error) report(vp, error);
+    return;
+  }
+
+  const siteKeys = Array.isArray(customer.sites)
+    ? customer.sites.filter(isPlainObject).map((s) => s.key)
+    : [];
+  if (siteKeys.length === 0) {
+    report(vp, `per-site value, but customer "${customer.key}" declares no sites`);
+    return;
+  }
+  for (const [siteKey, siteValue] of Object.entries(value)) {
+    const sp = joinPath(vp, siteKey);
+    if (!siteKeys.includes(siteKey)) {
+      report(sp, `unknown site "${siteKey}" (not in customers[].sites for "${customer.key}")`);
+    } else {
+      const error = checkValue(flag, siteValue);
+      if (error) report(sp, error);
+    }
+  }
+  for (const siteKey of siteKeys) {
+    if (!(siteKey in value)) report(joinPath(vp, siteKey), `missing value for site "${siteKey}"`);
+  }
+}
+
+function validateProductConfig(prodConfig, pp, prodKey, customer, ctx) {
+  if (!isPlainObject(prodConfig)) {
+    ctx.report(pp, "expected an object with flags and notes");
+    return;
+  }
+
+  validateFlagValues(prodConfig.flags, joinPath(pp, "flags"), prodKey, customer, ctx, true);
+  validateNotes(prodConfig.notes, joinPath(pp, "notes"), prodKey, ctx);
+  validateAnnotations(prodConfig.annotations, joinPath(pp, "annotations"), prodKey, ctx);
+  validateProvenance(prodConfig.provenance, joinPath(pp, "provenance"), prodKey, ctx);
+
+  // Non-default environments only list the values that differ
+  if (prodConfig.environments === undefined) return;
+  const ep = joinPath(pp, "environments");
+  if (!isPlainObject(prodConfig.environments)) {
+    ctx.report(ep, "expected an object keyed by environment");
+    return;
+  }
+  for (const [envKey, envConfig] of Object.entries(prodConfig.environments)) {
+    const vp = joinPath(ep, envKey);
+    if (envKey === ctx.defaultEnv) {
+      ctx.report(vp, `"${envKey}" is the default environment; put its values in flags / notes`);
+    } else if (!ctx.envKeys.has(envKey)) {
+      ctx.report(vp, `unknown environment "${envKey}" (not in environments[].key)`);
+    } else if (!isPlainObject(envConfig)) {
+      ctx.report(vp, "expected an object with flags and notes");
+    } else {
+      if (envConfig.flags !== undefined) {
+        validateFlagValues(envConfig.flags, joinPath(vp, "flags"), prodKey, customer, ctx, false);
+      }
+      validateNotes(envConfig.notes, joinPath(vp, "notes"), prodKey, ctx);
+      validateAnnotations(envConfig.annotations, joinPath(vp, "annotations"), prodKey, ctx);
+      validateProvenance(envConfig.provenance, joinPath(vp, "provenance"), prodKey, ctx);
+    }
+  }
+}
+
+/**
+ * Check a flags object. With `requireAll`, every applicable flag without a
+ * product default or flag default must have a value.
+ */
+function validateFlagValues(flags, fp, prodKey, customer, ctx, requireAll) {
+  if (!isPlainObject(flags)) {
+    ctx.report(fp, "expected an object of flag values");
+    return;
+  }
+  for (const [flagKey, value] of Object.entries(flags)) {
+    const vp = joinPath(fp, flagKey);
+    const flag = ctx.flagsByKey.get(flagKey);
+    if (!flag) {
+      ctx.report(vp, `unknown flag key "${flagKey}" (not in flagDefinitions)`);
+    } else if (!isApplicable(flag, prodKey)) {
+      ctx.report(vp, `flag "${flagKey}" does not apply to product "${prodKey}"`);
+    } else {
+      validateFlagValue(flag, value, vp, customer, ctx.report);
+    }
+  }
+  if (!requireAll) return;
+  for (const flag of ctx.flagsByKey.values()) {
+    if (!isApplicable(flag, prodKey) || flag.default !== undefined) continue;
+    if (flag.key in (ctx.productDefaults[prodKey] || {})) continue;
+    if (!(flag.key in flags)) {
+      ctx.report(joinPath(fp, flag.key), `missing value for applicable flag "${flag.key}"`);
+    }
+  }
+}
+
+function validateNotes(notes, np, prodKey, ctx) {
+  if (notes === undefined) return;
+  if (!isPlainObject(notes)) {
+    ctx.report(np, "expected an object of notes keyed by flag");
+    return;
+  }
+  for (const [flagKey, note] of Object.entries(notes)) {
+    const vp = joinPath(np, flagKey);
+    const flag = ctx.flagsByKey.get(flagKey);
+    if (!flag) ctx.report(vp, `note for unknown flag key "${flagKey}"`);
+    else if (!isApplicable(flag, prodKey)) {
+      ctx.report(vp, `note for flag "${flagKey}", which does not apply to product "${prodKey}"`);
+    } else if (typeof note !== "string") ctx.report(vp, "expected a string");
+  }
+}
+
+function validateAnnotations(annotations, ap, prodKey, ctx) {
+  if (annotations === undefined) return;
+  if (!isPlainObject(annotations)) {
+    ctx.report(ap, "expected an object of annotations keyed by flag");
+    return;
+  }
+  const known = Object.keys(ANNOTATIONS);
+  for (const [flagKey, annotation] of Object.entries(annotations)) {
+    const vp = joinPath(ap, flagKey);
+    const flag = ctx.flagsByKey.get(flagKey);
+    if (!flag) ctx.report(vp, `annotation for unknown flag key "${flagKey}"`);
+    else if (!isApplicable(flag, prodKey)) {
+      ctx.report(vp, `annotation for flag "${flagKey}", which does not apply to product "${prodKey}"`);
+    } else if (!known.includes(annotation)) {
+      ctx.report(vp, `unknown annotation ${JSON.stringify(annotation)} (expected ${known.join(", ")})`);
+    }
+  }
+}
+
+function validateProvenance(provenance, pp, prodKey, ctx) {
+  if (provenance === undefined) return;
+  if (!isPlainObject(provenance)) {
+    ctx.report(pp, "expected an object of provenance keyed by flag");
+    return;
+  }
+  const sources = Object.keys(SOURCE_TYPES);
+  for (const [flagKey, entry] of Object.entries(provenance)) {
+    const vp = joinPath(pp, flagKey);
+    const flag = ctx.flagsByKey.get(flagKey);
+    if (!flag) ctx.report(vp, `provenance for unknown flag key "${flagKey}"`);
+    else if (!isApplicable(flag, prodKey)) {
+      ctx.report(vp, `provenance for flag "${flagKey}", which does not apply to product "${prodKey}"`);
+    } else if (!isPlainObject(entry)) ctx.report(vp, "expected an object");
+    else {
+      if (entry.source !== undefined && !sources.includes(entry.source)) {
+        ctx.report(joinPath(vp, "source"), `unknown source type ${JSON.stringify(entry.source)} (expected ${sources.join(", ")})`);
+      }
+      if (entry.ref !== undefined && !isNonEmptyString(entry.ref)) {
+        ctx.report(joinPath(vp, "ref"), "expected a non-empty string");
+      }
+      if (entry.verified !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(entry.verified)) {
+        ctx.report(joinPath(vp, "verified"), "expected a YYYY-MM-DD date");
+      }
+      if (entry.confidence !== undefined && !CONFIDENCE_LEVELS.includes(entry.confidence)) {
+        ctx.report(joinPath(vp, "confidence"), `unknown confidence ${JSON.stringify(entry.confidence)} (expected ${CONFIDENCE_LEVELS.join(", ")})`);
+      }
+    }
+  }
+}
+
+function isApplicable(flag, productKey) {
+  return flag.applicableProducts === "all" || flag.applicableProducts.includes(productKey);
+}
+
+// ─── Formatter ────────────────────────────────────────────────────────────────
+
+/**
+ * Format problems for terminal output
+ */
+function formatProblems(problems, label) {
+  if (problems.length === 0) return `✓ ${label} is valid`;
+  const lines = [`✗ ${problems.length} problem(s) in ${label}:`, ""];
+  for (const { path: p, message } of problems) {
+    lines.push(`  ${p} — ${message}`);
+  }
+  return lines.join("\n");
+}
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  const strictRules = process.argv.includes("--strict-rules");
+  const args = process.argv.slice(2).filter((a) => !a.startsWith("--"));
+  const jsonPath = args[0] ? path.resolve(args[0]) : defaultDataPath();
+  const relPath = path.relative(process.cwd(), jsonPath);
+  const label = relPath && !relPath.startsWith("..") ? relPath : jsonPath;
+
+  let data;
+  try {
+    data = readFlagData(jsonPath);
+  } catch (err) {
+    console.error(`Error reading ${label}: ${err.message}`);
+    process.exit(1);
+  }
+
+  const problems = validateData(data);
+  if (problems.length) {
+    console.error(formatProblems(problems, label));
+    process.exit(1);
+  }
+  console.log(formatProblems(problems, label));
+
+  const violations = checkRules(data);
+  if (violations.length) {
+    const log = strictRules ? console.error : console.warn;
+    const count = groupViolations(violations).length;
+    log(`\n${strictRules ? "✗" : "⚠"} ${count} rule violation(s):\n`);
+    log(formatViolations(violations, data));
+    if (strictRules) process.exit(1);
+  }
+}
+
+// Export for programmatic use
+module.exports = {
+  validateData,
+  formatProblems,
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}